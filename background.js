@@ -4,6 +4,8 @@
  * Handles extension-level functionality that requires background processing.
  */
 
+importScripts('settings.js', 'providers.js', 'offline.js', 'cache.js', 'history.js', 'safety.js', 'engagement.js', 'pacing.js');
+
 /**
  * Logging utility for the background script
  */
@@ -43,6 +45,113 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                         error: error.message 
                     });
                 });
+        } else if (request.action === 'generateComment') {
+            // Generate one or more candidate comments with the active backend profile
+            const count = request.count || 1;
+            generateWithCache(request.input, count, { bypassCache: request.bypassCache }, async input => {
+                const { comments, offlineReason } = await generateComments(input, count);
+                const historyIds = await recordGeneratedComments(input, comments);
+                return { comments, historyIds, offlineReason };
+            })
+                .then(result => sendResponse({ success: true, comment: result.comments[0], ...result }))
+                .catch(error => {
+                    logger.error('Error generating comment', error);
+                    sendResponse({
+                        success: false,
+                        error: error.message
+                    });
+                });
+        } else if (request.action === 'checkComment') {
+            // Run the pre-post safety checks on a comment
+            checkComment(request.text, request.target)
+                .then(issues => sendResponse({ success: true, issues }))
+                .catch(error => {
+                    logger.error('Error checking comment', error);
+                    sendResponse({
+                        success: false,
+                        error: error.message
+                    });
+                });
+        } else if (request.action === 'checkEngagement') {
+            // Look up earlier comments on a post and its author
+            getSettings()
+                .then(settings => checkEngagement(request.target, settings.engagement))
+                .then(warnings => sendResponse({ success: true, warnings }))
+                .catch(error => {
+                    logger.error('Error checking engagement', error);
+                    sendResponse({
+                        success: false,
+                        error: error.message
+                    });
+                });
+        } else if (request.action === 'reservePostSlot') {
+            // Ask for permission to submit a comment now
+            getSettings()
+                .then(settings => reservePostSlot(settings.pacing))
+                .then(result => sendResponse({ success: true, ...result }))
+                .catch(error => {
+                    logger.error('Error reserving a post slot', error);
+                    sendResponse({
+                        success: false,
+                        error: error.message
+                    });
+                });
+        } else if (request.action === 'releasePostSlot') {
+            // A reserved post failed; don't count it
+            releasePostSlot(request.reservation)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => {
+                    logger.error('Error releasing a post slot', error);
+                    sendResponse({
+                        success: false,
+                        error: error.message
+                    });
+                });
+        } else if (request.action === 'getPostingUsage') {
+            // Report how much of the posting caps is used
+            getSettings()
+                .then(settings => getPostingUsage(settings.pacing))
+                .then(usage => sendResponse({ success: true, usage }))
+                .catch(error => {
+                    logger.error('Error reading posting usage', error);
+                    sendResponse({
+                        success: false,
+                        error: error.message
+                    });
+                });
+        } else if (request.action === 'recordVariantChoice') {
+            // Remember which candidate the user went with
+            recordVariantChoice(request.choice)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => {
+                    logger.error('Error recording variant choice', error);
+                    sendResponse({
+                        success: false,
+                        error: error.message
+                    });
+                });
+        } else if (request.action === 'markCommentPosted') {
+            // Flag a comment as posted in the history and the engagement ledger
+            markCommentPosted(request.details)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => {
+                    logger.error('Error marking comment as posted', error);
+                    sendResponse({
+                        success: false,
+                        error: error.message
+                    });
+                });
+        } else if (request.action === 'testBackendProfile') {
+            // Validate an unsaved profile from the options page
+            requestComment(SAMPLE_GENERATION_INPUT, request.profile)
+                .then(comment => sendResponse({ success: true, comment }))
+                .catch(error => {
+                    logger.error('Backend profile test failed', error);
+                    sendResponse({
+                        success: false,
+                        error: error.message
+                    });
+                });
         } else if (request.action === 'getExtensionInfo') {
             // Return basic extension information
             sendResponse({
@@ -62,6 +171,576 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep the message channel open for async response
 });
 
+/**
+ * Input used to test a backend profile before it is saved
+ */
+const SAMPLE_GENERATION_INPUT = {
+    content: 'Excited to share that our team just shipped a new release. Thanks to everyone who helped!',
+    hint: '',
+    tone: DEFAULT_TONES[0],
+    uniqueId: 'options_connection_test',
+    userInfo: {}
+};
+
+/**
+ * Name of the port content scripts open for streamed generation
+ */
+const STREAM_PORT_NAME = 'generateCommentStream';
+
+/**
+ * Stream generation over a long-lived port
+ *
+ * The client sends {type: 'start', input, bypassCache} and may send {type: 'stop'}.
+ * The worker answers with any number of {type: 'chunk', text} messages,
+ * followed by {type: 'done', comment, historyId, offlineReason},
+ * {type: 'stopped', comment} or {type: 'error', error}. Disconnecting the
+ * port also stops generation.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== STREAM_PORT_NAME) return;
+
+    const controller = new AbortController();
+    let partial = '';
+
+    const postToPort = (message) => {
+        try {
+            port.postMessage(message);
+        } catch (error) {
+            // The client went away; nothing left to tell it
+            controller.abort();
+        }
+    };
+
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener(async (message) => {
+        if (message.type === 'stop') {
+            logger.log('Stream stopped by client');
+            controller.abort();
+            return;
+        }
+        if (message.type !== 'start') return;
+
+        try {
+            const options = { bypassCache: message.bypassCache, signal: controller.signal };
+            const result = await generateWithCache(message.input, 1, options, async input => {
+                const { comment, offlineReason } = await generateComment(input, {
+                    signal: controller.signal,
+                    onChunk: (text) => {
+                        partial += text;
+                        postToPort({ type: 'chunk', text });
+                    }
+                });
+                const [historyId] = await recordGeneratedComments(input, [comment]);
+                return { comments: [comment], historyIds: [historyId], offlineReason };
+            });
+            postToPort({
+                type: 'done',
+                comment: result.comments[0],
+                historyId: result.historyIds[0],
+                offlineReason: result.offlineReason
+            });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                postToPort({ type: 'stopped', comment: cleanGeneratedText(partial) });
+            } else {
+                logger.error('Error streaming comment', error);
+                postToPort({ type: 'error', error: error.message });
+            }
+        }
+    });
+});
+
+/**
+ * Generations in progress by cache key, so identical requests from the
+ * panel and the popup share one call: {promise, signal}
+ */
+const pendingGenerations = new Map();
+
+/**
+ * Fills in the tone, persona and defaults a generation input leaves out
+ * @param {Object} input - Generation input (see providers.js)
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Promise<Object>} The complete input
+ * @throws {Error} If there is no post content
+ */
+async function resolveGenerationInput(input, settings) {
+    if (!input || !input.content) {
+        throw new Error('No post content to generate a comment for');
+    }
+
+    const tone = input.tone || (await getTones())[0];
+
+    // The inline panel always says which persona it wants (null for none);
+    // callers that don't, like the popup, use the one picked last
+    const persona = input.persona !== undefined ? input.persona : await getActivePersona(settings);
+
+    return {
+        hint: '',
+        uniqueId: 'unknown',
+        userInfo: {},
+        ...input,
+        tone,
+        persona
+    };
+}
+
+/**
+ * Answers a generation request from the cache, from an identical request
+ * that is already running, or by calling generate
+ * @param {Object} input - Generation input (see providers.js)
+ * @param {number} count - Number of candidates wanted
+ * @param {Object} options - Settings:
+ * @param {boolean} options.bypassCache - Ignore cached results, as Regenerate does
+ * @param {AbortSignal} options.signal - Stops this request, if it can be stopped
+ * @param {Function} generate - Receives the complete input and resolves with
+ *     {comments, historyIds, offlineReason}
+ * @returns {Promise<Object>} {comments, historyIds, offlineReason}
+ */
+async function generateWithCache(input, count, options, generate) {
+    const settings = await getSettings();
+    const fullInput = await resolveGenerationInput(input, settings);
+    const key = await getGenerationCacheKey(fullInput, count, settings.activeProfileId);
+    if (!key) {
+        return generate(fullInput);
+    }
+
+    const ttlMinutes = settings.cache.ttlMinutes;
+    if (!options.bypassCache && ttlMinutes > 0) {
+        const cached = await getCachedGeneration(key, ttlMinutes);
+        if (cached) {
+            logger.log('Using cached comments', { postUrn: fullInput.postUrn });
+            return { comments: cached.comments, historyIds: cached.historyIds, offlineReason: '' };
+        }
+    }
+
+    const shared = pendingGenerations.get(key);
+    if (shared) {
+        try {
+            return await shared.promise;
+        } catch (error) {
+            // If the other request was stopped, this one still wants a comment
+            if (!shared.signal || !shared.signal.aborted) {
+                throw error;
+            }
+        }
+    }
+
+    const entry = { promise: generate(fullInput), signal: options.signal };
+    pendingGenerations.set(key, entry);
+    try {
+        const result = await entry.promise;
+        // Offline comments stand in for a failed call; try the backend again next time
+        // A failed cache write (e.g. storage quota) must not fail the generation
+        if (ttlMinutes > 0 && !result.offlineReason) {
+            setCachedGeneration(key, result, ttlMinutes)
+                .catch(error => logger.error('Error caching generated comments', error));
+        }
+        return result;
+    } finally {
+        if (pendingGenerations.get(key) === entry) {
+            pendingGenerations.delete(key);
+        }
+    }
+}
+
+/**
+ * Generates a comment with the active backend profile, or with the offline
+ * generator when the offline mode says so
+ * @param {Object} input - Generation input (see providers.js)
+ * @param {Object} options - Optional streaming options
+ * @param {AbortSignal} options.signal - Aborts the generation when triggered
+ * @param {Function} options.onChunk - Receives text as it arrives; enables streaming
+ * @returns {Promise<{comment: string, offlineReason: string}>} The generated
+ *     comment; offlineReason says why it was written offline, or is '' if
+ *     the backend wrote it
+ */
+async function generateComment(input, options = {}) {
+    // Read the active profile at call time so options changes apply immediately
+    const settings = await getSettings();
+    const profile = getActiveProfile(settings);
+    const fullInput = await resolveGenerationInput(input, settings);
+
+    if (settings.offline.mode === 'always') {
+        return { comment: generateOfflineComment(fullInput), offlineReason: 'Offline mode is on.' };
+    }
+
+    try {
+        return { comment: await requestComment(fullInput, profile, options), offlineReason: '' };
+    } catch (error) {
+        const stopped = options.signal && options.signal.aborted;
+        if (settings.offline.mode !== 'fallback' || stopped) {
+            throw error;
+        }
+
+        logger.error('Backend failed; writing the comment offline', error);
+        return { comment: generateOfflineComment(fullInput), offlineReason: error.message };
+    }
+}
+
+/**
+ * Generates several candidate comments in parallel
+ * @param {Object} input - Generation input (see providers.js)
+ * @param {number} count - Number of candidates wanted
+ * @returns {Promise<{comments: string[], offlineReason: string}>} The
+ *     candidates that were generated successfully; offlineReason is set if
+ *     any of them was written offline (see generateComment)
+ * @throws {Error} If no candidate could be generated
+ */
+async function generateComments(input, count) {
+    const variantCount = Math.min(Math.max(Math.round(count) || 1, 1), MAX_VARIANT_COUNT);
+    const results = await Promise.allSettled(
+        Array.from({ length: variantCount }, () => generateComment(input))
+    );
+
+    const generated = results
+        .filter(result => result.status === 'fulfilled')
+        .map(result => result.value);
+
+    if (generated.length === 0) {
+        throw results[0].reason;
+    }
+
+    const offline = generated.find(result => result.offlineReason);
+
+    // Identical candidates are not worth choosing between
+    return {
+        comments: [...new Set(generated.map(result => result.comment))],
+        offlineReason: offline ? offline.offlineReason : ''
+    };
+}
+
+/**
+ * Saves generated comments to the history without failing the generation
+ * @param {Object} input - Generation input
+ * @param {string[]} comments - Generated comments
+ * @returns {Promise<number[]>} History ids, or an empty list if saving failed
+ */
+async function recordGeneratedComments(input, comments) {
+    try {
+        return await addHistoryEntries(input, comments);
+    } catch (error) {
+        logger.error('Error saving comments to history', error);
+        return [];
+    }
+}
+
+/**
+ * Marks the candidate the user copied or posted as picked
+ * @param {Object} choice - {historyId, action}
+ * @returns {Promise<void>}
+ */
+async function recordVariantChoice(choice) {
+    if (!choice.historyId) return;
+
+    await updateHistoryEntry(choice.historyId, { picked: true });
+    logger.log('Recorded variant choice', choice);
+}
+
+/**
+ * Records a posted comment in the history and, unless it is a reply,
+ * in the engagement ledger
+ * @param {Object} details - See markHistoryPosted, plus authorProfileUrl and isReply
+ * @returns {Promise<void>}
+ */
+async function markCommentPosted(details) {
+    await markHistoryPosted(details);
+    if (!details.isReply) {
+        await recordEngagement(details);
+    }
+}
+
+/**
+ * Runs the configured safety checks on a comment about to be posted
+ * @param {string} text - Comment text
+ * @param {Object} target - Optional {postUrn, author, authorProfileUrl} of the
+ *     post being commented on; adds a warning when an engagement limit is reached
+ * @returns {Promise<Object[]>} Problems found (see runSafetyChecks)
+ */
+async function checkComment(text, target) {
+    const { safety, engagement } = await getSettings();
+
+    let recentComments = [];
+    if (safety.checks.duplicates !== 'off') {
+        const from = Date.now() - safety.duplicateLookbackDays * 24 * 60 * 60 * 1000;
+        const entries = await searchHistory({ from, postedOnly: true });
+        recentComments = entries.map(entry => entry.comment);
+    }
+
+    const issues = runSafetyChecks(text, safety, recentComments);
+
+    if (target) {
+        const warnings = await checkEngagement(target, engagement);
+        warnings.forEach(message => {
+            issues.push({ id: 'engagement', label: 'Repeat engagement', mode: 'warn', message });
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Sends a generation request through a profile's provider adapter
+ * Streams the response when the caller passes onChunk and the profile enables it
+ * @param {Object} input - Generation input
+ * @param {Object} profile - Backend profile
+ * @param {Object} options - Optional {signal, onChunk}
+ * @returns {Promise<string>} The generated comment
+ * @throws {Error} If every attempt fails or the response is invalid
+ */
+async function requestComment(input, profile, options = {}) {
+    if (!profile.url) {
+        throw new Error('API endpoint not configured. Set it on the extension options page.');
+    }
+
+    const adapter = getProviderAdapter(profile);
+    const stream = !!(options.onChunk && profile.stream && adapter.streamFormat);
+    const request = adapter.buildRequest(input, profile, { stream });
+
+    logger.log(`Sending payload to ${adapter.label} API`, request.body);
+
+    // Bodies that are not streamed are read within the attempt, so its
+    // timeout and Stop cover a backend that stalls after the headers
+    const { response, body } = await fetchWithRetries(request, profile, options.signal, async (response) => ({
+        response,
+        body: stream && response.ok ? null : await response.text()
+    }));
+
+    if (!response.ok) {
+        let errorMessage = `API error: ${response.status}`;
+        try {
+            const errorData = JSON.parse(body);
+            errorMessage += ` - ${JSON.stringify(errorData)}`;
+        } catch (e) {
+            // If we can't parse JSON, just use status text
+            errorMessage += ` - ${response.statusText}`;
+        }
+        throw new Error(errorMessage);
+    }
+
+    if (!stream) {
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (e) {
+            throw new Error('API response is not valid JSON');
+        }
+
+        const comment = adapter.parseResponse(data);
+        if (options.onChunk) {
+            options.onChunk(comment);
+        }
+        return comment;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const format = contentType.includes('text/event-stream') ? 'sse' : adapter.streamFormat;
+
+    let text = '';
+    const unparsed = await readStreamEvents(response, format, {
+        signal: options.signal,
+        idleTimeoutMs: profile.timeoutMs,
+        onEvent: (event) => {
+            const delta = adapter.parseStreamEvent(event);
+            if (delta) {
+                text += delta;
+                options.onChunk(delta);
+            }
+        }
+    });
+
+    // Endpoints that ignore the stream flag may answer with one pretty-printed JSON body
+    if (!text && unparsed) {
+        try {
+            const comment = adapter.parseResponse(JSON.parse(unparsed));
+            options.onChunk(comment);
+            return comment;
+        } catch (e) {
+            throw new Error('API stream did not contain any comment text');
+        }
+    }
+
+    const comment = cleanGeneratedText(text);
+    if (!comment) {
+        throw new Error('API stream did not contain any comment text');
+    }
+    return comment;
+}
+
+/**
+ * Waits between retries
+ * @param {number} ms - How long to wait
+ * @param {AbortSignal} signal - Ends the wait early when triggered
+ * @returns {Promise<void>}
+ * @throws {Error} If the signal is triggered before or during the wait
+ */
+function sleepUnlessStopped(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new Error('Generation stopped'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(new Error('Generation stopped'));
+        };
+        const timeoutId = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Fetches a provider request, retrying with exponential backoff
+ * Each attempt is aborted if no response arrives within the profile timeout
+ * @param {Object} request - Request built by a provider adapter
+ * @param {Object} profile - Backend profile
+ * @param {AbortSignal} signal - Optional caller signal that cancels all attempts
+ * @param {Function} readBody - Optional; receives the response and reads what
+ *     is needed of its body while the attempt's timeout and signal still apply
+ * @returns {Promise<*>} What readBody returns, or the fetch response
+ */
+async function fetchWithRetries(request, profile, signal = null, readBody = response => response) {
+    const requestOptions = {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body)
+    };
+
+    let retries = 0;
+
+    // Retry logic with exponential backoff
+    while (true) {
+        // Use AbortController to implement timeout
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), profile.timeoutMs);
+        const abortAttempt = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', abortAttempt);
+        }
+
+        try {
+            logger.log(`API call attempt ${retries + 1}/${profile.maxRetries + 1}`);
+
+            if (signal && signal.aborted) {
+                throw new Error('Generation stopped');
+            }
+
+            const response = await fetch(request.url, {
+                ...requestOptions,
+                signal: controller.signal
+            });
+            return await readBody(response);
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw new Error('Generation stopped');
+            }
+
+            retries++;
+            if (retries > profile.maxRetries) {
+                throw error.name === 'AbortError'
+                    ? new Error('API request timed out')
+                    : error;
+            }
+            // Wait before retrying (exponential backoff); Stop ends the wait
+            await sleepUnlessStopped(1000 * Math.pow(2, retries), signal);
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) {
+                signal.removeEventListener('abort', abortAttempt);
+            }
+        }
+    }
+}
+
+/**
+ * Reads a streamed response body event by event
+ * @param {Response} response - Fetch response with a readable body
+ * @param {string} format - 'sse' (data: lines) or 'ndjson' (one JSON object per line)
+ * @param {Object} options - Reader options
+ * @param {AbortSignal} options.signal - Cancels reading when triggered
+ * @param {number} options.idleTimeoutMs - Maximum wait between chunks
+ * @param {Function} options.onEvent - Receives each parsed JSON event
+ * @returns {Promise<string>} Any body text that could not be parsed as events
+ */
+async function readStreamEvents(response, format, { signal, idleTimeoutMs, onEvent }) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let unparsed = '';
+    let timedOut = false;
+    let idleTimer = null;
+
+    const cancel = () => reader.cancel().catch(() => {});
+    const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+            timedOut = true;
+            cancel();
+        }, idleTimeoutMs);
+    };
+
+    const handleLine = (line) => {
+        let payload = line.trim();
+        if (!payload) return;
+
+        if (format === 'sse') {
+            // Only data lines carry content; event names are repeated in the JSON
+            if (!payload.startsWith('data:')) return;
+            payload = payload.slice(5).trim();
+            if (payload === '[DONE]') return;
+        }
+
+        try {
+            onEvent(JSON.parse(payload));
+        } catch (e) {
+            unparsed += `${line}\n`;
+        }
+    };
+
+    if (signal) {
+        signal.addEventListener('abort', cancel);
+    }
+
+    try {
+        resetIdleTimer();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            resetIdleTimer();
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        buffer += decoder.decode();
+        handleLine(buffer);
+    } finally {
+        clearTimeout(idleTimer);
+        if (signal) {
+            signal.removeEventListener('abort', cancel);
+        }
+    }
+
+    if (signal && signal.aborted) {
+        throw new Error('Generation stopped');
+    }
+    if (timedOut) {
+        throw new Error('API stream timed out');
+    }
+
+    return unparsed;
+}
+
 /**
  * Check clipboard permission
  * @returns {Promise<Object>} Result of the permission check
@@ -0,0 +1,108 @@
+/**
+ * LinkedIn Comment Generator - Generation Cache
+ *
+ * Remembers the last comments generated for each request, so reopening the
+ * panel or the popup on the same post shows them again without another call
+ * to the backend. Requests are told apart by post, tone, hint, persona,
+ * reply target, backend profile and number of candidates. Entries expire
+ * after settings.cache.ttlMinutes. Kept in chrome.storage.session, so the
+ * cache survives the background worker being stopped but not the browser
+ * being closed. Loaded by the background worker, which uses it, and by the
+ * options page, which can clear it.
+ *
+ * Stored shape: {[key]: {comments, historyIds, createdAt}}
+ */
+
+/**
+ * Storage key of the cache
+ */
+const GENERATION_CACHE_STORAGE_KEY = 'generationCache';
+
+/**
+ * Most entries kept; the oldest are dropped first
+ */
+const MAX_CACHED_GENERATIONS = 100;
+
+/**
+ * Keeps concurrent writes from overwriting each other
+ */
+let generationCacheQueue = Promise.resolve();
+
+/**
+ * Builds the key a request is cached under
+ * @param {Object} input - Generation input with tone and persona resolved
+ * @param {number} count - Number of candidates wanted
+ * @param {string} profileId - Id of the backend profile used
+ * @returns {Promise<string>} Key, or '' if the post is unknown and the
+ *     request should not be cached
+ */
+async function getGenerationCacheKey(input, count, profileId) {
+    const postUrn = input.postUrn && input.postUrn !== 'unknown' ? input.postUrn : '';
+    if (!postUrn) return '';
+
+    // Tone and persona are compared in full, so editing one is a new request
+    const request = JSON.stringify([
+        postUrn,
+        input.tone || null,
+        (input.hint || '').trim(),
+        input.persona || null,
+        input.replyTo || null,
+        profileId,
+        count
+    ]);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(request));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reads a cached result
+ * @param {string} key - From getGenerationCacheKey
+ * @param {number} ttlMinutes - How long results stay valid
+ * @returns {Promise<Object|null>} {comments, historyIds, createdAt}, or null
+ *     if there is none or it has expired
+ */
+async function getCachedGeneration(key, ttlMinutes) {
+    const { [GENERATION_CACHE_STORAGE_KEY]: cache } = await chrome.storage.session.get(GENERATION_CACHE_STORAGE_KEY);
+    const entry = cache && cache[key];
+    if (!entry || entry.createdAt < Date.now() - ttlMinutes * 60 * 1000) {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Stores a result, dropping expired and surplus entries
+ * @param {string} key - From getGenerationCacheKey
+ * @param {Object} result - {comments, historyIds}
+ * @param {number} ttlMinutes - How long results stay valid
+ * @returns {Promise<void>}
+ */
+function setCachedGeneration(key, result, ttlMinutes) {
+    const write = async () => {
+        const { [GENERATION_CACHE_STORAGE_KEY]: stored } = await chrome.storage.session.get(GENERATION_CACHE_STORAGE_KEY);
+        const cutoff = Date.now() - ttlMinutes * 60 * 1000;
+
+        const entries = Object.entries({
+            ...stored,
+            [key]: { comments: result.comments, historyIds: result.historyIds, createdAt: Date.now() }
+        })
+            .filter(([, entry]) => entry.createdAt >= cutoff)
+            .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+            .slice(0, MAX_CACHED_GENERATIONS);
+
+        await chrome.storage.session.set({ [GENERATION_CACHE_STORAGE_KEY]: Object.fromEntries(entries) });
+    };
+
+    generationCacheQueue = generationCacheQueue.then(write, write);
+    return generationCacheQueue;
+}
+
+/**
+ * Deletes every cached result
+ * @returns {Promise<void>}
+ */
+function clearGenerationCache() {
+    const clear = () => chrome.storage.session.remove(GENERATION_CACHE_STORAGE_KEY);
+    generationCacheQueue = generationCacheQueue.then(clear, clear);
+    return generationCacheQueue;
+}
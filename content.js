@@ -116,155 +116,261 @@ const debug = {
 };
 
 /**
- * API configuration for comment generation service
- */
-const API_CONFIG = {
-    /**
-     * API endpoint for generating comments
-     * This should be updated to your production endpoint
-     */
-    // URL: 'https://n8n.srv894857.hstgr.cloud/webhook/linkedin-comment',
-    URL: 'https://n8nautoflow.app/webhook/linkedin-comment',
-    // URL: 'https://n8n.srv894857.hstgr.cloud/webhook-test/linkedin-comment',
-
-    /**
-     * Maximum number of retries for API calls
-     */
-    MAX_RETRIES: 2,
-
-    /**
-     * Default timeout for API calls in milliseconds
-     */
-    TIMEOUT_MS: 10000
-};
-
-/**
- * Generates a comment by calling the API with post content, hint, and tone
+ * Builds the generation input sent to the background worker
  * 
- * @param {string} content - The content of the post to generate a comment for
- * @param {string} hint - Optional hint to guide comment generation
- * @param {string} tone - Optional tone for the comment (professional, friendly, etc.)
- * @returns {Promise<string>} The generated comment
- * @throws {Error} If API call fails or response is invalid
+ * @param {HTMLElement} post - The post element being commented on, if known
+ * @param {Object} request - What to generate:
+ * @param {string} request.content - The content of the post to generate a comment for
+ * @param {string} request.hint - Optional hint to guide comment generation
+ * @param {Object} request.tone - Tone definition for the comment (see DEFAULT_TONES)
+ * @param {Object|null} request.persona - Persona to write as (see getPersonas), or null
+ * @param {Object|null} request.replyTo - {author, text} of the comment being replied to,
+ *     or null for a top-level comment
+ * @returns {Promise<Object>} Generation input (see providers.js)
  */
-async function generateCommentAPI(content, hint, tone) {
-    if (!API_CONFIG.URL) {
-        throw new Error('API endpoint not configured in code.');
-    }
-
-    // Get user info from LinkedIn
-    const userInfo = await getUserInfo();
+async function buildGenerationInput(post, request) {
+    // Get user info from LinkedIn, keeping only what the privacy mode allows
+    const userInfo = await getSharedUserInfo();
 
     // Get post ID more reliably
     let postId = 'unknown';
     try {
-        // Try to find the post element in various ways
-        const postElement = document.querySelector('.feed-shared-update-v2, .occludable-update, [data-urn]') ||
-            document.activeElement?.closest('.feed-shared-update-v2, .occludable-update, [data-urn]');
+        // Prefer the post being commented on, then try to find one in various ways
+        const postElement = post ||
+            document.querySelector(`${getSelector('feedPost')}, [data-urn]`) ||
+            document.activeElement?.closest(`${getSelector('feedPost')}, [data-urn]`);
 
         if (postElement) {
-            // Try different ways to get the post ID
-            postId = postElement.getAttribute('data-urn') ||
-                postElement.getAttribute('data-id') ||
-                postElement.id ||
-                'unknown';
+            postId = getPostUrn(postElement);
         }
     } catch (error) {
         debug.error('Error getting post ID', error);
     }
 
     // Create unique_id by combining profile URL and post ID
-    const uniqueId = userInfo.profileUrl ?
-        `${userInfo.profileUrl}_${postId}` :
-        `${userInfo.id || 'unknown'}_${postId}`;
-
-    // Prepare the request payload
-    const payload = {
-        hint: hint || "",
-        caption: content,
-        tone: tone || "professional",
-        unique_id: uniqueId,
-        user_info: {
-            id: userInfo.id || 'unknown',
-            email: userInfo.email || 'unknown',
-            name: userInfo.name || 'unknown',
-            profile_url: userInfo.profileUrl || 'unknown'
-        }
+    const uniqueId = buildUniqueId(userInfo, postId);
+
+    // The account the user linked on the options page, if any
+    const { licenseKey } = await getIdentity();
+
+    return {
+        content: request.content,
+        hint: request.hint || '',
+        tone: request.tone,
+        persona: request.persona || null,
+        replyTo: request.replyTo || null,
+        uniqueId,
+        userInfo,
+        licenseKey,
+        postUrn: postId,
+        author: post ? getPostAuthor(post) : '',
+        context: post ? extractPostContext(post) : null
     };
+}
 
-    debug.log('Sending payload to API', payload);
+/**
+ * Reads the LinkedIn identifier of a post
+ * @param {HTMLElement} post - The post element
+ * @returns {string} The post URN, or the best available id
+ */
+function getPostUrn(post) {
+    // Try different ways to get the post ID
+    return post.getAttribute('data-urn') ||
+        post.getAttribute('data-id') ||
+        post.id ||
+        'unknown';
+}
 
-    const requestOptions = {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
+/**
+ * Reads the name of a post's author
+ * @param {HTMLElement} post - The post element
+ * @returns {string} Author name, or an empty string if not found
+ */
+function getPostAuthor(post) {
+    for (const selector of getSelectors('author')) {
+        const element = post.querySelector(selector);
+        if (element && element.textContent.trim()) {
+            return element.textContent.trim();
+        }
+    }
+
+    return '';
+}
+
+/**
+ * Identifies a post and its author for the engagement ledger
+ * @param {HTMLElement} post - The post element
+ * @returns {{postUrn: string, author: string, authorProfileUrl: string}} Ledger target
+ */
+function getEngagementTarget(post) {
+    return {
+        postUrn: getPostUrn(post),
+        author: getPostAuthor(post),
+        authorProfileUrl: findProfileUrl(post)
     };
+}
 
-    try {
-        let retries = 0;
-        let response;
+/**
+ * Generates a comment by asking the background worker to call the API
+ * with post content, hint, tone and persona
+ * 
+ * @param {HTMLElement} post - The post element being commented on
+ * @param {Object} request - What to generate (see buildGenerationInput)
+ * @returns {Promise<string>} The generated comment
+ * @throws {Error} If API call fails or response is invalid
+ */
+async function generateCommentAPI(post, request) {
+    const input = await buildGenerationInput(post, request);
 
-        // Retry logic with exponential backoff
-        while (retries <= API_CONFIG.MAX_RETRIES) {
-            try {
-                debug.log(`API call attempt ${retries + 1}/${API_CONFIG.MAX_RETRIES + 1}`);
+    debug.log('Requesting comment from background', input);
 
-                // Use AbortController to implement timeout
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.TIMEOUT_MS);
+    const response = await chrome.runtime.sendMessage({ action: 'generateComment', input });
 
-                response = await fetch(API_CONFIG.URL, {
-                    ...requestOptions,
-                    signal: controller.signal
-                });
+    if (!response || !response.success) {
+        const error = new Error((response && response.error) || 'No response from extension background');
+        debug.error('Error calling comment generation API', error);
+        throw error;
+    }
 
-                clearTimeout(timeoutId);
-                break;
-            } catch (error) {
-                retries++;
-                if (retries > API_CONFIG.MAX_RETRIES) {
-                    throw error.name === 'AbortError'
-                        ? new Error('API request timed out')
-                        : error;
-                }
-                // Wait before retrying (exponential backoff)
-                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, retries)));
-            }
-        }
+    return response.comment;
+}
 
-        if (!response.ok) {
-            let errorMessage = `API error: ${response.status}`;
-            try {
-                const errorData = await response.json();
-                errorMessage += ` - ${JSON.stringify(errorData)}`;
-            } catch (e) {
-                // If we can't parse JSON, just use status text
-                errorMessage += ` - ${response.statusText}`;
-            }
-            throw new Error(errorMessage);
-        }
+/**
+ * Generates several candidate comments through the background worker
+ * 
+ * @param {HTMLElement} post - The post element being commented on
+ * @param {Object} request - What to generate (see buildGenerationInput)
+ * @param {number} count - Number of candidates to generate
+ * @param {Object} options - Settings:
+ * @param {boolean} options.bypassCache - Generate anew even if the same request
+ *     was answered recently
+ * @returns {Promise<{comments: string[], historyIds: number[], offlineReason: string}>}
+ *     The generated candidates, their history entry ids, and why they were
+ *     written offline ('' if the backend wrote them)
+ * @throws {Error} If no candidate could be generated
+ */
+async function generateCommentVariantsAPI(post, request, count, options = {}) {
+    const input = await buildGenerationInput(post, request);
 
-        const data = await response.json();
+    debug.log(`Requesting ${count} comment variants from background`, input);
 
-        if (!data.comment) {
-            throw new Error('API response missing comment field');
-        }
+    const response = await chrome.runtime.sendMessage({
+        action: 'generateComment',
+        input,
+        count,
+        bypassCache: !!options.bypassCache
+    });
 
-        return data.comment;
-    } catch (error) {
+    if (!response || !response.success) {
+        const error = new Error((response && response.error) || 'No response from extension background');
         debug.error('Error calling comment generation API', error);
         throw error;
     }
+
+    return {
+        comments: response.comments,
+        historyIds: response.historyIds,
+        offlineReason: response.offlineReason || ''
+    };
+}
+
+/**
+ * Streams a comment from the background worker over a port
+ * Profiles without streaming enabled deliver the whole comment as one chunk
+ * 
+ * @param {HTMLElement} post - The post element being commented on
+ * @param {Object} request - What to generate (see buildGenerationInput)
+ * @param {Function} onChunk - Called with each piece of text as it arrives
+ * @param {Object} options - Settings:
+ * @param {boolean} options.bypassCache - Generate anew even if the same request
+ *     was answered recently
+ * @returns {{done: Promise<{comment: string, stopped: boolean, historyId: number, offlineReason: string}>, stop: Function}}
+ *     done resolves with the final comment (partial if stopped) and why it was
+ *     written offline, if it was; stop cancels generation
+ */
+function streamCommentAPI(post, request, onChunk, options = {}) {
+    const port = chrome.runtime.connect({ name: 'generateCommentStream' });
+    let settled = false;
+
+    const done = new Promise((resolve, reject) => {
+        const settle = (callback, value) => {
+            if (settled) return;
+            settled = true;
+            port.disconnect();
+            callback(value);
+        };
+
+        port.onMessage.addListener((message) => {
+            if (message.type === 'chunk') {
+                onChunk(message.text);
+            } else if (message.type === 'done') {
+                settle(resolve, {
+                    comment: message.comment,
+                    stopped: false,
+                    historyId: message.historyId,
+                    offlineReason: message.offlineReason || ''
+                });
+            } else if (message.type === 'stopped') {
+                settle(resolve, { comment: message.comment, stopped: true });
+            } else if (message.type === 'error') {
+                const error = new Error(message.error);
+                debug.error('Error calling comment generation API', error);
+                settle(reject, error);
+            }
+        });
+
+        port.onDisconnect.addListener(() => {
+            settle(reject, new Error('Connection to extension background was lost'));
+        });
+
+        buildGenerationInput(post, request)
+            .then(input => {
+                debug.log('Streaming comment from background', input);
+                port.postMessage({ type: 'start', input, bypassCache: !!options.bypassCache });
+            })
+            .catch(error => settle(reject, error));
+    });
+
+    return {
+        done,
+        stop: () => {
+            if (!settled) {
+                port.postMessage({ type: 'stop' });
+            }
+        }
+    };
+}
+
+/**
+ * Retrieves the user information that may be sent to the backend
+ * @param {Object} privacy - settings.privacy; read from storage if omitted
+ * @returns {Promise<Object>} {id, email, name, profileUrl} after applyPrivacyMode
+ */
+async function getSharedUserInfo(privacy = null) {
+    const settings = privacy || (await getSettings()).privacy;
+
+    // Nothing is sent, so there is no reason to look
+    if (settings.userInfo === 'none') {
+        return applyPrivacyMode({}, settings);
+    }
+
+    const userInfo = await getUserInfo({
+        allowMeMenu: settings.allowMeMenu,
+        allowFingerprint: settings.allowFingerprint
+    });
+    return applyPrivacyMode(userInfo, settings);
 }
 
 /**
  * Retrieves information about the currently logged-in LinkedIn user
  * 
+ * @param {Object} options - What else may be tried when the page alone is not enough:
+ * @param {boolean} options.allowMeMenu - Open the "Me" menu to find the profile link
+ * @param {boolean} options.allowFingerprint - Derive an id from the browser when no
+ *     LinkedIn id is found
  * @returns {Promise<Object>} User information including id, name, email, and profileUrl
  */
-async function getUserInfo() {
+async function getUserInfo(options = {}) {
     try {
         const userInfo = {
             id: null,
@@ -289,8 +395,8 @@ async function getUserInfo() {
             }
         }
 
-        // Method 2: Get from the Me dropdown menu
-        if (!userInfo.profileUrl) {
+        // Method 2: Get from the Me dropdown menu (only if the user allowed it)
+        if (!userInfo.profileUrl && options.allowMeMenu) {
             const meMenu = document.querySelector('button[aria-label="Me"], button[data-control-name="nav.settings_dropdown"]');
             if (meMenu) {
                 // Click to open the menu
@@ -393,24 +499,13 @@ async function getUserInfo() {
             }
         }
 
-        // Method 7: Check local storage for any saved user info
-        if (!userInfo.id || !userInfo.profileUrl) {
-            try {
-                const localStorageData = JSON.parse(localStorage.getItem('linkedin-comment-generator-user-info'));
-                if (localStorageData) {
-                    if (!userInfo.id && localStorageData.id) {
-                        userInfo.id = localStorageData.id;
-                    }
-                    if (!userInfo.profileUrl && localStorageData.profileUrl) {
-                        userInfo.profileUrl = localStorageData.profileUrl;
-                    }
-                    if (!userInfo.name && localStorageData.name) {
-                        userInfo.name = localStorageData.name;
-                    }
-                }
-            } catch (e) {
-                debug.log('Error reading from localStorage', e);
-            }
+        // Method 7: Use the user remembered from an earlier page
+        const identity = await getIdentity();
+        const remembered = identity.linkedIn;
+        if (remembered && (!userInfo.id || !userInfo.profileUrl)) {
+            userInfo.id = userInfo.id || remembered.id;
+            userInfo.profileUrl = userInfo.profileUrl || remembered.profileUrl;
+            userInfo.name = userInfo.name || remembered.name;
         }
 
         // If we still don't have a profile URL, try to construct it from the ID
@@ -418,17 +513,16 @@ async function getUserInfo() {
             userInfo.profileUrl = `https://www.linkedin.com/in/${userInfo.id}/`;
         }
 
-        // Save the user info we found to localStorage for future use
-        if (userInfo.id || userInfo.profileUrl) {
-            try {
-                localStorage.setItem('linkedin-comment-generator-user-info', JSON.stringify(userInfo));
-            } catch (e) {
-                debug.log('Error saving to localStorage', e);
-            }
+        // Remember the user we found for pages that do not show it
+        if ((userInfo.id || userInfo.profileUrl) && (!remembered ||
+            remembered.id !== userInfo.id ||
+            remembered.profileUrl !== userInfo.profileUrl ||
+            remembered.name !== userInfo.name)) {
+            await rememberLinkedInUser(userInfo);
         }
 
-        // Generate a stable ID if we don't have one yet
-        if (!userInfo.id) {
+        // Generate a stable ID if we don't have one yet (only if the user allowed it)
+        if (!userInfo.id && options.allowFingerprint) {
             // Use a hash of the navigator properties to create a device fingerprint
             const deviceInfo = `${navigator.userAgent}|${navigator.language}|${navigator.platform}|${screen.width}x${screen.height}`;
             const deviceHash = Array.from(deviceInfo).reduce((hash, char) =>
@@ -437,20 +531,51 @@ async function getUserInfo() {
             userInfo.id = `user_${deviceHash}`;
         }
 
+        // Otherwise the install id keeps requests from this browser together
+        if (!userInfo.id) {
+            userInfo.id = `install_${identity.installId}`;
+        }
+
         debug.log('Retrieved user info', userInfo);
         return userInfo;
     } catch (error) {
         debug.error('Error getting user info', error);
-        // Return fallback user info with a random ID
+        // Return fallback user info with the install id, if it can be read
+        const identity = await getIdentity().catch(() => null);
         return {
-            id: `user_${Math.random().toString(36).substring(2, 15)}`,
-            email: 'unknown',
-            name: 'unknown',
+            id: identity ? `install_${identity.installId}` : null,
+            email: null,
+            name: null,
             profileUrl: null
         };
     }
 }
 
+/**
+ * Page localStorage key older versions cached the LinkedIn user under
+ */
+const LEGACY_USER_INFO_KEY = 'linkedin-comment-generator-user-info';
+
+/**
+ * Moves the user older versions cached in the page's localStorage into the
+ * extension's identity, and removes it from the page
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyUserInfo() {
+    try {
+        const legacy = JSON.parse(localStorage.getItem(LEGACY_USER_INFO_KEY));
+        if (!legacy) return;
+
+        const identity = await getIdentity();
+        if (!identity.linkedIn && (legacy.id || legacy.profileUrl)) {
+            await rememberLinkedInUser(legacy);
+        }
+        localStorage.removeItem(LEGACY_USER_INFO_KEY);
+    } catch (error) {
+        debug.error('Error moving saved user info to extension storage', error);
+    }
+}
+
 /**
  * Post a comment to LinkedIn
  * @param {HTMLElement} post - The post element
@@ -458,1155 +583,3346 @@ async function getUserInfo() {
  * @returns {Promise<boolean>} Success status
  */
 async function postCommentToLinkedIn(post, commentText) {
+    let reservation = null;
     try {
         debug.log('Attempting to post comment to LinkedIn', { commentText });
 
-        // Step 1: Find and click the comment button to ensure comment box is visible
-        const commentButton = post.querySelector('button[aria-label*="comment" i], button.comment-button, [aria-label*="Comment" i][role="button"], [data-control-name="comment"]');
+        reservation = await requestPostSlot();
 
-        if (commentButton && !commentButton.disabled) {
-            debug.log('Clicking comment button to open comment box');
-            commentButton.click();
-            await new Promise(resolve => setTimeout(resolve, 1000));
-        }
+        const commentBox = await openCommentEditor(post);
+        await fillCommentEditor(commentBox, commentText);
+        await submitCommentEditor(post, commentBox);
 
-        // Step 2: Find the comment box
-        const commentBoxSelectors = [
-            '.ql-editor[contenteditable="true"]',
-            'div[data-placeholder="Add a comment…"]',
-            '.comments-comment-texteditor div[contenteditable="true"]',
-            '.comments-comment-box__form div[contenteditable="true"]',
-            'div[role="textbox"][contenteditable="true"]'
-        ];
-
-        let commentBox = null;
-        for (const selector of commentBoxSelectors) {
-            const boxes = post.querySelectorAll(selector);
-            for (const box of boxes) {
-                // Check if the box is visible and part of a comment form
-                if (box.offsetParent !== null && box.isContentEditable) {
-                    commentBox = box;
-                    break;
-                }
-            }
-            if (commentBox) break;
+        debug.log('Comment posted successfully');
+        return true;
+    } catch (error) {
+        debug.error('Error posting comment to LinkedIn', error);
+        if (reservation) {
+            returnPostSlot(reservation);
         }
+        throw error;
+    }
+}
 
-        if (!commentBox) {
-            throw new Error('Could not find comment box. Please open the comment section manually.');
-        }
+/**
+ * Asks the background worker, which paces posts from every tab, whether a
+ * comment may be submitted now
+ * @returns {Promise<Object>} Reservation to return if posting then fails
+ * @throws {Error} If posting is throttled; error.retryAt holds the time (ms)
+ *     posting is allowed again
+ */
+async function requestPostSlot() {
+    const response = await chrome.runtime.sendMessage({ action: 'reservePostSlot' });
+    if (!response || !response.success) {
+        throw new Error((response && response.error) || 'No response from extension background');
+    }
 
-        debug.log('Found comment box', commentBox);
+    if (!response.allowed) {
+        const error = new Error(response.usage.reason);
+        error.retryAt = response.usage.retryAt;
+        throw error;
+    }
 
-        // Step 3: Focus and clear the comment box
-        commentBox.focus();
-        await new Promise(resolve => setTimeout(resolve, 300));
+    return response.reservation;
+}
 
-        // Clear any existing content
-        commentBox.innerHTML = '';
+/**
+ * Reads how much of the posting caps is used
+ * @returns {Promise<Object>} {hour, day, hourlyCap, dailyCap, retryAt, reason}
+ *     where retryAt is 0 when a comment may be posted now
+ */
+async function getPostingUsage() {
+    const response = await chrome.runtime.sendMessage({ action: 'getPostingUsage' });
+    if (!response || !response.success) {
+        throw new Error((response && response.error) || 'No response from extension background');
+    }
+    return response.usage;
+}
 
-        // Step 4: Insert the comment text in a way LinkedIn recognizes
-        // Create a paragraph element with the text
-        const paragraph = document.createElement('p');
-        paragraph.textContent = commentText;
-        commentBox.appendChild(paragraph);
-
-        // Step 5: Trigger all necessary events for LinkedIn to recognize the input
-        const events = [
-            new Event('focus', { bubbles: true }),
-            new Event('input', { bubbles: true }),
-            new Event('change', { bubbles: true }),
-            new KeyboardEvent('keydown', { bubbles: true, cancelable: true, key: 'a' }),
-            new KeyboardEvent('keypress', { bubbles: true, cancelable: true, key: 'a' }),
-            new KeyboardEvent('keyup', { bubbles: true, cancelable: true, key: 'a' }),
-            new Event('blur', { bubbles: true })
-        ];
-
-        events.forEach(event => commentBox.dispatchEvent(event));
-
-        // Focus again to ensure LinkedIn's state is updated
-        commentBox.focus();
-        await new Promise(resolve => setTimeout(resolve, 800));
-
-        // Step 6: Find and click the post button
-        const postButtonSelectors = [
-            'button.comments-comment-box__submit-button--cr',
-            'button.comments-comment-box__submit-button',
-            'form.comments-comment-box__form button[type="submit"]',
-            'button[aria-label*="Post" i]',
-            'button.artdeco-button--primary[type="submit"]'
-        ];
-
-        let postButton = null;
-
-        // Look for post button in the comment form area
-        const commentForm = commentBox.closest('form, .comments-comment-box, .comments-comment-box__form');
-        if (commentForm) {
-            for (const selector of postButtonSelectors) {
-                const button = commentForm.querySelector(selector);
-                if (button && !button.disabled && button.offsetParent !== null) {
-                    postButton = button;
-                    break;
-                }
-            }
-        }
+/**
+ * Returns the slot of a post that failed, so it doesn't count towards the caps
+ * @param {Object} reservation - From requestPostSlot
+ */
+function returnPostSlot(reservation) {
+    chrome.runtime.sendMessage({ action: 'releasePostSlot', reservation })
+        .catch(error => debug.error('Error releasing post slot', error));
+}
 
-        // If not found in form, search in the entire post
-        if (!postButton) {
-            for (const selector of postButtonSelectors) {
-                const buttons = post.querySelectorAll(selector);
-                for (const button of buttons) {
-                    if (!button.disabled && button.offsetParent !== null) {
-                        // Check if this button is near our comment box
-                        const buttonRect = button.getBoundingClientRect();
-                        const boxRect = commentBox.getBoundingClientRect();
-                        const distance = Math.abs(buttonRect.top - boxRect.top);
-
-                        if (distance < 200) { // Within 200px vertically
-                            postButton = button;
-                            break;
-                        }
-                    }
-                }
-                if (postButton) break;
-            }
-        }
+/**
+ * Formats the time left until posting is allowed again
+ * @param {number} ms - Remaining time
+ * @returns {string} e.g. "0:45", "12:05" or "3h 20m"
+ */
+function formatWaitTime(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
 
-        if (!postButton) {
-            throw new Error('Could not find the Post button. The button might be disabled or hidden.');
-        }
+// Countdowns running on post buttons, by button
+const postCountdowns = new WeakMap();
 
-        debug.log('Found post button, clicking...', postButton);
+/**
+ * Disables a post button and counts down until posting is allowed again
+ * @param {HTMLButtonElement} button - The button
+ * @param {number} retryAt - Time posting is allowed again (ms)
+ */
+function showPostCountdown(button, retryAt) {
+    const existing = postCountdowns.get(button);
+    if (existing) {
+        clearInterval(existing.timer);
+    }
+    const label = existing ? existing.label : button.textContent;
+
+    const tick = () => {
+        const remaining = retryAt - Date.now();
+        if (remaining <= 0 || !button.isConnected) {
+            clearInterval(timer);
+            postCountdowns.delete(button);
+            button.textContent = label;
+            button.disabled = false;
+            return;
+        }
+        button.textContent = `Wait ${formatWaitTime(remaining)}`;
+        button.disabled = true;
+    };
 
-        // Step 7: Click the post button
-        await new Promise(resolve => setTimeout(resolve, 500));
-        postButton.click();
+    const timer = setInterval(tick, 1000);
+    postCountdowns.set(button, { timer, label });
+    tick();
+}
 
-        // Step 8: Wait a bit to ensure the comment is posted
-        await new Promise(resolve => setTimeout(resolve, 1500));
+/**
+ * Insert a comment into a post's comment box, or a reply into a comment's
+ * reply box, without posting it
+ * @param {HTMLElement} post - The post element
+ * @param {string} commentText - The comment text to insert
+ * @param {Object} options - Optional settings
+ * @param {HTMLElement} options.replyTo - Comment to reply to, for a reply
+ * @param {boolean} options.focus - Scroll to the box and leave the cursor at
+ *     the end of the text; otherwise focus goes back where it was
+ * @returns {Promise<boolean>} Success status
+ */
+async function insertCommentIntoLinkedIn(post, commentText, options = {}) {
+    try {
+        debug.log('Inserting comment into LinkedIn comment box', { commentText });
+
+        const previousFocus = document.activeElement;
+        const commentBox = options.replyTo
+            ? await openReplyEditor(post, options.replyTo)
+            : await openCommentEditor(post);
+        await fillCommentEditor(commentBox, commentText);
+
+        if (options.focus) {
+            commentBox.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            commentBox.focus();
+            const range = document.createRange();
+            range.selectNodeContents(commentBox);
+            range.collapse(false);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        } else if (previousFocus && previousFocus !== commentBox && previousFocus.isConnected) {
+            previousFocus.focus({ preventScroll: true });
+        } else {
+            commentBox.blur();
+        }
 
-        debug.log('Comment posted successfully');
+        debug.log('Comment inserted');
         return true;
     } catch (error) {
-        debug.error('Error posting comment to LinkedIn', error);
+        debug.error('Error inserting comment into LinkedIn', error);
         throw error;
     }
 }
-// Fallback local comment generation
-function generateCommentLocally(postContent, hint) {
-    const templates = [
-        "This is a great point about {content}! {hint_text}I've found that engaging with these ideas can lead to valuable insights.",
-        "Really appreciate you sharing this perspective on {content}. {hint_text}It's given me something to think about.",
-        "Interesting take on {content}! {hint_text}Thanks for sharing these thoughts with the community.",
-        "I found this quite insightful, especially regarding {content}. {hint_text}Looking forward to more of your content on this topic.",
-        "Thanks for highlighting these points about {content}. {hint_text}It's an important conversation to have."
-    ];
 
-    // Select a random template
-    const template = templates[Math.floor(Math.random() * templates.length)];
+/**
+ * Sends a comment to LinkedIn the way the insertion mode says
+ * @param {HTMLElement} post - The post element
+ * @param {string} commentText - The comment text
+ * @param {Object} options - Settings:
+ * @param {string} options.mode - 'insert', 'focus' or 'submit' (see INSERTION_MODES)
+ * @param {HTMLElement} options.replyTo - Comment to reply to, for a reply
+ * @returns {Promise<boolean>} Success status
+ */
+async function applyCommentToLinkedIn(post, commentText, options) {
+    if (options.mode === 'submit') {
+        return options.replyTo
+            ? postReplyToLinkedIn(post, options.replyTo, commentText)
+            : postCommentToLinkedIn(post, commentText);
+    }
+    return insertCommentIntoLinkedIn(post, commentText, {
+        replyTo: options.replyTo,
+        focus: options.mode === 'focus'
+    });
+}
+
+/**
+ * Opens a post's comment box
+ * @param {HTMLElement} post - The post element
+ * @returns {Promise<HTMLElement>} The comment editor
+ * @throws {Error} If the comment box cannot be found
+ */
+async function openCommentEditor(post) {
+    // Step 1: Find and click the comment button to ensure comment box is visible
+    let commentBox = findCommentEditor(post, box => !box.closest(getSelector('comment')));
+
+    if (!commentBox) {
+        const commentButton = post.querySelector(getSelector('commentButton'));
+
+        if (commentButton && !commentButton.disabled) {
+            debug.log('Clicking comment button to open comment box');
+            commentButton.click();
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
 
-    // Prepare a shortened version of the content
-    const shortContent = postContent.length > 30
-        ? postContent.substring(0, 30) + "..."
-        : postContent;
+        // Step 2: Find the comment box, ignoring reply editors open inside threads
+        commentBox = findCommentEditor(post, box => !box.closest(getSelector('comment')));
+    }
 
-    // Format the hint text if present
-    const hintText = hint ? `(${hint}) ` : '';
+    if (!commentBox) {
+        throw new Error('Could not find comment box. Please open the comment section manually.');
+    }
 
-    // Generate the comment using the template
-    return template
-        .replace('{content}', shortContent)
-        .replace('{hint_text}', hintText);
+    debug.log('Found comment box', commentBox);
+    return commentBox;
 }
 
-// Track which posts have been processed and the active comment UI
-let processedPostIds = new Set();
-let activeCommentUI = null;
+/**
+ * Post a reply inside a comment thread
+ * @param {HTMLElement} post - The post element
+ * @param {HTMLElement} comment - The comment being replied to
+ * @param {string} replyText - The reply text to post
+ * @returns {Promise<boolean>} Success status
+ */
+async function postReplyToLinkedIn(post, comment, replyText) {
+    let reservation = null;
+    try {
+        debug.log('Attempting to post reply to LinkedIn', { replyText });
 
-// Function to get a unique ID for a post
-function getPostId(post) {
-    // Try to get data-urn attribute which is typically unique for posts
-    const urn = post.getAttribute('data-urn');
-    if (urn) return `urn-${urn}`;
+        reservation = await requestPostSlot();
 
-    // If no urn, try to find an id attribute
-    const id = post.id;
-    if (id) return `id-${id}`;
+        const replyBox = await openReplyEditor(post, comment);
+        await fillCommentEditor(replyBox, replyText);
+        await submitCommentEditor(comment, replyBox);
 
-    // Try to find any unique content
-    const uniqueText = extractPostContent(post).slice(0, 40).replace(/\s+/g, '-');
-    if (uniqueText && uniqueText !== 'LinkedIn-post') {
-        return `content-${uniqueText}`;
+        debug.log('Reply posted successfully');
+        return true;
+    } catch (error) {
+        debug.error('Error posting reply to LinkedIn', error);
+        if (reservation) {
+            returnPostSlot(reservation);
+        }
+        throw error;
     }
-
-    // As a fallback, use a combination of classList and position in document
-    const postIndex = Array.from(document.querySelectorAll('.feed-shared-update-v2, .occludable-update')).indexOf(post);
-    return `post-${post.classList.toString()}-${postIndex}`;
 }
 
-// Check if a post has meaningful content/caption
-function hasContent(post) {
-    // Look for text content with minimum length
-    const minContentLength = 20;
+/**
+ * Opens the reply box of a comment
+ * @param {HTMLElement} post - The post the comment belongs to
+ * @param {HTMLElement} comment - The comment being replied to
+ * @returns {Promise<HTMLElement>} The reply editor
+ * @throws {Error} If the reply box cannot be found
+ */
+async function openReplyEditor(post, comment) {
+    // Step 1: Open the thread's reply editor
+    const replyButton = findReplyButton(comment);
+    if (replyButton && !replyButton.disabled) {
+        debug.log('Clicking reply button to open reply box');
+        replyButton.click();
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
 
-    // Try to find text in common LinkedIn post content areas
-    const contentSelectors = [
-        '.feed-shared-update-v2__description-wrapper',
-        '.feed-shared-text__text-view',
-        '.update-components-text',
-        '.feed-shared-inline-show-more-text',
-        '.feed-shared-text-view',
-        '.feed-shared-actor__description',
-        '.update-components-actor__description',
-        '.update-components-article__title',
-        '.update-components-article__description',
-        '.feed-shared-external-video__description',
-        '.feed-shared-update-v2__commentary'
-    ];
+    // Step 2: The reply editor opens inside the comment's thread
+    const replyBox = findCommentEditor(comment) ||
+        findCommentEditor(post, box => box.closest(getSelector('comment')) === comment);
 
-    for (const selector of contentSelectors) {
-        const elements = post.querySelectorAll(selector);
-        for (const element of elements) {
-            const text = element.textContent.trim();
-            if (text.length >= minContentLength) {
-                return true;
-            }
-        }
+    if (!replyBox) {
+        throw new Error('Could not find reply box. Please click Reply on the comment manually.');
     }
 
-    // Also check for posts with images or videos
-    const mediaSelectors = [
-        'img.feed-shared-image',
-        '.feed-shared-image__container',
-        '.feed-shared-linkedin-video',
-        '.feed-shared-external-video',
-        '.feed-shared-mini-article',
-        '.feed-shared-article__preview-image'
-    ];
+    debug.log('Found reply box', replyBox);
+    return replyBox;
+}
 
-    for (const selector of mediaSelectors) {
-        if (post.querySelector(selector)) {
-            return true;
+/**
+ * Finds a visible comment editor
+ * @param {HTMLElement} scope - Element to search in
+ * @param {Function} accept - Optional filter for candidate editors
+ * @returns {HTMLElement|null} The editor, if one is open
+ */
+function findCommentEditor(scope, accept = () => true) {
+    for (const selector of getSelectors('commentEditor')) {
+        const boxes = scope.querySelectorAll(selector);
+        for (const box of boxes) {
+            // Check if the box is visible and part of a comment form
+            if (box.offsetParent !== null && box.isContentEditable && accept(box)) {
+                return box;
+            }
         }
     }
 
-    return false;
+    return null;
 }
 
-// Simple function to extract content from a post
-function extractPostContent(post) {
-    debug.log('Extracting content from post', post);
-
-    // Try to find the main post content using more specific LinkedIn selectors first
-    const contentSelectors = [
-        '.feed-shared-update-v2__description-wrapper',
-        '.feed-shared-text__text-view',
-        '.update-components-text',
-        '.feed-shared-inline-show-more-text',
-        '.feed-shared-text-view',
-        '.feed-shared-update-v2__commentary',
-        '.update-components-article__title',
-        '.update-components-article__description',
-        '.feed-shared-external-video__description'
-    ];
+/**
+ * Matches @mentions in generated text: up to three capitalized words after an
+ * @ that starts a word, e.g. "@Jane Doe". Email addresses are left alone.
+ */
+const MENTION_PATTERN = /(^|\s)@(\p{Lu}[\p{L}\p{M}'’-]*(?: \p{Lu}[\p{L}\p{M}'’-]*){0,2})/gu;
 
-    // Try each selector to find content
-    for (const selector of contentSelectors) {
-        const elements = post.querySelectorAll(selector);
-        for (const element of elements) {
-            const text = element.textContent.trim();
-            if (text.length > 10) {
-                debug.log('Found post content using selector', { selector, text });
-                return text;
+/**
+ * How long to wait for LinkedIn to suggest someone for a mention
+ */
+const MENTION_LOOKUP_TIMEOUT_MS = 3000;
+
+/**
+ * Fills a comment editor in a way LinkedIn recognizes. Each line becomes a
+ * paragraph, @mentions are turned into LinkedIn mentions where a matching
+ * member is suggested, and hashtags are kept as written (LinkedIn links them
+ * once the comment is posted).
+ * @param {HTMLElement} commentBox - The editor
+ * @param {string} commentText - The text to insert
+ * @returns {Promise<void>}
+ */
+async function fillCommentEditor(commentBox, commentText) {
+    const { insertion } = await getSettings();
+
+    // Step 3: Focus the comment box
+    commentBox.focus();
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    // Step 4: Insert one paragraph per line, keeping or clearing what is there
+    const paragraphs = buildCommentParagraphs(commentText);
+    const hasText = commentBox.textContent.trim() !== '';
+
+    if (insertion.existingText === 'append' && hasText) {
+        const lastParagraph = commentBox.lastElementChild;
+        // Reply boxes start with a mention of the commenter; carry on after it
+        if (lastParagraph && endsWithMention(lastParagraph)) {
+            if (!/\s$/.test(lastParagraph.textContent)) {
+                lastParagraph.append(' ');
             }
+            lastParagraph.append(...paragraphs.shift().childNodes);
         }
+        commentBox.append(...paragraphs);
+    } else {
+        commentBox.replaceChildren(...paragraphs);
     }
 
-    // Fallback: Look for any text content with reasonable length
-    debug.log('Falling back to generic content extraction');
-    const textElements = post.querySelectorAll('span, p, div');
-    let content = '';
+    // Step 5: Trigger all necessary events for LinkedIn to recognize the input
+    const events = [
+        new Event('focus', { bubbles: true }),
+        new Event('input', { bubbles: true }),
+        new Event('change', { bubbles: true }),
+        new KeyboardEvent('keydown', { bubbles: true, cancelable: true, key: 'a' }),
+        new KeyboardEvent('keypress', { bubbles: true, cancelable: true, key: 'a' }),
+        new KeyboardEvent('keyup', { bubbles: true, cancelable: true, key: 'a' }),
+        new Event('blur', { bubbles: true })
+    ];
 
-    for (const element of textElements) {
-        const text = element.textContent.trim();
-        if (text.length > 30) {
-            content = text;
-            debug.log('Found content through fallback method', content);
-            break;
-        }
-    }
+    events.forEach(event => commentBox.dispatchEvent(event));
 
-    if (!content) {
-        debug.log('No suitable content found in post, using default text');
-        return 'LinkedIn post';
+    // Focus again to ensure LinkedIn's state is updated
+    commentBox.focus();
+    await new Promise(resolve => setTimeout(resolve, 800));
+
+    const names = Array.from(commentText.matchAll(MENTION_PATTERN), match => match[2].replace(/(['’]s|['’-]+)$/, ''));
+    if (names.length > 0) {
+        const resolved = await resolveMentions(commentBox, names);
+        debug.log('Mentions resolved', { found: names.length, resolved });
     }
+}
 
-    return content;
+/**
+ * Splits comment text into editor paragraphs, one per line
+ * @param {string} commentText - The comment text
+ * @returns {HTMLElement[]} Paragraph elements; blank lines hold a <br> like
+ *     the ones the editor creates itself
+ */
+function buildCommentParagraphs(commentText) {
+    return commentText.replace(/\r\n?/g, '\n').trim().split('\n').map(line => {
+        const paragraph = document.createElement('p');
+        if (line.trim()) {
+            paragraph.textContent = line;
+        } else {
+            paragraph.appendChild(document.createElement('br'));
+        }
+        return paragraph;
+    });
 }
 
-// Check if a post is commentable (has comment functionality)
-function isCommentable(post) {
-    // Check for the presence of a comment button
-    const commentButtonSelectors = [
-        'button[aria-label*="comment" i]',
-        'button.comment-button',
-        '[aria-label*="Comment" i][role="button"]',
-        '.comment-button',
-        '[data-control-name="comment"]'
-    ];
+/**
+ * Checks whether an editor paragraph ends with a resolved mention
+ * @param {HTMLElement} paragraph - Editor paragraph
+ * @returns {boolean} True if only whitespace follows the last mention
+ */
+function endsWithMention(paragraph) {
+    const mentions = paragraph.querySelectorAll(getSelector('mentionEntity'));
+    if (mentions.length === 0) return false;
+
+    const rest = document.createRange();
+    rest.setStartAfter(mentions[mentions.length - 1]);
+    rest.setEnd(paragraph, paragraph.childNodes.length);
+    return rest.toString().trim() === '';
+}
 
-    for (const selector of commentButtonSelectors) {
-        if (post.querySelector(selector)) {
-            return true;
+/**
+ * Turns @Name text in an editor into LinkedIn mentions. Each name is typed
+ * again through the editor so LinkedIn opens its suggestion list, and the
+ * person whose name matches is picked. Names nobody matches stay plain text.
+ * @param {HTMLElement} commentBox - The editor
+ * @param {string[]} names - Mentioned names, in the order they appear
+ * @returns {Promise<number>} Number of mentions resolved
+ */
+async function resolveMentions(commentBox, names) {
+    // Occurrences of each name already left as text, so they are not retried
+    const skipped = new Map();
+    let resolved = 0;
+
+    for (const name of names) {
+        const range = findMentionText(commentBox, `@${name}`, skipped.get(name) || 0);
+        if (!range) continue;
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        // Only real editing commands reach LinkedIn's mention lookup
+        document.execCommand('insertText', false, `@${name}`);
+
+        const option = await waitForMentionOption(name);
+        if (option) {
+            option.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, cancelable: true }));
+            option.click();
+            resolved++;
+        } else {
+            debug.log('No member suggested for mention', { name });
+            // Close the suggestion list so it does not catch later keys
+            commentBox.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, key: 'Escape' }));
+            skipped.set(name, (skipped.get(name) || 0) + 1);
         }
+        await new Promise(resolve => setTimeout(resolve, 300));
     }
 
-    // Check for the presence of a comment section
-    const commentSectionSelectors = [
-        '.comments-comment-box',
-        '.comments-comment-texteditor',
-        '.feed-shared-comment-box'
-    ];
+    return resolved;
+}
 
-    for (const selector of commentSectionSelectors) {
-        if (post.querySelector(selector)) {
-            return true;
+/**
+ * Finds @Name text in an editor that is not already a mention
+ * @param {HTMLElement} commentBox - The editor
+ * @param {string} token - Text to find, e.g. "@Jane Doe"
+ * @param {number} skip - Number of matches to pass over
+ * @returns {Range|null} Range covering the text, or null if not found
+ */
+function findMentionText(commentBox, token, skip) {
+    const mentionSelector = getSelector('mentionEntity');
+    const walker = document.createTreeWalker(commentBox, NodeFilter.SHOW_TEXT);
+    let remaining = skip;
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const mention = node.parentElement.closest(mentionSelector);
+        if (mention && commentBox.contains(mention)) continue;
+
+        for (let index = node.data.indexOf(token); index !== -1; index = node.data.indexOf(token, index + token.length)) {
+            if (remaining > 0) {
+                remaining--;
+                continue;
+            }
+            const range = document.createRange();
+            range.setStart(node, index);
+            range.setEnd(node, index + token.length);
+            return range;
         }
     }
 
-    return false;
+    return null;
 }
 
-// Create a comment UI that appears when the generate button is clicked
-function createCommentUI(post, generateButton) {
-    const container = document.createElement('div');
-    container.className = 'linkedin-comment-generator-ui';
-    container.style.cssText = `
-        padding: 24px;
-        background: #ffffff;
-        border: 1px solid #e5e5e5;
-        border-radius: 8px;
-        margin: 16px 8px;
-        box-shadow: 0 2px 8px rgba(0,0,0,0.08);
-        transition: all 0.3s ease;
-        position: relative;
-    `;
+/**
+ * Waits for LinkedIn's suggestion list to offer someone with the given name
+ * @param {string} name - Mentioned name
+ * @returns {Promise<HTMLElement|null>} The matching suggestion, or null if
+ *     none appeared in time
+ */
+async function waitForMentionOption(name) {
+    const wanted = name.toLowerCase();
+    const deadline = Date.now() + MENTION_LOOKUP_TIMEOUT_MS;
 
-    // Create the UI elements
-    const heading = document.createElement('h3');
-    heading.textContent = 'Generate Comment';
-    heading.style.cssText = `
-        margin: 0 0 20px 0;
-        font-size: 17px;
-        color: #1a1a1a;
-        font-weight: 600;
-        letter-spacing: -0.3px;
-    `;
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 250));
 
-    const hintInput = document.createElement('input');
-    hintInput.type = 'text';
-    hintInput.placeholder = 'Add feedback to refine the comment (optional)';
-    hintInput.style.cssText = `
-        display: none;
-        width: 100%;
-        padding: 11px 14px;
-        border: 1px solid #d0d0d0;
-        border-radius: 6px;
-        margin-bottom: 16px;
-        font-size: 13.5px;
-        box-sizing: border-box;
-        transition: border-color 0.2s ease, box-shadow 0.2s ease;
-        outline: none;
-        font-weight: 400;
-        color: #333;
-        line-height: 1.4;
-    `;
+        for (const list of document.querySelectorAll(getSelector('mentionTypeahead'))) {
+            const option = Array.from(list.querySelectorAll(getSelector('mentionOption'))).find(candidate =>
+                candidate.textContent.replace(/\s+/g, ' ').trim().toLowerCase().startsWith(wanted));
+            if (option) return option;
+        }
+    }
 
-    hintInput.addEventListener('focus', () => {
-        hintInput.style.borderColor = '#0a66c2';
-        hintInput.style.boxShadow = '0 0 0 2px rgba(10, 102, 194, 0.1)';
-    });
+    return null;
+}
 
-    hintInput.addEventListener('blur', () => {
-        hintInput.style.borderColor = '#d0d0d0';
-        hintInput.style.boxShadow = 'none';
-    });
+/**
+ * Clicks the submit button belonging to a filled comment editor
+ * @param {HTMLElement} scope - Post or comment the editor belongs to
+ * @param {HTMLElement} commentBox - The editor
+ * @returns {Promise<void>}
+ * @throws {Error} If the submit button cannot be found
+ */
+async function submitCommentEditor(scope, commentBox) {
+    // Step 6: Find and click the post button
+    const postButtonSelectors = getSelectors('submitButton');
+
+    let postButton = null;
+
+    // Look for post button in the comment form area
+    const commentForm = commentBox.closest(getSelector('commentForm'));
+    if (commentForm) {
+        for (const selector of postButtonSelectors) {
+            const button = commentForm.querySelector(selector);
+            if (button && !button.disabled && button.offsetParent !== null) {
+                postButton = button;
+                break;
+            }
+        }
+    }
 
-    // Add tone dropdown
-    const toneContainer = document.createElement('div');
-    toneContainer.className = 'linkedin-comment-generator-tone-container';
-    toneContainer.style.cssText = `
-        margin-bottom: 16px;
-        position: relative;
-        width: 100%;
-    `;
+    // If not found in form, search in the entire post or thread
+    if (!postButton) {
+        for (const selector of postButtonSelectors) {
+            const buttons = scope.querySelectorAll(selector);
+            for (const button of buttons) {
+                if (!button.disabled && button.offsetParent !== null) {
+                    // Check if this button is near our comment box
+                    const buttonRect = button.getBoundingClientRect();
+                    const boxRect = commentBox.getBoundingClientRect();
+                    const distance = Math.abs(buttonRect.top - boxRect.top);
+
+                    if (distance < 200) { // Within 200px vertically
+                        postButton = button;
+                        break;
+                    }
+                }
+            }
+            if (postButton) break;
+        }
+    }
 
-    const toneLabel = document.createElement('label');
-    toneLabel.textContent = 'Select Tone';
-    toneLabel.style.cssText = `
-        display: block;
-        margin-bottom: 8px;
-        font-size: 13px;
-        color: #666;
-        font-weight: 500;
-        letter-spacing: 0.3px;
-    `;
+    if (!postButton) {
+        throw new Error('Could not find the Post button. The button might be disabled or hidden.');
+    }
 
-    // Custom dropdown container
-    const customDropdown = document.createElement('div');
-    customDropdown.className = 'custom-dropdown';
-    customDropdown.style.cssText = `
-        position: relative;
-        width: 100%;
-    `;
+    debug.log('Found post button, clicking...', postButton);
 
-    // Hidden native select element for form submission
-    const toneSelect = document.createElement('select');
-    toneSelect.className = 'linkedin-comment-generator-tone-select';
-    toneSelect.style.cssText = `
-        position: absolute;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        opacity: 0;
-        cursor: pointer;
-        z-index: 1;
-    `;
+    // Step 7: Click the post button
+    await new Promise(resolve => setTimeout(resolve, 500));
+    postButton.click();
 
-    // Custom display element
-    const customDropdownDisplay = document.createElement('div');
-    customDropdownDisplay.className = 'custom-dropdown-display';
-    customDropdownDisplay.style.cssText = `
-        padding: 11px 14px;
-        border: 1px solid #d0d0d0;
-        border-radius: 6px;
-        font-size: 14px;
-        background-color: #ffffff;
-        font-weight: 500;
-        color: #333;
-        line-height: 1.4;
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        cursor: pointer;
-        transition: all 0.2s ease;
-    `;
+    // Step 8: Wait a bit to ensure the comment is posted
+    await new Promise(resolve => setTimeout(resolve, 1500));
+}
 
-    // Text element inside display
-    const displayText = document.createElement('span');
-    displayText.className = 'dropdown-display-text';
-    displayText.textContent = 'Professional';
-    displayText.style.cssText = `
-        flex: 1;
-        overflow: hidden;
-        text-overflow: ellipsis;
-        white-space: nowrap;
-    `;
+/**
+ * Finds the Reply action of a comment (not of one of its replies)
+ * @param {HTMLElement} comment - The comment element
+ * @returns {HTMLElement|null} The reply button, if present
+ */
+function findReplyButton(comment) {
+    const replyButtons = comment.querySelectorAll(getSelector('replyButton'));
 
-    // Arrow element
-    const displayArrow = document.createElement('span');
-    displayArrow.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>`;
-    displayArrow.style.cssText = `
-        margin-left: 8px;
-        display: flex;
-        align-items: center;
-        opacity: 0.6;
-    `;
+    for (const button of replyButtons) {
+        if (button.closest(getSelector('comment')) === comment) {
+            return button;
+        }
+    }
 
-    // Add tone options without emojis
-    const tones = [
-        { value: 'professional', label: 'Professional' },
-        { value: 'supportive', label: 'Supportive' },
-        { value: 'friendly', label: 'Friendly' },
-        { value: 'inquisitive', label: 'Inquisitive' },
-        { value: 'cheerful', label: 'Cheerful' },
-        { value: 'funny', label: 'Funny' }
-    ];
+    return null;
+}
 
-    // Add options to the native select
-    tones.forEach(tone => {
-        const option = document.createElement('option');
-        option.value = tone.value;
-        option.textContent = tone.label;
-        if (tone.value === 'professional') {
-            option.selected = true;
-        }
-        toneSelect.appendChild(option);
-    });
+/**
+ * Reads the author and text of a comment being replied to
+ * @param {HTMLElement} comment - The comment element
+ * @returns {{author: string, text: string}} Comment context
+ */
+function extractCommentContext(comment) {
+    return {
+        author: findText(comment, getSelector('commentAuthor')),
+        text: findText(comment, getSelector('commentText'))
+    };
+}
 
-    // Update display when select changes
-    toneSelect.addEventListener('change', () => {
-        const selectedOption = toneSelect.options[toneSelect.selectedIndex];
-        displayText.textContent = selectedOption.textContent;
-        customDropdownDisplay.style.borderColor = '#d0d0d0';
-        customDropdownDisplay.style.boxShadow = 'none';
-    });
+// Track which posts have been processed and the active comment UI
+let processedPostIds = new Set();
+let activeCommentUI = null;
 
-    // Handle focus/blur states for custom dropdown
-    toneSelect.addEventListener('focus', () => {
-        customDropdownDisplay.style.borderColor = '#0a66c2';
-        customDropdownDisplay.style.boxShadow = '0 0 0 2px rgba(10, 102, 194, 0.1)';
-    });
+// Post the user clicked most recently, preferred by the popup over the one in view
+let lastClickedPost = null;
 
-    toneSelect.addEventListener('blur', () => {
-        customDropdownDisplay.style.borderColor = '#d0d0d0';
-        customDropdownDisplay.style.boxShadow = 'none';
-    });
+// Post shown in the popup, which the popup's insert and post actions apply to
+let popupPost = null;
 
-    // Assemble custom dropdown
-    customDropdownDisplay.appendChild(displayText);
-    customDropdownDisplay.appendChild(displayArrow);
-    customDropdown.appendChild(customDropdownDisplay);
-    customDropdown.appendChild(toneSelect);
+// Function to get a unique ID for a post
+function getPostId(post) {
+    // Try to get data-urn attribute which is typically unique for posts
+    const urn = post.getAttribute('data-urn');
+    if (urn) return `urn-${urn}`;
 
-    toneContainer.appendChild(toneLabel);
-    toneContainer.appendChild(customDropdown);
+    // If no urn, try to find an id attribute
+    const id = post.id;
+    if (id) return `id-${id}`;
 
-    const commentBox = document.createElement('textarea');
-    commentBox.readOnly = true;
-    commentBox.placeholder = 'Generated comment will appear here...';
-    commentBox.style.cssText = `
-        width: 100%;
-        min-height: 120px;
-        padding: 14px;
-        border: 1px solid #d0d0d0;
-        border-radius: 6px;
-        font-size: 14px;
-        line-height: 1.6;
-        resize: vertical;
-        box-sizing: border-box;
-        background-color: #fafafa;
-        transition: background-color 0.2s ease;
-        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-        color: #333;
-    `;
+    // Try to find any unique content
+    const uniqueText = extractPostContent(post).slice(0, 40).replace(/\s+/g, '-');
+    if (uniqueText && uniqueText !== 'LinkedIn-post') {
+        return `content-${uniqueText}`;
+    }
 
-    // Create a container for the textarea and copy button
-    const commentBoxContainer = document.createElement('div');
-    commentBoxContainer.style.cssText = `
-        position: relative;
-        width: 100%;
-        margin-bottom: 10px;
-    `;
+    // As a fallback, use a combination of classList and position in document
+    const postIndex = Array.from(document.querySelectorAll(getSelector('feedPost'))).indexOf(post);
+    return `post-${post.classList.toString()}-${postIndex}`;
+}
 
-    // Add copy button
-    const copyButton = document.createElement('button');
-    copyButton.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>`;
-    copyButton.title = "Copy comment to clipboard";
-    copyButton.style.cssText = `
-        position: absolute;
-        top: 10px;
-        right: 10px;
+// Check if a post has meaningful content/caption
+function hasContent(post) {
+    // Look for text content with minimum length
+    const minContentLength = 20;
+
+    // Try to find text in common LinkedIn post content areas
+    for (const selector of getSelectors('contentCheck')) {
+        const elements = post.querySelectorAll(selector);
+        for (const element of elements) {
+            const text = element.textContent.trim();
+            if (text.length >= minContentLength) {
+                return true;
+            }
+        }
+    }
+
+    // Also check for posts with images or videos
+    for (const selector of getSelectors('mediaCheck')) {
+        if (post.querySelector(selector)) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// Simple function to extract content from a post
+function extractPostContent(post) {
+    return extractPostContext(post).text;
+}
+
+/**
+ * Maximum number of visible comments included in the post context
+ */
+const MAX_CONTEXT_COMMENTS = 5;
+
+/**
+ * Reads everything about a post that helps write a relevant comment
+ *
+ * @param {HTMLElement} post - The post element
+ * @returns {Object} Post context:
+ * {
+ *   text: string,                                   // Main commentary ('LinkedIn post' if none)
+ *   textComplete: boolean,                          // False while "see more" still hides text
+ *   author: {name, headline, profileUrl},
+ *   article: {title, subtitle, url}|null,           // Shared link preview
+ *   media: [{type: 'image'|'video'|'document', description}],
+ *   poll: {question, options: string[]}|null,
+ *   reshared: {author, text}|null,                  // Post being reshared
+ *   comments: [{author, text}]                      // Visible comments, oldest first
+ * }
+ */
+function extractPostContext(post) {
+    debug.log('Extracting context from post', post);
+
+    const context = {
+        text: extractCommentary(post),
+        textComplete: !findSeeMoreButton(post),
+        author: {
+            name: getPostAuthor(post),
+            headline: findText(post, getSelectors('authorHeadline')),
+            profileUrl: findProfileUrl(post)
+        },
+        article: extractArticle(post),
+        media: extractMedia(post),
+        poll: extractPoll(post),
+        reshared: extractReshared(post),
+        comments: extractVisibleComments(post)
+    };
+
+    debug.log('Extracted post context', context);
+    return context;
+}
+
+/**
+ * Finds the post's own commentary, ignoring comments and reshared posts
+ * @param {HTMLElement} post - The post element
+ * @returns {string} Commentary text, or 'LinkedIn post' if none was found
+ */
+function extractCommentary(post) {
+    // Try each selector to find content
+    for (const selector of getSelectors('postText')) {
+        for (const element of post.querySelectorAll(selector)) {
+            if (element.closest(getSelector('nested'))) continue;
+
+            const text = getTextWithoutButtons(element);
+            if (text.length > 10) {
+                debug.log('Found post content using selector', { selector, text });
+                return text;
+            }
+        }
+    }
+
+    // Fallback: Look for any text content with reasonable length
+    debug.log('Falling back to generic content extraction');
+    for (const element of post.querySelectorAll('span, p, div')) {
+        if (element.closest(getSelector('nested'))) continue;
+
+        const text = element.textContent.trim();
+        if (text.length > 30) {
+            debug.log('Found content through fallback method', text);
+            return text;
+        }
+    }
+
+    debug.log('No suitable content found in post, using default text');
+    return 'LinkedIn post';
+}
+
+/**
+ * Reads an element's text without the "…see more" and similar button labels
+ * @param {HTMLElement} element - Element to read
+ * @returns {string} Trimmed text
+ */
+function getTextWithoutButtons(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('button').forEach(button => button.remove());
+    return clone.textContent.trim();
+}
+
+/**
+ * Finds the "…see more" button of a post whose commentary is truncated
+ * @param {HTMLElement} post - The post element
+ * @returns {HTMLElement|null} The button, or null if the text is fully shown
+ */
+function findSeeMoreButton(post) {
+    for (const container of post.querySelectorAll(getSelector('showMore'))) {
+        if (container.closest(getSelector('nested'))) continue;
+
+        for (const button of container.querySelectorAll(getSelector('seeMoreButton'))) {
+            // The same toggle reads "see less" once expanded
+            if (button.getAttribute('aria-expanded') !== 'true' && /more/i.test(button.textContent)) {
+                return button;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Expands a truncated post so its full commentary can be read
+ * @param {HTMLElement} post - The post element
+ * @returns {Promise<boolean>} Whether the full text is now shown
+ */
+async function expandPostText(post) {
+    const button = findSeeMoreButton(post);
+    if (!button) {
+        return true;
+    }
+
+    debug.log('Expanding truncated post text');
+    button.click();
+
+    // LinkedIn re-renders the commentary asynchronously
+    for (let attempt = 0; attempt < 10; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 150));
+        if (!findSeeMoreButton(post)) {
+            return true;
+        }
+    }
+
+    debug.log('Post text is still truncated after expanding');
+    return false;
+}
+
+/**
+ * Returns the text of the first matching element that is not inside a
+ * nested region (comment, reply, reshared post) of the root
+ * @param {HTMLElement} root - Element to search in
+ * @param {string|string[]} selectors - Selectors to try in order
+ * @returns {string} Text, or an empty string if nothing matched
+ */
+function findText(root, selectors) {
+    for (const selector of [].concat(selectors)) {
+        for (const element of root.querySelectorAll(selector)) {
+            // Skip comments, replies and reshared posts nested inside the root
+            const nested = element.closest(getSelector('nested'));
+            if (nested && nested !== root && root.contains(nested)) continue;
+
+            const text = element.textContent.trim().replace(/\s+/g, ' ');
+            if (text) {
+                return text;
+            }
+        }
+    }
+    return '';
+}
+
+/**
+ * Reads the profile URL of a post's author, without tracking parameters
+ * @param {HTMLElement} post - The post element
+ * @returns {string} Profile URL, or an empty string if not found
+ */
+function findProfileUrl(post) {
+    for (const selector of getSelectors('authorLink')) {
+        const link = post.querySelector(selector);
+        if (link && link.href) {
+            return link.href.split('?')[0];
+        }
+    }
+    return '';
+}
+
+/**
+ * Reads the preview of an article or link shared in a post
+ * @param {HTMLElement} post - The post element
+ * @returns {{title: string, subtitle: string, url: string}|null} Article, or null
+ */
+function extractArticle(post) {
+    const article = Array.from(post.querySelectorAll(getSelector('article')))
+        .find(element => !element.closest(getSelector('nested')));
+    if (!article) {
+        return null;
+    }
+
+    const link = article.querySelector('a[href]');
+    return {
+        title: findText(article, getSelector('articleTitle')),
+        subtitle: findText(article, getSelector('articleSubtitle')),
+        url: link ? link.href : ''
+    };
+}
+
+/**
+ * Lists the images, videos and documents attached to a post
+ * @param {HTMLElement} post - The post element
+ * @returns {Object[]} Media items with a type and a description (alt text or title)
+ */
+function extractMedia(post) {
+    const outsideNested = element => !element.closest(getSelector('nested'));
+    const media = [];
+
+    post.querySelectorAll(getSelector('images')).forEach(image => {
+        if (outsideNested(image)) {
+            media.push({ type: 'image', description: (image.getAttribute('alt') || '').trim() });
+        }
+    });
+
+    post.querySelectorAll(getSelector('video')).forEach(video => {
+        if (outsideNested(video)) {
+            media.push({ type: 'video', description: (video.getAttribute('aria-label') || '').trim() });
+        }
+    });
+
+    post.querySelectorAll(getSelector('document')).forEach(documentElement => {
+        if (outsideNested(documentElement)) {
+            const title = documentElement.getAttribute('aria-label') ||
+                (documentElement.querySelector('h3, h2') || {}).textContent || '';
+            media.push({ type: 'document', description: title.trim() });
+        }
+    });
+
+    return media;
+}
+
+/**
+ * Reads the question and options of a poll in a post
+ * @param {HTMLElement} post - The post element
+ * @returns {{question: string, options: string[]}|null} Poll, or null
+ */
+function extractPoll(post) {
+    const poll = post.querySelector(getSelector('poll'));
+    if (!poll) {
+        return null;
+    }
+
+    const options = Array.from(poll.querySelectorAll(getSelector('pollOption')))
+        .map(option => option.textContent.trim().replace(/\s+/g, ' '))
+        .filter(Boolean);
+
+    return {
+        question: findText(poll, getSelector('pollQuestion')),
+        options: [...new Set(options)]
+    };
+}
+
+/**
+ * Reads the post being reshared, if any
+ * @param {HTMLElement} post - The post element
+ * @returns {{author: string, text: string}|null} Reshared post, or null
+ */
+function extractReshared(post) {
+    const reshared = post.querySelector(getSelector('reshared'));
+    if (!reshared) {
+        return null;
+    }
+
+    const text = findText(reshared, getSelectors('resharedText'));
+    if (!text) {
+        return null;
+    }
+
+    return {
+        author: getPostAuthor(reshared),
+        text
+    };
+}
+
+/**
+ * Reads the comments currently shown under a post
+ * @param {HTMLElement} post - The post element
+ * @returns {{author: string, text: string}[]} Up to MAX_CONTEXT_COMMENTS comments
+ */
+function extractVisibleComments(post) {
+    return Array.from(post.querySelectorAll(getSelector('comment')))
+        // Replies are nested comment items; keep top-level comments only
+        .filter(comment => !comment.parentElement.closest(getSelector('comment')))
+        .map(extractCommentContext)
+        .filter(comment => comment.text)
+        .slice(0, MAX_CONTEXT_COMMENTS);
+}
+
+// Check if a post is commentable (has comment functionality)
+function isCommentable(post) {
+    // Check for the presence of a comment button
+    for (const selector of getSelectors('commentButton')) {
+        if (post.querySelector(selector)) {
+            return true;
+        }
+    }
+
+    // Check for the presence of a comment section
+    for (const selector of getSelectors('commentSection')) {
+        if (post.querySelector(selector)) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Relevance rules from the settings, cached so buttons can be scored while
+ * the feed renders; kept up to date by watchRelevanceRules()
+ */
+let relevanceRules = DEFAULT_SETTINGS.relevance;
+
+/**
+ * Scores at or above which a post counts as high or medium relevance
+ */
+const RELEVANCE_LEVELS = { high: 70, medium: 40 };
+
+/**
+ * Parses a LinkedIn count such as "1,234", "1.2K" or "3M"
+ * @param {string} text - Count text
+ * @returns {number} The count, or 0 if none was found
+ */
+function parseCount(text) {
+    const match = String(text || '').replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KM]?)/i);
+    if (!match) return 0;
+
+    const multiplier = { K: 1000, M: 1000000 }[match[2].toUpperCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Parses a post age such as "5m", "3h", "2d", "1w", "4mo" or "1yr"
+ * @param {string} text - Age text from the post header
+ * @returns {number|null} Age in hours, or null if unknown
+ */
+function parseAgeHours(text) {
+    const match = String(text || '').match(/(\d+)\s*(mo|yr|m|h|d|w|y)\b/i);
+    if (!match) return null;
+
+    const hoursPerUnit = { m: 1 / 60, h: 1, d: 24, w: 168, mo: 720, yr: 8760, y: 8760 };
+    return Number(match[1]) * hoursPerUnit[match[2].toLowerCase()];
+}
+
+/**
+ * Reads what the relevance rules look at from a post
+ * @param {HTMLElement} post - The post element
+ * @returns {{text: string, author: string, hashtags: string[], reactions: number, ageHours: number|null}}
+ */
+function readRelevanceSignals(post) {
+    // Only the commentary; the full post context is read when generating
+    const text = extractCommentary(post);
+
+    const hashtags = new Set((text.match(/#[\p{L}\p{N}_]+/gu) || []).map(tag => tag.slice(1).toLowerCase()));
+    post.querySelectorAll(getSelector('hashtagLink')).forEach(link => {
+        hashtags.add(link.textContent.trim().replace(/^#/, '').toLowerCase());
+    });
+
+    const reactions = post.querySelector(getSelector('reactionsCount'));
+    const age = post.querySelector(getSelector('postAge'));
+
+    return {
+        text,
+        author: getPostAuthor(post),
+        hashtags: [...hashtags].filter(Boolean),
+        reactions: reactions ? parseCount(reactions.textContent) : 0,
+        ageHours: age ? parseAgeHours(age.textContent) : null
+    };
+}
+
+/**
+ * Scores how worthwhile a post is to comment on
+ * @param {Object} signals - From readRelevanceSignals()
+ * @param {Object} rules - settings.relevance
+ * @returns {{score: number, level: string, blocked: boolean, reasons: string[]}}
+ *     score is 0-100; level is 'high', 'medium' or 'low'
+ */
+function scoreRelevance(signals, rules) {
+    const normalize = value => String(value).trim().toLowerCase();
+    const author = normalize(signals.author);
+    const text = normalize(signals.text);
+    const reasons = [];
+
+    if (author && rules.blockedAuthors.some(name => normalize(name) === author)) {
+        return { score: 0, level: 'low', blocked: true, reasons: [`Blocked author: ${signals.author}`] };
+    }
+
+    let score = 50;
+
+    if (author && rules.watchedAuthors.some(name => normalize(name) === author)) {
+        score += 30;
+        reasons.push(`Watched author: ${signals.author}`);
+    }
+
+    const keywords = rules.keywords.filter(keyword => keyword.trim() && text.includes(normalize(keyword)));
+    if (keywords.length > 0) {
+        score += Math.min(keywords.length * 10, 30);
+        reasons.push(`Keywords: ${keywords.join(', ')}`);
+    }
+
+    const hashtags = rules.hashtags
+        .map(tag => normalize(tag).replace(/^#/, ''))
+        .filter(tag => tag && signals.hashtags.includes(tag));
+    if (hashtags.length > 0) {
+        score += Math.min(hashtags.length * 10, 20);
+        reasons.push(`Hashtags: ${hashtags.map(tag => `#${tag}`).join(', ')}`);
+    }
+
+    if (rules.minReactions > 0 && signals.reactions < rules.minReactions) {
+        score -= 25;
+        reasons.push(`Only ${signals.reactions} reactions`);
+    }
+
+    if (rules.maxAgeHours > 0 && signals.ageHours !== null && signals.ageHours > rules.maxAgeHours) {
+        score -= 25;
+        reasons.push(`Older than ${rules.maxAgeHours}h`);
+    }
+
+    score = Math.max(0, Math.min(100, score));
+    const level = score >= RELEVANCE_LEVELS.high ? 'high' : score >= RELEVANCE_LEVELS.medium ? 'medium' : 'low';
+
+    return { score, level, blocked: false, reasons };
+}
+
+/**
+ * Scores a post with the current rules
+ * @param {HTMLElement} post - The post element
+ * @returns {Object} Relevance (see scoreRelevance)
+ */
+function getPostRelevance(post) {
+    return scoreRelevance(readRelevanceSignals(post), relevanceRules);
+}
+
+/**
+ * Whether the rules hide the generate button of a post
+ * @param {Object} relevance - From getPostRelevance()
+ * @returns {boolean} True for blocked or low-relevance posts when hiding is enabled
+ */
+function isHiddenByRelevance(relevance) {
+    return relevanceRules.hideLowRelevance && (relevance.blocked || relevance.level === 'low');
+}
+
+/**
+ * Badges a generate button with the post's priority and hides it if filtered
+ * @param {HTMLElement} post - The post element
+ * @param {HTMLElement} button - Its generate button
+ */
+function applyRelevance(post, button) {
+    // Buttons may sit on a part of a post; score the whole post
+    const relevance = getPostRelevance(post.closest(getSelector('feedPost')) || post);
+    const colors = { high: '#16a34a', medium: '#d97706', low: '#9ca3af' };
+
+    let badge = button.querySelector('.linkedin-comment-generator-badge');
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'linkedin-comment-generator-badge';
+        badge.style.cssText = `
+            position: absolute;
+            top: 2px;
+            right: 2px;
+            min-width: 18px;
+            padding: 1px 5px;
+            border-radius: 9px;
+            font-size: 10px;
+            font-weight: 700;
+            line-height: 14px;
+            color: white;
+            pointer-events: none;
+        `;
+        button.appendChild(badge);
+    }
+
+    badge.textContent = relevance.blocked ? '✕' : String(relevance.score);
+    badge.style.backgroundColor = colors[relevance.level];
+    button.title = [`Relevance: ${relevance.score} (${relevance.level})`, ...relevance.reasons].join('\n');
+
+    // Hide the button's container so no empty gap is left in the action bar
+    const container = button.closest('.linkedin-comment-generator-container, .linkedin-comment-generator-fallback') || button;
+    container.style.display = isHiddenByRelevance(relevance) ? 'none' : '';
+}
+
+// Load the relevance rules and re-score existing buttons when they change
+function watchRelevanceRules() {
+    const rescoreButtons = () => {
+        document.querySelectorAll('.linkedin-comment-generator-button').forEach(button => {
+            const post = button.closest(getSelector('buttonOwner'));
+            if (post) {
+                applyRelevance(post, button);
+            }
+        });
+    };
+
+    getSettings().then(settings => {
+        relevanceRules = settings.relevance;
+        rescoreButtons();
+    }).catch(error => debug.error('Error loading relevance rules', error));
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[SETTINGS_STORAGE_KEY]) {
+            // Other settings changing leaves the scores as they are
+            const rules = mergeSettings(changes[SETTINGS_STORAGE_KEY].newValue).relevance;
+            if (JSON.stringify(rules) !== JSON.stringify(relevanceRules)) {
+                relevanceRules = rules;
+                rescoreButtons();
+            }
+        }
+    });
+}
+
+// Create a comment UI that appears when the generate button is clicked
+function createCommentUI(post, generateButton, replyTo = null) {
+    const container = document.createElement('div');
+    container.className = 'linkedin-comment-generator-ui';
+    container.style.cssText = `
+        padding: 24px;
+        background: #ffffff;
+        border: 1px solid #e5e5e5;
+        border-radius: 8px;
+        margin: 16px 8px;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.08);
+        transition: all 0.3s ease;
+        position: relative;
+    `;
+
+    // Create the UI elements
+    const heading = document.createElement('h3');
+    heading.textContent = replyTo ? 'Generate Reply' : 'Generate Comment';
+    heading.style.cssText = `
+        margin: 0 0 20px 0;
+        font-size: 17px;
+        color: #1a1a1a;
+        font-weight: 600;
+        letter-spacing: -0.3px;
+    `;
+
+    const hintInput = document.createElement('input');
+    hintInput.type = 'text';
+    hintInput.placeholder = 'Add feedback to refine the comment (optional)';
+    hintInput.style.cssText = `
+        display: none;
+        width: 100%;
+        padding: 11px 14px;
+        border: 1px solid #d0d0d0;
+        border-radius: 6px;
+        margin-bottom: 16px;
+        font-size: 13.5px;
+        box-sizing: border-box;
+        transition: border-color 0.2s ease, box-shadow 0.2s ease;
+        outline: none;
+        font-weight: 400;
+        color: #333;
+        line-height: 1.4;
+    `;
+
+    hintInput.addEventListener('focus', () => {
+        hintInput.style.borderColor = '#0a66c2';
+        hintInput.style.boxShadow = '0 0 0 2px rgba(10, 102, 194, 0.1)';
+    });
+
+    hintInput.addEventListener('blur', () => {
+        hintInput.style.borderColor = '#d0d0d0';
+        hintInput.style.boxShadow = 'none';
+    });
+
+    // Tone and persona dropdowns sit side by side
+    const selectorRow = document.createElement('div');
+    selectorRow.className = 'linkedin-comment-generator-selector-row';
+    selectorRow.style.cssText = `
+        display: flex;
+        gap: 12px;
+        margin-bottom: 16px;
+        width: 100%;
+    `;
+
+    const toneDropdown = createDropdown('Select Tone', 'linkedin-comment-generator-tone');
+    const toneSelect = toneDropdown.select;
+
+    // Tones are user-defined on the options page and loaded asynchronously
+    let tones = [];
+
+    /**
+     * Returns the full definition of the selected tone
+     * @returns {Object} Tone definition
+     */
+    const getSelectedTone = () => tones.find(tone => tone.id === toneSelect.value) || tones[0];
+
+    getTones().then(loadedTones => {
+        tones = loadedTones;
+        toneDropdown.setOptions(tones.map(tone => ({ value: tone.id, label: tone.label })));
+    }).catch(error => debug.error('Error loading tones', error));
+
+    const personaDropdown = createDropdown('Persona', 'linkedin-comment-generator-persona');
+    const personaSelect = personaDropdown.select;
+
+    // Personas are also edited on the options page; an empty value means none
+    let personas = [];
+
+    /**
+     * Returns the full definition of the selected persona
+     * @returns {Object|null} Persona definition, or null to comment without one
+     */
+    const getSelectedPersona = () => personas.find(persona => persona.id === personaSelect.value) || null;
+
+    Promise.all([getPersonas(), getSettings()]).then(([loadedPersonas, settings]) => {
+        personas = loadedPersonas;
+        personaDropdown.setOptions([
+            { value: '', label: 'No persona' },
+            ...personas.map(persona => ({ value: persona.id, label: persona.name }))
+        ], settings.activePersonaId);
+    }).catch(error => debug.error('Error loading personas', error));
+
+    // Remember the choice so new panels and the popup start with it
+    personaSelect.addEventListener('change', () => {
+        getSettings()
+            .then(settings => saveSettings({ ...settings, activePersonaId: personaSelect.value }))
+            .catch(error => debug.error('Error saving active persona', error));
+    });
+
+    selectorRow.appendChild(toneDropdown.container);
+    selectorRow.appendChild(personaDropdown.container);
+
+    const commentBox = document.createElement('textarea');
+    commentBox.readOnly = true;
+    commentBox.placeholder = 'Generated comment will appear here...';
+    commentBox.style.cssText = `
+        width: 100%;
+        min-height: 120px;
+        padding: 14px;
+        border: 1px solid #d0d0d0;
+        border-radius: 6px;
+        font-size: 14px;
+        line-height: 1.6;
+        resize: vertical;
+        box-sizing: border-box;
+        background-color: #fafafa;
+        transition: background-color 0.2s ease;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+        color: #333;
+    `;
+
+    // Create a container for the textarea and copy button
+    const commentBoxContainer = document.createElement('div');
+    commentBoxContainer.style.cssText = `
+        position: relative;
+        width: 100%;
+        margin-bottom: 10px;
+    `;
+
+    // Add copy button
+    const copyButton = document.createElement('button');
+    copyButton.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>`;
+    copyButton.title = "Copy comment to clipboard";
+    copyButton.style.cssText = `
+        position: absolute;
+        top: 10px;
+        right: 10px;
         background: rgba(255, 255, 255, 0.9);
         border: none;
         border-radius: 4px;
         width: 32px;
         height: 32px;
         display: flex;
-        align-items: center;
-        justify-content: center;
-        cursor: pointer;
+        align-items: center;
+        justify-content: center;
+        cursor: pointer;
+        color: #0a66c2;
+        transition: all 0.2s ease;
+        opacity: 0.7;
+        z-index: 1;
+    `;
+
+    copyButton.addEventListener('mouseover', () => {
+        copyButton.style.opacity = '1';
+        copyButton.style.backgroundColor = '#f0f7ff';
+    });
+
+    copyButton.addEventListener('mouseout', () => {
+        copyButton.style.opacity = '0.7';
+        copyButton.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
+    });
+
+    copyButton.addEventListener('click', () => {
+        if (!commentBox.value || commentBox.value === 'Analyzing Post...') return;
+
+        try {
+            // Copy to clipboard
+            navigator.clipboard.writeText(commentBox.value).then(() => {
+                // Show success feedback
+                const originalInnerHTML = copyButton.innerHTML;
+                copyButton.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#22c55e" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`;
+
+                setTimeout(() => {
+                    copyButton.innerHTML = originalInnerHTML;
+                }, 2000);
+            }).catch(err => {
+                debug.error('Failed to copy: ', err);
+
+                // Fallback method for older browsers
+                commentBox.select();
+                document.execCommand('copy');
+
+                // Show success feedback
+                const originalInnerHTML = copyButton.innerHTML;
+                copyButton.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#22c55e" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`;
+
+                setTimeout(() => {
+                    copyButton.innerHTML = originalInnerHTML;
+                }, 2000);
+            });
+        } catch (error) {
+            debug.error('Error copying to clipboard', error);
+
+            // Try one more fallback
+            try {
+                commentBox.select();
+                document.execCommand('copy');
+            } catch (e) {
+                debug.error('Final copy attempt failed', e);
+            }
+        }
+    });
+
+    // Assemble the comment box container
+    commentBoxContainer.appendChild(commentBox);
+    commentBoxContainer.appendChild(copyButton);
+
+    // Container for candidate cards when several variants are generated
+    const variantsContainer = document.createElement('div');
+    variantsContainer.className = 'linkedin-comment-generator-variants';
+    variantsContainer.style.cssText = `
+        display: none;
+        flex-direction: column;
+        gap: 10px;
+        margin-bottom: 10px;
+    `;
+
+    const buttonContainer = document.createElement('div');
+    buttonContainer.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        gap: 12px;
+    `;
+
+    const regenerateBtn = document.createElement('button');
+    regenerateBtn.className = 'linkedin-comment-generator-regenerate';
+    regenerateBtn.textContent = 'Generate';
+    regenerateBtn.style.cssText = `
+        padding: 10px 22px;
+        border: 1px solid #0a66c2;
+        border-radius: 6px;
+        background-color: white;
+        color: #0a66c2;
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 13.5px;
+        flex: 1;
+        transition: all 0.2s ease;
+        box-shadow: none;
+        position: relative;
+        overflow: hidden;
+    `;
+
+    const commentBtn = document.createElement('button');
+    commentBtn.textContent = 'Comment';
+    commentBtn.style.cssText = `
+        padding: 10px 22px;
+        border: none;
+        border-radius: 6px;
+        background-color: #0a66c2;
+        color: white;
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 13.5px;
+        flex: 1;
+        transition: all 0.2s ease;
+        box-shadow: none;
+        position: relative;
+        overflow: hidden;
+        display: none;
+    `;
+
+    regenerateBtn.addEventListener('mouseover', () => {
+        regenerateBtn.style.backgroundColor = '#f0f7ff';
+        regenerateBtn.style.transform = 'translateY(-1px)';
+        regenerateBtn.style.boxShadow = '0 2px 6px rgba(10,102,194,0.2)';
+    });
+
+    regenerateBtn.addEventListener('mouseout', () => {
+        regenerateBtn.style.backgroundColor = 'white';
+        regenerateBtn.style.transform = 'translateY(0)';
+        regenerateBtn.style.boxShadow = 'none';
+    });
+
+    commentBtn.addEventListener('mouseover', () => {
+        commentBtn.style.backgroundColor = '#004182';
+        commentBtn.style.transform = 'translateY(-1px)';
+        commentBtn.style.boxShadow = '0 2px 6px rgba(10,102,194,0.3)';
+    });
+
+    commentBtn.addEventListener('mouseout', () => {
+        commentBtn.style.backgroundColor = '#0a66c2';
+        commentBtn.style.transform = 'translateY(0)';
+        commentBtn.style.boxShadow = 'none';
+    });
+
+    // Add note explaining about copy functionality
+    const copyNote = document.createElement('div');
+    copyNote.textContent = 'Click the copy icon above to copy or use Comment button to post directly.';
+    copyNote.style.cssText = `
+        font-size: 12px;
+        color: #888;
+        margin-top: 10px;
+        text-align: center;
+        margin-bottom: 10px;
+    `;
+
+    // Create close button
+    const closeBtn = document.createElement('button');
+    closeBtn.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
+    closeBtn.style.cssText = `
+        position: absolute;
+        top: 20px;
+        right: 20px;
+        border: none;
+        background: transparent;
+        color: #666;
+        cursor: pointer;
+        width: 32px;
+        height: 32px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border-radius: 50%;
+        transition: all 0.2s ease;
+    `;
+
+    closeBtn.addEventListener('mouseover', () => {
+        closeBtn.style.backgroundColor = '#f5f5f5';
+        closeBtn.style.color = '#333';
+    });
+
+    closeBtn.addEventListener('mouseout', () => {
+        closeBtn.style.backgroundColor = 'transparent';
+        closeBtn.style.color = '#666';
+    });
+
+    closeBtn.addEventListener('click', () => {
+        if (activeGeneration) {
+            activeGeneration.stop();
+        }
+        container.remove();
+        activeCommentUI = null;
+        // Show the generate button again
+        if (generateButton) {
+            generateButton.style.display = 'inline-flex';
+        }
+    });
+
+    // Stop button shown while a comment is being generated
+    const stopBtn = document.createElement('button');
+    stopBtn.textContent = 'Stop';
+    stopBtn.style.cssText = `
+        padding: 10px 22px;
+        border: 1px solid #dc2626;
+        border-radius: 6px;
+        background-color: white;
+        color: #dc2626;
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 13.5px;
+        flex: 1;
+        transition: all 0.2s ease;
+        box-shadow: none;
+        display: none;
+    `;
+
+    stopBtn.addEventListener('mouseover', () => {
+        stopBtn.style.backgroundColor = '#fef2f2';
+    });
+
+    stopBtn.addEventListener('mouseout', () => {
+        stopBtn.style.backgroundColor = 'white';
+    });
+
+    // Active streaming generation, if any
+    let activeGeneration = null;
+
+    // History entry of the comment currently in the comment box
+    let currentHistoryId = null;
+
+    // Comment text whose safety warnings the user chose to post anyway
+    let acceptedWarningsFor = null;
+
+    // Whether a result has been shown; after that, Regenerate skips the cache
+    let hasResult = false;
+
+    // What the Comment button does (see INSERTION_MODES)
+    let insertionMode = getInsertionMode(DEFAULT_SETTINGS);
+
+    // Generation errors and safety check results
+    const noticeBox = document.createElement('div');
+    noticeBox.className = 'linkedin-comment-generator-notice';
+    noticeBox.style.display = 'none';
+
+    // Earlier comments on this post or author, shown while the panel is open
+    const engagementNotice = document.createElement('div');
+    engagementNotice.className = 'linkedin-comment-generator-notice';
+    engagementNotice.style.display = 'none';
+
+    // Label the buttons for the insertion mode, and start the countdown
+    // right away if posting is already throttled
+    getSettings()
+        .then(async settings => {
+            insertionMode = getInsertionMode(settings);
+            commentBtn.textContent = insertionMode.buttonLabel;
+            if (variantsContainer.style.display === 'none') {
+                copyNote.textContent = getCopyNote();
+            }
+            variantsContainer.querySelectorAll('.linkedin-comment-generator-variant-post').forEach(button => {
+                button.textContent = insertionMode.buttonLabel;
+            });
+
+            if (insertionMode.id === 'submit') {
+                const usage = await getPostingUsage();
+                if (usage.retryAt > Date.now()) {
+                    showPostCountdown(commentBtn, usage.retryAt);
+                }
+            }
+        })
+        .catch(error => debug.error('Error reading insertion mode', error));
+
+    if (!replyTo) {
+        chrome.runtime.sendMessage({ action: 'checkEngagement', target: getEngagementTarget(post) })
+            .then(response => {
+                if (response && response.success && response.warnings.length > 0) {
+                    renderNotice(engagementNotice, {
+                        level: 'warn',
+                        title: 'You have engaged here before',
+                        messages: response.warnings
+                    });
+                }
+            })
+            .catch(error => debug.error('Error checking engagement', error));
+    }
+
+    /**
+     * Warns that the comment was written by the offline generator
+     * @param {string} reason - Why it was written offline; '' if it wasn't
+     */
+    const showOfflineNotice = (reason) => {
+        if (!reason) return;
+        renderNotice(noticeBox, {
+            level: 'warn',
+            title: 'Written offline',
+            messages: [reason, 'This draft was put together from templates on this device. Read it through before posting.']
+        });
+    };
+
+    stopBtn.addEventListener('click', () => {
+        if (activeGeneration) {
+            stopBtn.disabled = true;
+            stopBtn.textContent = 'Stopping...';
+            activeGeneration.stop();
+        }
+    });
+
+    // Add event listeners
+    regenerateBtn.addEventListener('click', async () => {
+        // The first generation may reuse a recent result; Regenerate asks for a new one
+        const bypassCache = hasResult;
+
+        await expandPostText(post);
+        const content = extractPostContent(post);
+        debug.log('Extracted post content for comment generation', content);
+
+        // Show loading state
+        const previousComment = commentBox.value;
+        commentBox.value = 'Analyzing Post...';
+        renderNotice(noticeBox, null);
+        regenerateBtn.disabled = true;
+        commentBtn.disabled = true;
+        regenerateBtn.style.display = 'none';
+        stopBtn.style.display = 'inline-block';
+        stopBtn.disabled = false;
+        stopBtn.textContent = 'Stop';
+
+        try {
+            const request = {
+                content,
+                hint: hintInput.value.trim(),
+                tone: getSelectedTone(),
+                persona: getSelectedPersona(),
+                replyTo: replyTo ? extractCommentContext(replyTo) : null
+            };
+            const { generation } = await getSettings();
+
+            // The background worker falls back to the offline generator if the settings allow it
+            try {
+                if (generation.variantCount > 1) {
+                    // Candidates are shown side by side, so they are not streamed
+                    stopBtn.style.display = 'none';
+                    const { comments, historyIds, offlineReason } = await generateCommentVariantsAPI(post, request, generation.variantCount, { bypassCache });
+                    commentBox.value = '';
+                    showVariants(comments, historyIds);
+                    showOfflineNotice(offlineReason);
+                    hintInput.style.display = 'block';
+                    regenerateBtn.textContent = 'Regenerate';
+                    hasResult = true;
+                } else {
+                    hideVariants();
+
+                    let streamedText = '';
+                    activeGeneration = streamCommentAPI(post, request, (text) => {
+                        // Tokens replace the loading text as soon as they arrive
+                        streamedText += text;
+                        commentBox.value = streamedText;
+                        commentBox.scrollTop = commentBox.scrollHeight;
+                    }, { bypassCache });
+
+                    const { comment, stopped, historyId, offlineReason } = await activeGeneration.done;
+                    currentHistoryId = historyId || null;
+                    showOfflineNotice(offlineReason);
+
+                    if (stopped && !comment) {
+                        // Nothing arrived before stopping; keep what was there before
+                        commentBox.value = previousComment === 'Analyzing Post...' ? '' : previousComment;
+                    } else {
+                        commentBox.value = comment;
+                        hintInput.style.display = 'block';
+
+                        // Show both buttons after successful generation
+                        regenerateBtn.style.display = 'inline-block';
+                        commentBtn.style.display = 'inline-block';
+                        regenerateBtn.textContent = 'Regenerate';
+                        hasResult = true;
+                    }
+                }
+            } catch (apiError) {
+                debug.error('API generation failed', apiError);
+
+                // Show clear error message to user, outside the comment box so it can't be posted
+                hideVariants();
+                commentBox.value = previousComment === 'Analyzing Post...' ? '' : previousComment;
+                renderNotice(noticeBox, {
+                    level: 'block',
+                    title: 'Could not generate comment',
+                    messages: [apiError.message, 'Please check API configuration or try again later.']
+                });
+            }
+        } catch (error) {
+            debug.error('Error in comment generation process', error);
+            commentBox.value = previousComment === 'Analyzing Post...' ? '' : previousComment;
+            renderNotice(noticeBox, {
+                level: 'block',
+                title: 'Could not generate comment',
+                messages: [error.message || 'Unknown error occurred while generating comment.']
+            });
+        }
+
+        activeGeneration = null;
+        stopBtn.style.display = 'none';
+        regenerateBtn.style.display = 'inline-block';
+        regenerateBtn.disabled = false;
+        commentBtn.disabled = postCountdowns.has(commentBtn);
+    });
+
+    /**
+     * Sends text to LinkedIn from this panel, posting or only inserting it
+     * depending on the insertion mode, and closes the panel on success
+     * @param {string} text - Comment text to send
+     * @param {HTMLButtonElement} button - Button that shows the progress
+     * @param {number} historyId - History entry of the comment, if it has one
+     * @param {Function} onSent - Called with the insertion mode once the
+     *     comment has been sent
+     * @returns {Promise<boolean>} Whether the comment was sent
+     */
+    async function postComment(text, button, historyId, onSent = null) {
+        button.disabled = true;
+        const originalText = button.textContent;
+        const originalColor = button.style.backgroundColor;
+        button.textContent = 'Checking...';
+
+        // Read at click time so a mode changed in the options applies right away
+        const mode = getInsertionMode(await getSettings()).id;
+        const submitting = mode === 'submit';
+
+        const issues = await checkCommentSafety(text, replyTo ? null : getEngagementTarget(post));
+        const blocking = issues.filter(issue => issue.mode === 'block');
+        const warnings = issues.filter(issue => issue.mode === 'warn');
+
+        if (blocking.length > 0) {
+            renderNotice(noticeBox, {
+                level: 'block',
+                title: submitting ? 'Not posted: edit the comment first' : 'Not inserted: edit the comment first',
+                messages: issues.map(issue => issue.message)
+            });
+            button.textContent = originalText;
+            button.disabled = false;
+            return false;
+        }
+
+        if (warnings.length > 0 && acceptedWarningsFor !== text) {
+            renderNotice(noticeBox, {
+                level: 'warn',
+                title: 'Check before posting',
+                messages: warnings.map(issue => issue.message),
+                actionLabel: submitting ? 'Post anyway' : 'Insert anyway',
+                onAction: () => {
+                    acceptedWarningsFor = text;
+                    postComment(text, button, historyId, onSent);
+                }
+            });
+            button.textContent = originalText;
+            button.disabled = false;
+            return false;
+        }
+
+        renderNotice(noticeBox, null);
+        button.textContent = submitting ? 'Posting...' : 'Inserting...';
+
+        try {
+            await applyCommentToLinkedIn(post, text, { mode, replyTo });
+            if (onSent) {
+                onSent(mode);
+            }
+
+            // Inserted comments may still be edited or discarded in LinkedIn's box
+            if (submitting) {
+                chrome.runtime.sendMessage({
+                    action: 'markCommentPosted',
+                    details: {
+                        historyId,
+                        comment: text,
+                        ...getEngagementTarget(post),
+                        tone: getSelectedTone(),
+                        hint: hintInput.value.trim(),
+                        isReply: !!replyTo
+                    }
+                }).catch(error => debug.error('Error saving posted comment to history', error));
+            }
+
+            // Show success feedback
+            button.textContent = submitting ? 'Posted!' : 'Inserted!';
+            button.style.backgroundColor = '#22c55e';
+
+            setTimeout(() => {
+                // Close the UI after successful comment
+                container.remove();
+                activeCommentUI = null;
+                if (generateButton) {
+                    generateButton.style.display = 'inline-flex';
+                }
+            }, submitting ? 2000 : 800);
+            return true;
+        } catch (error) {
+            if (error.retryAt) {
+                // Throttled: nothing was posted, so wait it out on the button
+                button.textContent = originalText;
+                renderNotice(noticeBox, {
+                    level: 'warn',
+                    title: 'Posting paused',
+                    messages: [error.message, 'The button unlocks when the next comment is allowed.']
+                });
+                showPostCountdown(button, error.retryAt);
+                return false;
+            }
+
+            debug.error('Error posting comment', error);
+            button.textContent = 'Failed';
+            button.style.backgroundColor = '#dc2626';
+
+            setTimeout(() => {
+                button.textContent = originalText;
+                button.style.backgroundColor = originalColor;
+                button.disabled = false;
+            }, 2000);
+            return false;
+        }
+    }
+
+    /**
+     * Replace the single comment box with one card per candidate
+     * @param {string[]} comments - Generated candidates
+     * @param {number[]} historyIds - History entry ids of the candidates
+     */
+    function showVariants(comments, historyIds) {
+        variantsContainer.innerHTML = '';
+        comments.forEach((comment, index) => {
+            const historyId = historyIds[index];
+            const recordChoice = (action) => {
+                chrome.runtime.sendMessage({
+                    action: 'recordVariantChoice',
+                    choice: { historyId, action }
+                }).catch(error => debug.error('Error recording variant choice', error));
+            };
+
+            variantsContainer.appendChild(createVariantCard(comment, index, {
+                postLabel: insertionMode.buttonLabel,
+                onCopy: () => recordChoice('copy'),
+                // Only count the choice once safety checks and pacing let it through
+                onPost: (button) => postComment(comment, button, historyId,
+                    mode => recordChoice(mode === 'submit' ? 'post' : 'insert'))
+            }));
+        });
+
+        variantsContainer.style.display = 'flex';
+        commentBoxContainer.style.display = 'none';
+        commentBtn.style.display = 'none';
+        copyNote.textContent = insertionMode.id === 'submit'
+            ? 'Pick a variant: copy it or post it directly.'
+            : 'Pick a variant: copy it or insert it into the comment box.';
+    }
+
+    /**
+     * Go back to the single comment box
+     */
+    function hideVariants() {
+        variantsContainer.style.display = 'none';
+        variantsContainer.innerHTML = '';
+        commentBoxContainer.style.display = 'block';
+        copyNote.textContent = getCopyNote();
+    }
+
+    /**
+     * Hint under the comment box, matching what the Comment button does
+     * @returns {string} Note text
+     */
+    function getCopyNote() {
+        return insertionMode.id === 'submit'
+            ? 'Click the copy icon above to copy or use Comment button to post directly.'
+            : 'Click the copy icon above to copy or use Insert to put it in LinkedIn\'s comment box for review.';
+    }
+
+    // Comment button click handler
+    commentBtn.addEventListener('click', async () => {
+        if (!commentBox.value || commentBox.value === 'Analyzing Post...') return;
+
+        await postComment(commentBox.value, commentBtn, currentHistoryId);
+    });
+
+    // Ctrl+Enter (Cmd+Enter on Mac) in the comment box does what the Comment button does
+    commentBox.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            if (commentBtn.style.display !== 'none' && !commentBtn.disabled) {
+                commentBtn.click();
+            }
+        }
+    });
+
+    // Assemble the UI
+    buttonContainer.appendChild(regenerateBtn);
+    buttonContainer.appendChild(stopBtn);
+    buttonContainer.appendChild(commentBtn);
+    container.appendChild(closeBtn);
+    container.appendChild(heading);
+    container.appendChild(engagementNotice);
+    container.appendChild(selectorRow);
+    container.appendChild(commentBoxContainer);
+    container.appendChild(variantsContainer);
+    container.appendChild(noticeBox);
+    container.appendChild(hintInput);
+    container.appendChild(copyNote);
+    container.appendChild(buttonContainer);
+
+    return container;
+}
+
+/**
+ * Runs the pre-post safety checks on a comment in the background worker
+ * @param {string} text - Comment about to be posted
+ * @param {Object} target - Optional post being commented on (see
+ *     getEngagementTarget), to also check the engagement limits
+ * @returns {Promise<Object[]>} Problems found, each {id, label, mode, message}
+ *     with mode 'warn' or 'block'
+ */
+async function checkCommentSafety(text, target = null) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'checkComment', text, target });
+        if (response && response.success) {
+            return response.issues;
+        }
+        throw new Error((response && response.error) || 'No response from extension background');
+    } catch (error) {
+        debug.error('Error running safety checks', error);
+        // Nothing is posted unchecked
+        return [{ id: 'unavailable', label: 'Safety checks', mode: 'block', message: `Safety checks could not run: ${error.message}` }];
+    }
+}
+
+/**
+ * Shows a warning or error box, or clears it
+ * @param {HTMLElement} element - Notice container
+ * @param {Object|null} notice - null to clear, or:
+ * @param {string} notice.level - 'warn' (amber) or 'block' (red)
+ * @param {string} notice.title - Heading
+ * @param {string[]} notice.messages - One line per problem
+ * @param {string} notice.actionLabel - Optional button label
+ * @param {Function} notice.onAction - Called when the button is clicked
+ */
+function renderNotice(element, notice) {
+    element.innerHTML = '';
+    if (!notice) {
+        element.style.display = 'none';
+        return;
+    }
+
+    const colors = notice.level === 'warn'
+        ? { border: '#f59e0b', background: '#fffbeb', text: '#92400e' }
+        : { border: '#dc2626', background: '#fef2f2', text: '#991b1b' };
+
+    element.style.cssText = `
+        display: block;
+        margin-bottom: 12px;
+        padding: 10px 12px;
+        border: 1px solid ${colors.border};
+        border-radius: 6px;
+        background: ${colors.background};
+        color: ${colors.text};
+        font-size: 12.5px;
+        line-height: 1.5;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = notice.title;
+    title.style.fontWeight = '600';
+    element.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.style.cssText = `
+        margin: 4px 0 0;
+        padding-left: 18px;
+    `;
+    notice.messages.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+    });
+    element.appendChild(list);
+
+    if (notice.actionLabel) {
+        const action = document.createElement('button');
+        action.textContent = notice.actionLabel;
+        action.style.cssText = `
+            margin-top: 8px;
+            padding: 4px 12px;
+            border: 1px solid ${colors.border};
+            border-radius: 14px;
+            background: white;
+            color: ${colors.text};
+            cursor: pointer;
+            font-size: 12px;
+            font-weight: 600;
+        `;
+        action.addEventListener('click', notice.onAction);
+        element.appendChild(action);
+    }
+}
+
+/**
+ * Creates a labelled dropdown: a styled display with a transparent native
+ * select on top, so the browser still handles keyboard and option picking
+ * @param {string} labelText - Label shown above the dropdown
+ * @param {string} classPrefix - Prefix for the container and select class names
+ * @returns {{container: HTMLElement, select: HTMLSelectElement, setOptions: Function}}
+ *     setOptions(options, selectedValue) replaces the {value, label} options
+ */
+function createDropdown(labelText, classPrefix) {
+    const container = document.createElement('div');
+    container.className = `${classPrefix}-container`;
+    container.style.cssText = `
+        position: relative;
+        flex: 1;
+        min-width: 0;
+    `;
+
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    label.style.cssText = `
+        display: block;
+        margin-bottom: 8px;
+        font-size: 13px;
+        color: #666;
+        font-weight: 500;
+        letter-spacing: 0.3px;
+    `;
+
+    // Custom dropdown container
+    const customDropdown = document.createElement('div');
+    customDropdown.className = 'custom-dropdown';
+    customDropdown.style.cssText = `
+        position: relative;
+        width: 100%;
+    `;
+
+    // Hidden native select element for form submission
+    const select = document.createElement('select');
+    select.className = `${classPrefix}-select`;
+    select.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        opacity: 0;
+        cursor: pointer;
+        z-index: 1;
+    `;
+
+    // Custom display element
+    const customDropdownDisplay = document.createElement('div');
+    customDropdownDisplay.className = 'custom-dropdown-display';
+    customDropdownDisplay.style.cssText = `
+        padding: 11px 14px;
+        border: 1px solid #d0d0d0;
+        border-radius: 6px;
+        font-size: 14px;
+        background-color: #ffffff;
+        font-weight: 500;
+        color: #333;
+        line-height: 1.4;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        cursor: pointer;
+        transition: all 0.2s ease;
+    `;
+
+    // Text element inside display
+    const displayText = document.createElement('span');
+    displayText.className = 'dropdown-display-text';
+    displayText.textContent = '';
+    displayText.style.cssText = `
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    `;
+
+    // Arrow element
+    const displayArrow = document.createElement('span');
+    displayArrow.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>`;
+    displayArrow.style.cssText = `
+        margin-left: 8px;
+        display: flex;
+        align-items: center;
+        opacity: 0.6;
+    `;
+
+    // Update display when select changes
+    select.addEventListener('change', () => {
+        const selectedOption = select.options[select.selectedIndex];
+        displayText.textContent = selectedOption ? selectedOption.textContent : '';
+        customDropdownDisplay.style.borderColor = '#d0d0d0';
+        customDropdownDisplay.style.boxShadow = 'none';
+    });
+
+    // Handle focus/blur states for custom dropdown
+    select.addEventListener('focus', () => {
+        customDropdownDisplay.style.borderColor = '#0a66c2';
+        customDropdownDisplay.style.boxShadow = '0 0 0 2px rgba(10, 102, 194, 0.1)';
+    });
+
+    select.addEventListener('blur', () => {
+        customDropdownDisplay.style.borderColor = '#d0d0d0';
+        customDropdownDisplay.style.boxShadow = 'none';
+    });
+
+    // Assemble custom dropdown
+    customDropdownDisplay.appendChild(displayText);
+    customDropdownDisplay.appendChild(displayArrow);
+    customDropdown.appendChild(customDropdownDisplay);
+    customDropdown.appendChild(select);
+
+    container.appendChild(label);
+    container.appendChild(customDropdown);
+
+    const setOptions = (options, selectedValue) => {
+        select.innerHTML = '';
+        options.forEach(({ value, label: optionLabel }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = optionLabel;
+            select.appendChild(option);
+        });
+
+        // Fall back to the first option if the requested one no longer exists
+        if (selectedValue !== undefined && options.some(option => option.value === selectedValue)) {
+            select.value = selectedValue;
+        } else {
+            select.selectedIndex = 0;
+        }
+        displayText.textContent = select.selectedIndex >= 0 ? select.options[select.selectedIndex].textContent : '';
+    };
+
+    return { container, select, setOptions };
+}
+
+/**
+ * Creates a selectable card for one generated candidate
+ * @param {string} comment - Candidate comment text
+ * @param {number} index - Position of the candidate
+ * @param {Object} handlers - {postLabel, onCopy(), onPost(button)}: label of the
+ *     post button and callbacks
+ * @returns {HTMLElement} The card element
+ */
+function createVariantCard(comment, index, handlers) {
+    const card = document.createElement('div');
+    card.className = 'linkedin-comment-generator-variant';
+    card.style.cssText = `
+        padding: 14px;
+        border: 1px solid #d0d0d0;
+        border-radius: 6px;
+        background-color: #fafafa;
+        transition: border-color 0.2s ease;
+    `;
+
+    card.addEventListener('mouseover', () => {
+        card.style.borderColor = '#0a66c2';
+    });
+
+    card.addEventListener('mouseout', () => {
+        card.style.borderColor = '#d0d0d0';
+    });
+
+    const label = document.createElement('div');
+    label.textContent = `Variant ${index + 1}`;
+    label.style.cssText = `
+        font-size: 12px;
+        color: #666;
+        font-weight: 600;
+        margin-bottom: 6px;
+    `;
+
+    const text = document.createElement('div');
+    text.textContent = comment;
+    text.style.cssText = `
+        font-size: 14px;
+        line-height: 1.6;
+        color: #333;
+        white-space: pre-wrap;
+        margin-bottom: 10px;
+    `;
+
+    const actions = document.createElement('div');
+    actions.style.cssText = `
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+    `;
+
+    const copyBtn = document.createElement('button');
+    copyBtn.textContent = 'Copy';
+    copyBtn.style.cssText = `
+        padding: 6px 16px;
+        border: 1px solid #0a66c2;
+        border-radius: 6px;
+        background-color: white;
         color: #0a66c2;
-        transition: all 0.2s ease;
-        opacity: 0.7;
-        z-index: 1;
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 13px;
     `;
 
-    copyButton.addEventListener('mouseover', () => {
-        copyButton.style.opacity = '1';
-        copyButton.style.backgroundColor = '#f0f7ff';
+    copyBtn.addEventListener('click', () => {
+        navigator.clipboard.writeText(comment).then(() => {
+            copyBtn.textContent = 'Copied!';
+            handlers.onCopy();
+            setTimeout(() => {
+                copyBtn.textContent = 'Copy';
+            }, 2000);
+        }).catch(err => {
+            debug.error('Failed to copy: ', err);
+        });
     });
 
-    copyButton.addEventListener('mouseout', () => {
-        copyButton.style.opacity = '0.7';
-        copyButton.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
-    });
+    const postBtn = document.createElement('button');
+    postBtn.className = 'linkedin-comment-generator-variant-post';
+    postBtn.textContent = handlers.postLabel || 'Post';
+    postBtn.style.cssText = `
+        padding: 6px 16px;
+        border: none;
+        border-radius: 6px;
+        background-color: #0a66c2;
+        color: white;
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 13px;
+    `;
 
-    copyButton.addEventListener('click', () => {
-        if (!commentBox.value || commentBox.value === 'Analyzing Post...') return;
+    postBtn.addEventListener('click', () => handlers.onPost(postBtn));
 
-        try {
-            // Copy to clipboard
-            navigator.clipboard.writeText(commentBox.value).then(() => {
-                // Show success feedback
-                const originalInnerHTML = copyButton.innerHTML;
-                copyButton.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#22c55e" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`;
+    actions.appendChild(copyBtn);
+    actions.appendChild(postBtn);
+    card.appendChild(label);
+    card.appendChild(text);
+    card.appendChild(actions);
 
-                setTimeout(() => {
-                    copyButton.innerHTML = originalInnerHTML;
-                }, 2000);
-            }).catch(err => {
-                debug.error('Failed to copy: ', err);
+    return card;
+}
 
-                // Fallback method for older browsers
-                commentBox.select();
-                document.execCommand('copy');
+// Create the Generate Comment button with logo
+function createGenerateButton() {
+    const button = document.createElement('button');
 
-                // Show success feedback
-                const originalInnerHTML = copyButton.innerHTML;
-                copyButton.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#22c55e" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`;
+    // Use logo instead of text
+    button.innerHTML = `<img src="${chrome.runtime.getURL('icons/logo.png')}" alt="Generate Comment" style="width: 128px; height: 48px; display: block;" />`;
+    button.className = 'linkedin-comment-generator-button';
+    button.setAttribute('data-lcg-processed', 'true');
+    button.style.cssText = `
+    background-color: transparent;
+    color: white;
+    border: none;
+    border-radius: 6px;
+    padding: 8px 12px;
+    margin: 0 4px;
+    cursor: pointer;
+    display: inline-flex;
+    align-items: center;
+    justify-content: center;
+    min-width: 40px;
+    box-shadow: none;
+    transition: all 0.2s ease;
+    position: relative;
+    overflow: hidden;
+`;
+
+    button.onmouseover = () => {
+        button.style.backgroundColor = 'rgba(10, 102, 194, 0.1)';
+        button.style.transform = 'translateY(-1px)';
+        button.style.boxShadow = '0 2px 6px rgba(10,102,194,0.15)';
+    };
+
+    button.onmouseout = () => {
+        button.style.backgroundColor = 'transparent';
+        button.style.transform = 'translateY(0)';
+        button.style.boxShadow = 'none';
+    };
+
+    return button;
+}
+
+// Find LinkedIn posts with different possible selectors
+function findPostElements() {
+    let allPosts = [];
+
+    // Try each selector
+    for (const selector of getSelectors('buttonHost')) {
+        const posts = document.querySelectorAll(selector);
+        if (posts.length > 0) {
+            debug.log(`Found ${posts.length} posts with selector: ${selector}`);
+            allPosts = [...allPosts, ...posts];
+        }
+    }
+
+    // Make posts unique
+    return [...new Set(allPosts)];
+}
+
+// Add a generate button to one post, unless it has one or should not get one
+function addButtonToPost(post) {
+    try {
+        // Get a unique ID for this post
+        const postId = getPostId(post);
+
+        // Skip if already processed
+        if (processedPostIds.has(postId)) return;
+
+        // Skip if not commentable
+        if (!isCommentable(post)) {
+            debug.log(`Skipping post ${postId} - not commentable`);
+            return;
+        }
+
+        // Skip if no content
+        if (!hasContent(post)) {
+            debug.log(`Skipping post ${postId} - no meaningful content`);
+            return;
+        }
+
+        // Check if the button already exists somewhere in this post
+        if (post.querySelector('.linkedin-comment-generator-button')) {
+            processedPostIds.add(postId);
+            return;
+        }
+
+        // First try to find the social actions toolbar
+        let actionBar = null;
+        for (const selector of getSelectors('actionBar')) {
+            const actionBars = post.querySelectorAll(selector);
+            if (actionBars.length > 0) {
+                for (const bar of actionBars) {
+                    // Look for any visible action bar
+                    if (bar.offsetParent !== null) {
+                        actionBar = bar;
+                        break;
+                    }
+                }
+                if (actionBar) break;
+            }
+        }
+
+        if (actionBar) {
+            // Try to find a good placement
+            let buttonAdded = false;
+
+            // First try: Look for the comment button
+            const commentBtn = actionBar.querySelector('button[aria-label*="comment" i], .comment-button, [role="button"]');
+            if (commentBtn) {
+                // Find a parent element that might be a list item
+                let commentItem = commentBtn;
+                for (let i = 0; i < 3; i++) {
+                    if (commentItem.tagName === 'LI' || commentItem.getAttribute('role') === 'listitem') {
+                        break;
+                    }
+                    if (commentItem.parentNode) {
+                        commentItem = commentItem.parentNode;
+                    } else {
+                        break;
+                    }
+                }
+
+                if (commentItem && commentItem.parentNode) {
+                    // Create a container similar to other action buttons
+                    const buttonContainer = document.createElement('li');
+                    buttonContainer.className = 'linkedin-comment-generator-container';
+                    buttonContainer.setAttribute('data-lcg-post-id', postId);
+                    buttonContainer.style.cssText = `
+                        display: inline-flex;
+                        align-items: center;
+                        margin: 0 4px;
+                    `;
+
+                    // Create the button
+                    const button = createGenerateButton();
+
+                    // Add click handler
+                    button.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        e.preventDefault();
+
+                        // Remove any existing comment UI
+                        if (activeCommentUI) {
+                            activeCommentUI.remove();
+                            activeCommentUI = null;
+                        }
+
+                        // Hide the generate button
+                        button.style.display = 'none';
+
+                        // Create and add comment UI - add it after the action bar
+                        const commentUI = createCommentUI(post, button);
+                        actionBar.parentNode.insertBefore(commentUI, actionBar.nextSibling);
+                        activeCommentUI = commentUI;
+
+                        // Auto-generate initial comment
+                        const regenerateBtn = commentUI.querySelector('.linkedin-comment-generator-regenerate');
+                        if (regenerateBtn && regenerateBtn.textContent === 'Generate') {
+                            regenerateBtn.click();
+                        }
+                    });
+
+                    // Add button to container
+                    buttonContainer.appendChild(button);
+
+                    // Add container next to the comment button
+                    const parentElement = commentItem.parentNode;
+                    parentElement.appendChild(buttonContainer);
+                    applyRelevance(post, button);
+
+                    processedPostIds.add(postId);
+                    buttonAdded = true;
+                        debug.log(`Added button to post ${postId} next to comment button`);
+                }
+            }
+
+            // Second try: Just append to the action bar
+            if (!buttonAdded) {
+                // Create a direct button container
+                const buttonContainer = document.createElement('div');
+                buttonContainer.className = 'linkedin-comment-generator-container';
+                buttonContainer.setAttribute('data-lcg-post-id', postId);
+                buttonContainer.style.cssText = `
+                    display: inline-flex;
+                    align-items: center;
+                    margin: 0 8px;
+                `;
+
+                // Create the button
+                const button = createGenerateButton();
+
+                // Add click handler
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    e.preventDefault();
+
+                    // Remove any existing comment UI
+                    if (activeCommentUI) {
+                        activeCommentUI.remove();
+                        activeCommentUI = null;
+                    }
+
+                    // Hide the generate button
+                    button.style.display = 'none';
+
+                    // Create and add comment UI
+                    const commentUI = createCommentUI(post, button);
+                    actionBar.parentNode.insertBefore(commentUI, actionBar.nextSibling);
+                    activeCommentUI = commentUI;
+
+                    // Auto-generate initial comment
+                    const regenerateBtn = commentUI.querySelector('.linkedin-comment-generator-regenerate');
+                    if (regenerateBtn && regenerateBtn.textContent === 'Generate') {
+                        regenerateBtn.click();
+                    }
+                });
+
+                // Add button to container
+                buttonContainer.appendChild(button);
+
+                // Append to action bar
+                actionBar.appendChild(buttonContainer);
+                applyRelevance(post, button);
+
+                processedPostIds.add(postId);
+                buttonAdded = true;
+                debug.log(`Added button to post ${postId} directly to action bar`);
+            }
+
+            if (buttonAdded) {
+                // Skip the fallback button placement
+                processedPostIds.add(postId);
+                return;
+            }
+        }
+
+        // Fallback placement: Add to the bottom of the post
+        const button = createGenerateButton();
+
+        // Make it full width for the fallback case
+        button.style.display = 'block';
+        button.style.width = 'calc(100% - 32px)';
+        button.style.margin = '12px auto';
+        button.style.padding = '8px 16px';
+
+        // Add click handler
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+
+            // Remove any existing comment UI
+            if (activeCommentUI) {
+                activeCommentUI.remove();
+                activeCommentUI = null;
+            }
+
+            // Hide the generate button
+            button.style.display = 'none';
+
+            // Create and add comment UI
+            const commentUI = createCommentUI(post, button);
+            button.parentNode.insertBefore(commentUI, button.nextSibling);
+            activeCommentUI = commentUI;
+
+            // Auto-generate initial comment
+            const regenerateBtn = commentUI.querySelector('.linkedin-comment-generator-regenerate');
+            if (regenerateBtn && regenerateBtn.textContent === 'Generate') {
+                regenerateBtn.click();
+            }
+        });
+
+        // Create a container for our fallback button
+        const container = document.createElement('div');
+        container.className = 'linkedin-comment-generator-fallback';
+        container.setAttribute('data-lcg-post-id', postId);
+        container.style.cssText = `
+            padding: 0 16px;
+            margin: 8px 0;
+        `;
+        container.appendChild(button);
+
+        // Add to the post
+        post.appendChild(container);
+        applyRelevance(post, button);
+        processedPostIds.add(postId);
+        debug.log(`Added fallback button to post ${postId}`);
+    } catch (error) {
+        debug.error('Error adding button', error);
+    }
+}
+
+// Add a generate button next to the Reply action of each comment given
+function addReplyButtons(comments) {
+    let buttonsAdded = 0;
+
+    comments.forEach(comment => {
+        if (comment.hasAttribute('data-lcg-reply-processed')) return;
+
+        const replyButton = findReplyButton(comment);
+        if (!replyButton) return;
+
+        const post = comment.closest(`${getSelector('feedPost')}, [data-urn]:not(${getSelector('comment')})`);
+        if (!post) return;
+
+        comment.setAttribute('data-lcg-reply-processed', 'true');
+
+        const button = createReplyButton();
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+
+            // Remove any existing comment UI
+            if (activeCommentUI) {
+                activeCommentUI.remove();
+                activeCommentUI = null;
+            }
 
-                setTimeout(() => {
-                    copyButton.innerHTML = originalInnerHTML;
-                }, 2000);
-            });
-        } catch (error) {
-            debug.error('Error copying to clipboard', error);
+            // Hide the generate button
+            button.style.display = 'none';
 
-            // Try one more fallback
-            try {
-                commentBox.select();
-                document.execCommand('copy');
-            } catch (e) {
-                debug.error('Final copy attempt failed', e);
+            // Show the panel right under the comment's action bar
+            const actionBar = replyButton.closest(getSelector('commentActionBar')) ||
+                replyButton.parentNode;
+            const commentUI = createCommentUI(post, button, comment);
+            actionBar.parentNode.insertBefore(commentUI, actionBar.nextSibling);
+            activeCommentUI = commentUI;
+
+            // Auto-generate initial reply
+            const regenerateBtn = commentUI.querySelector('.linkedin-comment-generator-regenerate');
+            if (regenerateBtn && regenerateBtn.textContent === 'Generate') {
+                regenerateBtn.click();
             }
-        }
-    });
+        });
 
-    // Assemble the comment box container
-    commentBoxContainer.appendChild(commentBox);
-    commentBoxContainer.appendChild(copyButton);
+        replyButton.parentNode.insertBefore(button, replyButton.nextSibling);
+        buttonsAdded++;
+    });
 
-    const buttonContainer = document.createElement('div');
-    buttonContainer.style.cssText = `
-        display: flex;
-        justify-content: space-between;
-        gap: 12px;
-    `;
+    if (buttonsAdded > 0) {
+        debug.log(`Added ${buttonsAdded} reply buttons`);
+    }
+}
 
-    const regenerateBtn = document.createElement('button');
-    regenerateBtn.textContent = 'Generate';
-    regenerateBtn.style.cssText = `
-        padding: 10px 22px;
-        border: 1px solid #0a66c2;
-        border-radius: 6px;
-        background-color: white;
+// Create the compact button shown next to a comment's Reply action
+function createReplyButton() {
+    const button = document.createElement('button');
+    button.textContent = '✨ Generate reply';
+    button.className = 'linkedin-comment-generator-reply-button';
+    button.title = 'Generate a reply to this comment';
+    button.style.cssText = `
+        background-color: transparent;
         color: #0a66c2;
-        cursor: pointer;
-        font-weight: 600;
-        font-size: 13.5px;
-        flex: 1;
-        transition: all 0.2s ease;
-        box-shadow: none;
-        position: relative;
-        overflow: hidden;
-    `;
-
-    const commentBtn = document.createElement('button');
-    commentBtn.textContent = 'Comment';
-    commentBtn.style.cssText = `
-        padding: 10px 22px;
         border: none;
-        border-radius: 6px;
-        background-color: #0a66c2;
-        color: white;
+        border-radius: 4px;
+        padding: 4px 8px;
+        margin: 0 4px;
         cursor: pointer;
+        display: inline-flex;
+        align-items: center;
+        font-size: 12px;
         font-weight: 600;
-        font-size: 13.5px;
-        flex: 1;
-        transition: all 0.2s ease;
-        box-shadow: none;
-        position: relative;
-        overflow: hidden;
-        display: none;
+        transition: background-color 0.2s ease;
     `;
 
-    regenerateBtn.addEventListener('mouseover', () => {
-        regenerateBtn.style.backgroundColor = '#f0f7ff';
-        regenerateBtn.style.transform = 'translateY(-1px)';
-        regenerateBtn.style.boxShadow = '0 2px 6px rgba(10,102,194,0.2)';
-    });
+    button.onmouseover = () => {
+        button.style.backgroundColor = 'rgba(10, 102, 194, 0.1)';
+    };
 
-    regenerateBtn.addEventListener('mouseout', () => {
-        regenerateBtn.style.backgroundColor = 'white';
-        regenerateBtn.style.transform = 'translateY(0)';
-        regenerateBtn.style.boxShadow = 'none';
-    });
+    button.onmouseout = () => {
+        button.style.backgroundColor = 'transparent';
+    };
 
-    commentBtn.addEventListener('mouseover', () => {
-        commentBtn.style.backgroundColor = '#004182';
-        commentBtn.style.transform = 'translateY(-1px)';
-        commentBtn.style.boxShadow = '0 2px 6px rgba(10,102,194,0.3)';
-    });
+    return button;
+}
 
-    commentBtn.addEventListener('mouseout', () => {
-        commentBtn.style.backgroundColor = '#0a66c2';
-        commentBtn.style.transform = 'translateY(0)';
-        commentBtn.style.boxShadow = 'none';
-    });
+/**
+ * Finds the post the user is working on: the one last clicked if it is
+ * still on screen, otherwise the one closest to the center of the viewport
+ * @returns {HTMLElement|null} The post element, if any is visible
+ */
+function findCurrentPost() {
+    const isOnScreen = (rect) => rect.height > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
 
-    // Add note explaining about copy functionality
-    const copyNote = document.createElement('div');
-    copyNote.textContent = 'Click the copy icon above to copy or use Comment button to post directly.';
-    copyNote.style.cssText = `
-        font-size: 12px;
-        color: #888;
-        margin-top: 10px;
-        text-align: center;
-        margin-bottom: 10px;
-    `;
+    if (lastClickedPost && lastClickedPost.isConnected && isOnScreen(lastClickedPost.getBoundingClientRect())) {
+        return lastClickedPost;
+    }
 
-    // Create close button
-    const closeBtn = document.createElement('button');
-    closeBtn.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
-    closeBtn.style.cssText = `
-        position: absolute;
-        top: 20px;
-        right: 20px;
-        border: none;
-        background: transparent;
-        color: #666;
-        cursor: pointer;
-        width: 32px;
-        height: 32px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        border-radius: 50%;
-        transition: all 0.2s ease;
-    `;
+    const posts = document.querySelectorAll(getSelector('feedPost'));
+    const viewportCenter = window.innerHeight / 2;
 
-    closeBtn.addEventListener('mouseover', () => {
-        closeBtn.style.backgroundColor = '#f5f5f5';
-        closeBtn.style.color = '#333';
-    });
+    let closestPost = null;
+    let closestDistance = Infinity;
 
-    closeBtn.addEventListener('mouseout', () => {
-        closeBtn.style.backgroundColor = 'transparent';
-        closeBtn.style.color = '#666';
-    });
+    posts.forEach(post => {
+        const rect = post.getBoundingClientRect();
+        if (!isOnScreen(rect)) return;
 
-    closeBtn.addEventListener('click', () => {
-        container.remove();
-        activeCommentUI = null;
-        // Show the generate button again
-        if (generateButton) {
-            generateButton.style.display = 'inline-flex';
+        const distance = Math.abs((rect.top + rect.bottom) / 2 - viewportCenter);
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            closestPost = post;
         }
     });
 
-    // Add event listeners
-    regenerateBtn.addEventListener('click', async () => {
-        const content = extractPostContent(post);
-        debug.log('Extracted post content for comment generation', content);
+    return closestPost;
+}
 
-        // Show loading state
-        commentBox.value = 'Analyzing Post...';
-        regenerateBtn.disabled = true;
-        commentBtn.disabled = true;
+/**
+ * Returns the post a popup action applies to
+ * @param {string} postUrn - URN of the post shown in the popup, if known
+ * @returns {HTMLElement|null} The post element
+ */
+function findPopupPost(postUrn) {
+    if (popupPost && popupPost.isConnected && (!postUrn || getPostUrn(popupPost) === postUrn)) {
+        return popupPost;
+    }
+    if (postUrn && postUrn !== 'unknown') {
+        const post = document.querySelector(`[data-urn="${CSS.escape(postUrn)}"]`);
+        if (post) {
+            return post;
+        }
+    }
+    return findCurrentPost();
+}
 
-        try {
-            const hint = hintInput.value.trim();
-            const tone = toneSelect.value;
+/**
+ * Sends a comment chosen in the popup to LinkedIn using the insertion mode.
+ * Like the inline panel, it holds the comment back on safety warnings until
+ * the user confirms them.
+ * @param {HTMLElement} post - The post shown in the popup
+ * @param {Object} request - {comment, historyId, tone, hint, acceptWarnings}
+ *     from the popup
+ * @returns {Promise<Object>} {mode, applied, warnings}: applied is false when
+ *     warnings need confirming first
+ * @throws {Error} If a blocking safety check fails or the comment can't be sent
+ */
+async function applyPopupComment(post, request) {
+    const mode = getInsertionMode(await getSettings()).id;
 
-            // Only use the API - no fallback to local generation
-            try {
-                const comment = await generateCommentAPI(content, hint, tone);
-                commentBox.value = comment;
-                hintInput.style.display = 'block';
-
-                // Show both buttons after successful generation
-                regenerateBtn.style.display = 'inline-block';
-                commentBtn.style.display = 'inline-block';
-                regenerateBtn.textContent = 'Regenerate';
-            } catch (apiError) {
-                debug.error('API generation failed', apiError);
+    const issues = await checkCommentSafety(request.comment, getEngagementTarget(post));
+    const blocking = issues.filter(issue => issue.mode === 'block');
+    if (blocking.length > 0) {
+        throw new Error(blocking.map(issue => issue.message).join(' '));
+    }
+
+    const warnings = issues.filter(issue => issue.mode === 'warn').map(issue => issue.message);
+    if (warnings.length > 0 && !request.acceptWarnings) {
+        return { mode, applied: false, warnings };
+    }
 
-                // Show clear error message to user
-                commentBox.value = `Error: Could not generate comment. ${apiError.message}\n\nPlease check API configuration or try again later.`;
+    await applyCommentToLinkedIn(post, request.comment, { mode });
+
+    if (mode === 'submit') {
+        chrome.runtime.sendMessage({
+            action: 'markCommentPosted',
+            details: {
+                historyId: request.historyId,
+                comment: request.comment,
+                ...getEngagementTarget(post),
+                tone: request.tone,
+                hint: request.hint || ''
             }
-        } catch (error) {
-            debug.error('Error in comment generation process', error);
-            commentBox.value = `Error: ${error.message || 'Unknown error occurred while generating comment.'}`;
-        }
+        }).catch(error => debug.error('Error saving posted comment to history', error));
+    }
 
-        regenerateBtn.disabled = false;
-        commentBtn.disabled = false;
-    });
+    return { mode, applied: true, warnings: [] };
+}
 
-    // Comment button click handler
-    commentBtn.addEventListener('click', async () => {
-        if (!commentBox.value || commentBox.value === 'Analyzing Post...') return;
+/**
+ * Open review queue (batch mode), if any:
+ * {panel, list, draftBtn, postBtn, stopBtn, status, modeNote, toneSelect, tones,
+ *  insertionMode, items, running, stopRequested}
+ */
+let batchQueue = null;
 
-        commentBtn.disabled = true;
-        const originalText = commentBtn.textContent;
-        commentBtn.textContent = 'Posting...';
+/**
+ * Labels and colors of the review queue item states
+ */
+const BATCH_STATUS_STYLES = {
+    drafting: { label: 'Drafting...', color: '#666' },
+    ready: { label: 'Ready for review', color: '#0a66c2' },
+    approved: { label: 'Approved', color: '#16a34a' },
+    skipped: { label: 'Skipped', color: '#999' },
+    posting: { label: 'Posting...', color: '#0a66c2' },
+    posted: { label: 'Posted', color: '#16a34a' },
+    failed: { label: 'Failed', color: '#dc2626' }
+};
 
-        try {
-            await postCommentToLinkedIn(post, commentBox.value);
+/**
+ * Finds the first commentable posts in the loaded feed, in feed order
+ * @param {number} limit - Maximum number of posts
+ * @returns {HTMLElement[]} Post elements
+ */
+function findBatchPosts(limit) {
+    // The button selectors also match parts of posts; map them to whole posts
+    const posts = [...new Set(findPostElements()
+        .map(element => element.closest(getSelector('feedPost')) || element))]
+        .filter(post => isCommentable(post) && hasContent(post))
+        .filter(post => !isHiddenByRelevance(getPostRelevance(post)));
+
+    return posts
+        .filter(post => !posts.some(other => other !== post && other.contains(post)))
+        .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+        .slice(0, limit);
+}
 
-            // Show success feedback
-            commentBtn.textContent = 'Posted!';
-            commentBtn.style.backgroundColor = '#22c55e';
+// Open the review queue side panel, creating it on first use
+function openBatchQueue() {
+    if (batchQueue) {
+        batchQueue.panel.style.display = 'flex';
+        refreshBatchInsertionMode();
+        return;
+    }
 
-            setTimeout(() => {
-                // Close the UI after successful comment
-                container.remove();
-                activeCommentUI = null;
-                if (generateButton) {
-                    generateButton.style.display = 'inline-flex';
-                }
-            }, 2000);
-        } catch (error) {
-            debug.error('Error posting comment', error);
-            commentBtn.textContent = 'Failed';
-            commentBtn.style.backgroundColor = '#dc2626';
+    const panel = document.createElement('div');
+    panel.className = 'linkedin-comment-generator-batch';
+    panel.style.cssText = `
+        position: fixed;
+        top: 72px;
+        right: 16px;
+        bottom: 16px;
+        width: 380px;
+        display: flex;
+        flex-direction: column;
+        background: #ffffff;
+        border: 1px solid #e5e5e5;
+        border-radius: 8px;
+        box-shadow: 0 4px 16px rgba(0,0,0,0.15);
+        z-index: 9999;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    `;
 
-            setTimeout(() => {
-                commentBtn.textContent = originalText;
-                commentBtn.style.backgroundColor = '#0a66c2';
-                commentBtn.disabled = false;
-            }, 2000);
-        }
+    const header = document.createElement('div');
+    header.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 16px 20px;
+        border-bottom: 1px solid #e5e5e5;
+    `;
+
+    const title = document.createElement('h3');
+    title.textContent = 'Review Queue';
+    title.style.cssText = `
+        margin: 0;
+        font-size: 17px;
+        color: #1a1a1a;
+        font-weight: 600;
+    `;
+
+    const closeBtn = document.createElement('button');
+    closeBtn.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
+    closeBtn.title = 'Hide the review queue';
+    closeBtn.style.cssText = `
+        border: none;
+        background: transparent;
+        color: #666;
+        cursor: pointer;
+        display: flex;
+    `;
+    // Hiding keeps the queue, so a running batch continues
+    closeBtn.addEventListener('click', () => {
+        panel.style.display = 'none';
     });
 
-    // Assemble the UI
-    buttonContainer.appendChild(regenerateBtn);
-    buttonContainer.appendChild(commentBtn);
-    container.appendChild(closeBtn);
-    container.appendChild(heading);
-    container.appendChild(toneContainer);
-    container.appendChild(commentBoxContainer);
-    container.appendChild(hintInput);
-    container.appendChild(copyNote);
-    container.appendChild(buttonContainer);
+    const list = document.createElement('div');
+    list.style.cssText = `
+        flex: 1;
+        overflow-y: auto;
+        padding: 12px 20px;
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+    `;
 
-    return container;
-}
+    const footer = document.createElement('div');
+    footer.style.cssText = `
+        padding: 12px 20px 16px;
+        border-top: 1px solid #e5e5e5;
+    `;
 
-// Create the Generate Comment button with logo
-function createGenerateButton() {
-    const button = document.createElement('button');
+    // Tone every draft is written in; Regenerate uses the one selected then
+    const toneDropdown = createDropdown('Tone', 'linkedin-comment-generator-batch-tone');
+    toneDropdown.container.style.marginBottom = '10px';
+
+    const status = document.createElement('div');
+    status.style.cssText = `
+        font-size: 12px;
+        color: #666;
+        margin-bottom: 10px;
+        min-height: 16px;
+    `;
+
+    // Batch mode posts on a timer, so it only runs when comments are submitted
+    const modeNote = document.createElement('div');
+    modeNote.textContent = 'Posting approved comments is off: batch mode posts them one after another, ' +
+        'but the insertion mode only fills the comment box. Choose "Insert and submit" in the options to use it.';
+    modeNote.style.cssText = `
+        font-size: 12px;
+        color: #92400e;
+        background-color: #fffbeb;
+        border: 1px solid #f59e0b;
+        border-radius: 6px;
+        padding: 6px 8px;
+        margin-bottom: 10px;
+        display: none;
+    `;
+
+    const buttonRow = document.createElement('div');
+    buttonRow.style.cssText = `
+        display: flex;
+        gap: 8px;
+    `;
 
-    // Use logo instead of text
-    button.innerHTML = `<img src="${chrome.runtime.getURL('icons/logo.png')}" alt="Generate Comment" style="width: 128px; height: 48px; display: block;" />`;
-    button.className = 'linkedin-comment-generator-button';
-    button.setAttribute('data-lcg-processed', 'true');
-    button.style.cssText = `
-    background-color: transparent;
-    color: white;
-    border: none;
-    border-radius: 6px;
-    padding: 8px 12px;
-    margin: 0 4px;
-    cursor: pointer;
-    display: inline-flex;
-    align-items: center;
-    justify-content: center;
-    min-width: 40px;
-    box-shadow: none;
-    transition: all 0.2s ease;
-    position: relative;
-    overflow: hidden;
-`;
+    const buttonStyle = (primary) => `
+        flex: 1;
+        padding: 9px 12px;
+        border: 1px solid #0a66c2;
+        border-radius: 6px;
+        background-color: ${primary ? '#0a66c2' : 'white'};
+        color: ${primary ? 'white' : '#0a66c2'};
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 13px;
+    `;
 
-    button.onmouseover = () => {
-        button.style.backgroundColor = 'rgba(10, 102, 194, 0.1)';
-        button.style.transform = 'translateY(-1px)';
-        button.style.boxShadow = '0 2px 6px rgba(10,102,194,0.15)';
+    const draftBtn = document.createElement('button');
+    draftBtn.textContent = 'Draft Comments';
+    draftBtn.style.cssText = buttonStyle(false);
+
+    const postBtn = document.createElement('button');
+    postBtn.textContent = 'Post Approved';
+    postBtn.style.cssText = buttonStyle(true);
+
+    const stopBtn = document.createElement('button');
+    stopBtn.textContent = 'Stop';
+    stopBtn.style.cssText = buttonStyle(false);
+    stopBtn.style.borderColor = '#dc2626';
+    stopBtn.style.color = '#dc2626';
+    stopBtn.style.display = 'none';
+
+    buttonRow.appendChild(draftBtn);
+    buttonRow.appendChild(postBtn);
+    buttonRow.appendChild(stopBtn);
+    footer.appendChild(toneDropdown.container);
+    footer.appendChild(status);
+    footer.appendChild(modeNote);
+    footer.appendChild(buttonRow);
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    panel.appendChild(header);
+    panel.appendChild(list);
+    panel.appendChild(footer);
+    document.body.appendChild(panel);
+
+    batchQueue = {
+        panel, list, draftBtn, postBtn, stopBtn, status, modeNote,
+        toneSelect: toneDropdown.select,
+        tones: [],
+        insertionMode: null,
+        items: [],
+        running: false,
+        stopRequested: false
     };
 
-    button.onmouseout = () => {
-        button.style.backgroundColor = 'transparent';
-        button.style.transform = 'translateY(0)';
-        button.style.boxShadow = 'none';
-    };
+    draftBtn.addEventListener('click', () => {
+        draftBatch().catch(error => {
+            debug.error('Error drafting batch', error);
+            status.textContent = `Drafting failed: ${error.message}`;
+        });
+    });
+    postBtn.addEventListener('click', () => {
+        postApprovedBatch().catch(error => {
+            debug.error('Error posting batch', error);
+            status.textContent = `Posting failed: ${error.message}`;
+        });
+    });
+    stopBtn.addEventListener('click', () => {
+        batchQueue.stopRequested = true;
+        stopBtn.disabled = true;
+        status.textContent = 'Stopping...';
+    });
 
-    return button;
+    getTones().then(tones => {
+        batchQueue.tones = tones;
+        toneDropdown.setOptions(tones.map(tone => ({ value: tone.id, label: tone.label })));
+    }).catch(error => debug.error('Error loading tones', error));
+
+    status.textContent = 'Draft comments for the first posts in your feed, then review them here.';
+    refreshBatchInsertionMode();
 }
 
-// Find posts and add buttons
-function addButtonsToPosts() {
+/**
+ * Reads the insertion mode, which decides whether approved comments can be posted
+ * @returns {Promise<void>}
+ */
+async function refreshBatchInsertionMode() {
     try {
-        // Cleanup before adding new buttons
-        cleanupDuplicateButtons();
-
-        // Find LinkedIn posts with different possible selectors
-        const postSelectors = [
-            '.feed-shared-update-v2',
-            '.occludable-update',
-            '.feed-shared-article',
-            '.feed-shared-update',
-            '.update-components-actor',
-            '.update-components-article',
-            '.update-components-image',
-            '.feed-shared-external-video',
-            '.feed-shared-text'
-        ];
-
-        let allPosts = [];
-
-        // Try each selector
-        for (const selector of postSelectors) {
-            const posts = document.querySelectorAll(selector);
-            if (posts.length > 0) {
-                debug.log(`Found ${posts.length} posts with selector: ${selector}`);
-                allPosts = [...allPosts, ...posts];
-            }
-        }
+        batchQueue.insertionMode = getInsertionMode(await getSettings()).id;
+        updateBatchSummary();
+    } catch (error) {
+        debug.error('Error reading insertion mode', error);
+    }
+}
 
-        // Make posts unique
-        allPosts = [...new Set(allPosts)];
-        debug.log(`Processing ${allPosts.length} total posts`);
+/**
+ * Creates the review card of one queued post
+ * @param {Object} item - Queue item
+ * @returns {HTMLElement} The card element
+ */
+function createBatchCard(item) {
+    const card = document.createElement('div');
+    card.style.cssText = `
+        border: 1px solid #e0e0e0;
+        border-radius: 8px;
+        padding: 12px;
+    `;
 
-        let buttonsAdded = 0;
+    const author = getPostAuthor(item.post);
+    const summary = document.createElement('div');
+    summary.textContent = `${author ? `${author}: ` : ''}${extractPostContent(item.post).slice(0, 120)}...`;
+    summary.title = 'Show this post';
+    summary.style.cssText = `
+        font-size: 12px;
+        color: #666;
+        margin-bottom: 8px;
+        cursor: pointer;
+    `;
+    summary.addEventListener('click', () => {
+        item.post.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
 
-        // Process each post
-        allPosts.forEach(post => {
-            // Get a unique ID for this post
-            const postId = getPostId(post);
+    const draft = document.createElement('textarea');
+    draft.style.cssText = `
+        width: 100%;
+        min-height: 80px;
+        padding: 8px;
+        border: 1px solid #d0d0d0;
+        border-radius: 6px;
+        font-size: 13px;
+        line-height: 1.5;
+        resize: vertical;
+        box-sizing: border-box;
+        font-family: inherit;
+    `;
+    draft.addEventListener('input', () => {
+        item.text = draft.value;
+    });
 
-            // Skip if already processed
-            if (processedPostIds.has(postId)) return;
+    const notice = document.createElement('div');
+    notice.style.display = 'none';
 
-            // Skip if not commentable
-            if (!isCommentable(post)) {
-                debug.log(`Skipping post ${postId} - not commentable`);
-                return;
-            }
+    const footer = document.createElement('div');
+    footer.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-top: 8px;
+    `;
 
-            // Skip if no content
-            if (!hasContent(post)) {
-                debug.log(`Skipping post ${postId} - no meaningful content`);
-                return;
-            }
+    const badge = document.createElement('span');
+    badge.style.cssText = `
+        flex: 1;
+        font-size: 12px;
+        font-weight: 600;
+    `;
 
-            // Check if the button already exists somewhere in this post
-            if (post.querySelector('.linkedin-comment-generator-button')) {
-                processedPostIds.add(postId);
-                return;
-            }
+    const smallButton = (label) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = `
+            padding: 5px 10px;
+            border: 1px solid #d0d0d0;
+            border-radius: 14px;
+            background: white;
+            color: #333;
+            cursor: pointer;
+            font-size: 12px;
+            font-weight: 600;
+        `;
+        return button;
+    };
 
-            // First try to find the social actions toolbar
-            const actionSelectors = [
-                '.feed-shared-social-actions',
-                '.social-details-social-actions',
-                '.update-v2-social-actions',
-                '.feed-shared-social-action-bar',
-                '.artdeco-card__actions',
-                '.feed-shared-social-counts'
-            ];
+    const approveBtn = smallButton('Approve');
+    const skipBtn = smallButton('Skip');
+    const regenerateBtn = smallButton('Regenerate');
 
-            let actionBar = null;
-            for (const selector of actionSelectors) {
-                const actionBars = post.querySelectorAll(selector);
-                if (actionBars.length > 0) {
-                    for (const bar of actionBars) {
-                        // Look for any visible action bar
-                        if (bar.offsetParent !== null) {
-                            actionBar = bar;
-                            break;
-                        }
-                    }
-                    if (actionBar) break;
-                }
-            }
+    approveBtn.addEventListener('click', async () => {
+        if (!item.text.trim()) return;
+        item.error = null;
 
-            if (actionBar) {
-                // Try to find a good placement
-                let buttonAdded = false;
-
-                // First try: Look for the comment button
-                const commentBtn = actionBar.querySelector('button[aria-label*="comment" i], .comment-button, [role="button"]');
-                if (commentBtn) {
-                    // Find a parent element that might be a list item
-                    let commentItem = commentBtn;
-                    for (let i = 0; i < 3; i++) {
-                        if (commentItem.tagName === 'LI' || commentItem.getAttribute('role') === 'listitem') {
-                            break;
-                        }
-                        if (commentItem.parentNode) {
-                            commentItem = commentItem.parentNode;
-                        } else {
-                            break;
-                        }
-                    }
+        if (item.status === 'approved') {
+            setBatchItemStatus(item, 'ready');
+            return;
+        }
 
-                    if (commentItem && commentItem.parentNode) {
-                        // Create a container similar to other action buttons
-                        const buttonContainer = document.createElement('li');
-                        buttonContainer.className = 'linkedin-comment-generator-container';
-                        buttonContainer.setAttribute('data-lcg-post-id', postId);
-                        buttonContainer.style.cssText = `
-                            display: inline-flex;
-                            align-items: center;
-                            margin: 0 4px;
-                        `;
-
-                        // Create the button
-                        const button = createGenerateButton();
-
-                        // Add click handler
-                        button.addEventListener('click', (e) => {
-                            e.stopPropagation();
-                            e.preventDefault();
-
-                            // Remove any existing comment UI
-                            if (activeCommentUI) {
-                                activeCommentUI.remove();
-                                activeCommentUI = null;
-                            }
-
-                            // Hide the generate button
-                            button.style.display = 'none';
-
-                            // Create and add comment UI - add it after the action bar
-                            const commentUI = createCommentUI(post, button);
-                            actionBar.parentNode.insertBefore(commentUI, actionBar.nextSibling);
-                            activeCommentUI = commentUI;
-
-                            // Auto-generate initial comment
-                            const regenerateBtn = commentUI.querySelector('button');
-                            if (regenerateBtn && regenerateBtn.textContent === 'Generate') {
-                                regenerateBtn.click();
-                            }
-                        });
-
-                        // Add button to container
-                        buttonContainer.appendChild(button);
-
-                        // Add container next to the comment button
-                        const parentElement = commentItem.parentNode;
-                        parentElement.appendChild(buttonContainer);
-
-                        processedPostIds.add(postId);
-                        buttonAdded = true;
-                        buttonsAdded++;
-                        debug.log(`Added button to post ${postId} next to comment button`);
-                    }
+        approveBtn.disabled = true;
+        const issues = await checkCommentSafety(item.text, getEngagementTarget(item.post));
+        approveBtn.disabled = false;
+
+        if (issues.some(issue => issue.mode === 'block')) {
+            renderNotice(notice, {
+                level: 'block',
+                title: 'Edit the draft before approving',
+                messages: issues.map(issue => issue.message)
+            });
+        } else if (issues.length > 0) {
+            renderNotice(notice, {
+                level: 'warn',
+                title: 'Check before approving',
+                messages: issues.map(issue => issue.message),
+                actionLabel: 'Approve anyway',
+                onAction: () => {
+                    renderNotice(notice, null);
+                    setBatchItemStatus(item, 'approved');
                 }
+            });
+        } else {
+            renderNotice(notice, null);
+            setBatchItemStatus(item, 'approved');
+        }
+    });
+    skipBtn.addEventListener('click', () => {
+        item.error = null;
+        setBatchItemStatus(item, item.status === 'skipped' ? 'ready' : 'skipped');
+    });
+    regenerateBtn.addEventListener('click', () => {
+        draftBatchItem(item, { bypassCache: true }).catch(error => debug.error('Error regenerating batch draft', error));
+    });
 
-                // Second try: Just append to the action bar
-                if (!buttonAdded) {
-                    // Create a direct button container
-                    const buttonContainer = document.createElement('div');
-                    buttonContainer.className = 'linkedin-comment-generator-container';
-                    buttonContainer.setAttribute('data-lcg-post-id', postId);
-                    buttonContainer.style.cssText = `
-                        display: inline-flex;
-                        align-items: center;
-                        margin: 0 8px;
-                    `;
+    footer.appendChild(badge);
+    footer.appendChild(approveBtn);
+    footer.appendChild(skipBtn);
+    footer.appendChild(regenerateBtn);
+    card.appendChild(summary);
+    card.appendChild(draft);
+    card.appendChild(footer);
+    card.appendChild(notice);
+
+    item.elements = { card, draft, badge, notice, approveBtn, skipBtn, regenerateBtn };
+    return card;
+}
 
-                    // Create the button
-                    const button = createGenerateButton();
+/**
+ * Updates a queue item's state and the controls of its card
+ * @param {Object} item - Queue item
+ * @param {string} status - One of the BATCH_STATUS_STYLES keys
+ */
+function setBatchItemStatus(item, status) {
+    item.status = status;
+    const { card, draft, badge, approveBtn, skipBtn, regenerateBtn } = item.elements;
+    const style = BATCH_STATUS_STYLES[status];
+
+    badge.textContent = item.error ? `${style.label}: ${item.error}` : style.label;
+    badge.style.color = style.color;
+    card.style.opacity = status === 'skipped' ? '0.5' : '1';
+    card.style.borderColor = status === 'approved' ? '#16a34a' : '#e0e0e0';
+
+    const locked = ['drafting', 'posting', 'posted'].includes(status);
+    draft.readOnly = locked || status === 'approved';
+    approveBtn.disabled = locked || status === 'skipped';
+    approveBtn.textContent = status === 'approved' ? 'Unapprove' : 'Approve';
+    skipBtn.disabled = locked;
+    skipBtn.textContent = status === 'skipped' ? 'Restore' : 'Skip';
+    regenerateBtn.disabled = locked;
+
+    updateBatchSummary();
+}
 
-                    // Add click handler
-                    button.addEventListener('click', (e) => {
-                        e.stopPropagation();
-                        e.preventDefault();
+// Show how many drafts are approved and enable posting when there are any
+function updateBatchSummary() {
+    if (!batchQueue || batchQueue.running) return;
 
-                        // Remove any existing comment UI
-                        if (activeCommentUI) {
-                            activeCommentUI.remove();
-                            activeCommentUI = null;
-                        }
+    const approved = batchQueue.items.filter(item => item.status === 'approved').length;
+    const submitting = batchQueue.insertionMode === 'submit';
+    batchQueue.postBtn.textContent = approved > 0 ? `Post Approved (${approved})` : 'Post Approved';
+    batchQueue.postBtn.disabled = approved === 0 || !submitting;
+    batchQueue.modeNote.style.display = batchQueue.insertionMode && !submitting ? 'block' : 'none';
+}
 
-                        // Hide the generate button
-                        button.style.display = 'none';
+/**
+ * Generates the draft of one queued post
+ * @param {Object} item - Queue item
+ * @param {Object} options - Settings:
+ * @param {boolean} options.bypassCache - Generate anew even if the same request
+ *     was answered recently, as Regenerate does
+ * @returns {Promise<void>}
+ */
+async function draftBatchItem(item, options = {}) {
+    item.error = null;
+    renderNotice(item.elements.notice, null);
+    setBatchItemStatus(item, 'drafting');
 
-                        // Create and add comment UI
-                        const commentUI = createCommentUI(post, button);
-                        actionBar.parentNode.insertBefore(commentUI, actionBar.nextSibling);
-                        activeCommentUI = commentUI;
+    try {
+        await expandPostText(item.post);
+        const settings = await getSettings();
+        const tones = batchQueue.tones.length > 0 ? batchQueue.tones : await getTones();
+        const tone = tones.find(entry => entry.id === batchQueue.toneSelect.value) || tones[0];
+
+        const { comments, historyIds, offlineReason } = await generateCommentVariantsAPI(item.post, {
+            content: extractPostContent(item.post),
+            hint: '',
+            tone,
+            persona: await getActivePersona(settings),
+            replyTo: null
+        }, 1, { bypassCache: !!options.bypassCache });
+
+        item.text = comments[0];
+        item.historyId = historyIds[0];
+        item.elements.draft.value = item.text;
+        if (offlineReason) {
+            renderNotice(item.elements.notice, {
+                level: 'warn',
+                title: 'Written offline',
+                messages: [offlineReason]
+            });
+        }
+        setBatchItemStatus(item, 'ready');
+    } catch (error) {
+        item.error = error.message;
+        setBatchItemStatus(item, 'failed');
+    }
+}
 
-                        // Auto-generate initial comment
-                        const regenerateBtn = commentUI.querySelector('button');
-                        if (regenerateBtn && regenerateBtn.textContent === 'Generate') {
-                            regenerateBtn.click();
-                        }
-                    });
+/**
+ * Drafts comments for the first posts of the feed, one after another
+ * @returns {Promise<void>}
+ */
+async function draftBatch() {
+    if (batchQueue.running) return;
+
+    const { batch } = await getSettings();
+    const posts = findBatchPosts(batch.size);
+    if (posts.length === 0) {
+        batchQueue.status.textContent = 'No commentable posts found. Scroll the feed and try again.';
+        return;
+    }
 
-                    // Add button to container
-                    buttonContainer.appendChild(button);
+    // Keep what was already posted; replace everything else
+    batchQueue.items = batchQueue.items.filter(item => item.status === 'posted');
+    batchQueue.list.innerHTML = '';
+    batchQueue.items.forEach(item => batchQueue.list.appendChild(item.elements.card));
 
-                    // Append to action bar
-                    actionBar.appendChild(buttonContainer);
+    const postedPosts = new Set(batchQueue.items.map(item => item.post));
+    const newItems = posts
+        .filter(post => !postedPosts.has(post))
+        .map(post => ({ post, text: '', historyId: null, status: 'drafting', error: null }));
 
-                    processedPostIds.add(postId);
-                    buttonAdded = true;
-                    buttonsAdded++;
-                    debug.log(`Added button to post ${postId} directly to action bar`);
-                }
+    newItems.forEach(item => {
+        batchQueue.list.appendChild(createBatchCard(item));
+        batchQueue.items.push(item);
+        setBatchItemStatus(item, 'drafting');
+    });
 
-                if (buttonAdded) {
-                    // Skip the fallback button placement
-                    processedPostIds.add(postId);
-                    return;
-                }
-            }
+    batchQueue.running = true;
+    batchQueue.draftBtn.disabled = true;
+    batchQueue.postBtn.disabled = true;
+
+    try {
+        for (const [index, item] of newItems.entries()) {
+            batchQueue.status.textContent = `Drafting ${index + 1} of ${newItems.length}...`;
+            await draftBatchItem(item);
+        }
+        batchQueue.status.textContent = 'Review the drafts, approve the ones to post, then click Post Approved.';
+    } finally {
+        batchQueue.running = false;
+        batchQueue.draftBtn.disabled = false;
+        updateBatchSummary();
+    }
+}
+
+/**
+ * Longest wait for the posting caps or interval that a running batch sits
+ * out before stopping
+ */
+const MAX_BATCH_THROTTLE_WAIT_SECONDS = 15 * 60;
 
-            // Fallback placement: Add to the bottom of the post
-            const button = createGenerateButton();
+/**
+ * Waits between two batch posts, showing a countdown
+ * @param {number} seconds - Pause length
+ * @returns {Promise<boolean>} False if the user stopped the batch meanwhile
+ */
+async function waitBetweenBatchPosts(seconds) {
+    for (let remaining = seconds; remaining > 0; remaining--) {
+        if (batchQueue.stopRequested) return false;
+        batchQueue.status.textContent = `Next comment in ${formatWaitTime(remaining * 1000)}`;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    return !batchQueue.stopRequested;
+}
 
-            // Make it full width for the fallback case
-            button.style.display = 'block';
-            button.style.width = 'calc(100% - 32px)';
-            button.style.margin = '12px auto';
-            button.style.padding = '8px 16px';
+/**
+ * Posts the approved drafts one at a time with a random pause in between
+ * @returns {Promise<void>}
+ */
+async function postApprovedBatch() {
+    if (batchQueue.running) return;
 
-            // Add click handler
-            button.addEventListener('click', (e) => {
-                e.stopPropagation();
-                e.preventDefault();
+    const approved = batchQueue.items.filter(item => item.status === 'approved');
+    if (approved.length === 0) return;
 
-                // Remove any existing comment UI
-                if (activeCommentUI) {
-                    activeCommentUI.remove();
-                    activeCommentUI = null;
-                }
+    // The mode may have changed in the options since the queue was opened
+    const settings = await getSettings();
+    if (getInsertionMode(settings).id !== 'submit') {
+        await refreshBatchInsertionMode();
+        return;
+    }
+    const { batch } = settings;
 
-                // Hide the generate button
-                button.style.display = 'none';
+    batchQueue.running = true;
+    batchQueue.stopRequested = false;
+    batchQueue.draftBtn.disabled = true;
+    batchQueue.postBtn.style.display = 'none';
+    batchQueue.stopBtn.style.display = 'block';
+    batchQueue.stopBtn.disabled = false;
 
-                // Create and add comment UI
-                const commentUI = createCommentUI(post, button);
-                button.parentNode.insertBefore(commentUI, button.nextSibling);
-                activeCommentUI = commentUI;
+    let posted = 0;
+    let limitReason = '';
+    try {
+        for (const [index, item] of approved.entries()) {
+            if (batchQueue.stopRequested) break;
+
+            // A pause before every post but the first, so the spacing looks human
+            if (index > 0) {
+                const range = batch.maxDelaySeconds - batch.minDelaySeconds;
+                const seconds = Math.round(batch.minDelaySeconds + Math.random() * range);
+                if (!await waitBetweenBatchPosts(seconds)) break;
+            }
 
-                // Auto-generate initial comment
-                const regenerateBtn = commentUI.querySelector('button');
-                if (regenerateBtn && regenerateBtn.textContent === 'Generate') {
-                    regenerateBtn.click();
+            // The posting caps and interval apply on top of the batch pauses.
+            // Short waits are sat out; a reached cap ends the batch.
+            const usage = await getPostingUsage();
+            if (usage.retryAt > Date.now()) {
+                const seconds = Math.ceil((usage.retryAt - Date.now()) / 1000);
+                if (seconds > MAX_BATCH_THROTTLE_WAIT_SECONDS) {
+                    limitReason = usage.reason;
+                    break;
                 }
-            });
+                if (!await waitBetweenBatchPosts(seconds)) break;
+            }
 
-            // Create a container for our fallback button
-            const container = document.createElement('div');
-            container.className = 'linkedin-comment-generator-fallback';
-            container.setAttribute('data-lcg-post-id', postId);
-            container.style.cssText = `
-                padding: 0 16px;
-                margin: 8px 0;
-            `;
-            container.appendChild(button);
-
-            // Add to the post
-            post.appendChild(container);
-            processedPostIds.add(postId);
-            buttonsAdded++;
-            debug.log(`Added fallback button to post ${postId}`);
-        });
+            // Skip drafts the user unapproved during the pause
+            if (item.status !== 'approved') continue;
+
+            // Earlier posts in this batch count towards the duplicate check
+            const blocking = (await checkCommentSafety(item.text)).filter(issue => issue.mode === 'block');
+            if (blocking.length > 0) {
+                item.error = blocking.map(issue => issue.message).join(' ');
+                setBatchItemStatus(item, 'failed');
+                continue;
+            }
+
+            batchQueue.status.textContent = `Posting ${index + 1} of ${approved.length}...`;
+            setBatchItemStatus(item, 'posting');
+            item.post.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
-        debug.log(`Added ${buttonsAdded} buttons in total`);
+            try {
+                await postCommentToLinkedIn(item.post, item.text);
+                posted++;
+                setBatchItemStatus(item, 'posted');
+
+                chrome.runtime.sendMessage({
+                    action: 'markCommentPosted',
+                    details: {
+                        historyId: item.historyId,
+                        comment: item.text,
+                        ...getEngagementTarget(item.post)
+                    }
+                }).catch(error => debug.error('Error saving posted comment to history', error));
+            } catch (error) {
+                if (error.retryAt) {
+                    // Throttled by a post from another tab; keep the draft for later
+                    setBatchItemStatus(item, 'approved');
+                    limitReason = error.message;
+                    break;
+                }
+                item.error = error.message;
+                setBatchItemStatus(item, 'failed');
+            }
+        }
     } catch (error) {
-        debug.error('Error adding buttons', error);
+        debug.error('Error posting batch', error);
+        limitReason = error.message;
+    } finally {
+        batchQueue.running = false;
+        batchQueue.draftBtn.disabled = false;
+        batchQueue.postBtn.style.display = 'block';
+        batchQueue.stopBtn.style.display = 'none';
+        const postedText = `${posted} comment${posted === 1 ? '' : 's'}`;
+        if (limitReason) {
+            batchQueue.status.textContent = `${limitReason} Posted ${postedText}; the rest stay approved.`;
+        } else if (batchQueue.stopRequested) {
+            batchQueue.status.textContent = `Stopped after posting ${postedText}.`;
+        } else {
+            batchQueue.status.textContent = `Posted ${postedText}.`;
+        }
+        updateBatchSummary();
     }
 }
 
-// Clean up any duplicate buttons
-function cleanupDuplicateButtons() {
+// Clean up duplicate buttons inside an element (a post, or the whole page)
+function cleanupDuplicateButtons(scope = document) {
     try {
         // Get all buttons
-        const buttons = document.querySelectorAll('.linkedin-comment-generator-button');
+        const buttons = scope.querySelectorAll('.linkedin-comment-generator-button');
         debug.log(`Found ${buttons.length} total buttons during cleanup`);
 
         const buttonsByPost = new Map();
 
         // Group buttons by their parent post
         buttons.forEach(button => {
-            const post = button.closest('.feed-shared-update-v2, .occludable-update, [data-urn], .feed-shared-update, .artdeco-card');
+            const post = button.closest(getSelector('buttonOwner'));
             if (!post) return;
 
             const postId = getPostId(post);
@@ -1634,9 +3950,9 @@ function cleanupDuplicateButtons() {
         });
 
         // Remove buttons from non-commentable or content-less posts
-        const allButtons = document.querySelectorAll('.linkedin-comment-generator-button');
+        const allButtons = scope.querySelectorAll('.linkedin-comment-generator-button');
         allButtons.forEach(button => {
-            const post = button.closest('.feed-shared-update-v2, .occludable-update, [data-urn], .feed-shared-update, .artdeco-card');
+            const post = button.closest(getSelector('buttonOwner'));
             if (post) {
                 if (!isCommentable(post)) {
                     const container = button.closest('.linkedin-comment-generator-container, .linkedin-comment-generator-fallback');
@@ -1671,6 +3987,23 @@ function initialize() {
     debug.log('LinkedIn Comment Generator initializing');
 
     try {
+        // Apply selector overrides from the options page
+        watchSelectorOverrides(debug);
+
+        // Identity now lives in extension storage, not the page's
+        migrateLegacyUserInfo();
+
+        // Score posts with the user's relevance rules
+        watchRelevanceRules();
+
+        // Remember the last post clicked so the popup can target it
+        document.addEventListener('click', (e) => {
+            const post = e.target.closest && e.target.closest(getSelector('feedPost'));
+            if (post) {
+                lastClickedPost = post;
+            }
+        }, true);
+
         // Add keyboard shortcut for debug mode
         document.addEventListener('keydown', (e) => {
             // Ctrl+Shift+D to toggle debug mode
@@ -1682,12 +4015,14 @@ function initialize() {
         // Initial run with a longer delay to ensure LinkedIn has fully loaded
         setTimeout(() => {
             // Verify API configuration
-            if (!API_CONFIG.URL) {
-                debug.error('API endpoint not configured. Comment generation will not work.');
-            }
+            getSettings().then(settings => {
+                if (!getActiveProfile(settings).url) {
+                    debug.error('API endpoint not configured. Comment generation will not work.');
+                }
+            });
 
-            // Add comment generator buttons to posts
-            addButtonsToPosts();
+            // Add comment generator buttons to the posts already loaded
+            scheduleFeedScan(document.body);
 
             // Insert a marker to indicate the extension is active
             const marker = document.createElement('div');
@@ -1716,8 +4051,8 @@ function initialize() {
             }
         }, 2000);
 
-        // Set up observer for DOM changes to detect new posts
-        setupMutationObserver();
+        // Watch for new posts and add buttons as they come into view
+        setupFeedScanner();
 
         // Add diagnostic click handler to help debug issues (only in debug mode)
         document.addEventListener('click', (e) => {
@@ -1736,45 +4071,165 @@ function initialize() {
 }
 
 /**
- * Sets up mutation observer to detect new posts in the LinkedIn feed
+ * How far outside the viewport a post counts as visible, so its button is
+ * ready by the time it scrolls in
+ */
+const POST_VISIBILITY_MARGIN = '300px 0px';
+
+/**
+ * Longest a scheduled scan waits for the page to go idle (ms)
+ */
+const FEED_SCAN_TIMEOUT_MS = 1000;
+
+// Elements added since the last scan, and visible posts waiting for a button
+const pendingScanRoots = new Set();
+const pendingVisiblePosts = new Set();
+
+// Posts near the viewport, and every post handed to the visibility observer
+const visiblePosts = new Set();
+const watchedPosts = new WeakSet();
+
+let postVisibilityObserver = null;
+let feedScanHandle = null;
+
+/**
+ * Queues an element for the next scan
+ * @param {Element} root - Element added to the page, or document.body to
+ *     scan everything
+ */
+function scheduleFeedScan(root) {
+    pendingScanRoots.add(root);
+    requestFeedScan();
+}
+
+// Run a scan when the page is next idle, unless one is already scheduled
+function requestFeedScan() {
+    if (feedScanHandle === null) {
+        feedScanHandle = requestIdleCallback(runFeedScan, { timeout: FEED_SCAN_TIMEOUT_MS });
+    }
+}
+
+/**
+ * Hands a post to the visibility observer, or queues it for a button if it
+ * is already in view (its content may have just loaded)
+ * @param {HTMLElement} post - Element matching a buttonHost selector
+ */
+function watchPost(post) {
+    if (visiblePosts.has(post)) {
+        pendingVisiblePosts.add(post);
+    } else if (!watchedPosts.has(post)) {
+        watchedPosts.add(post);
+        postVisibilityObserver.observe(post);
+    }
+}
+
+/**
+ * Works through the queued elements and visible posts until the idle period
+ * runs out, then schedules another scan for whatever is left
+ * @param {IdleDeadline} deadline - From requestIdleCallback
  */
-function setupMutationObserver() {
+function runFeedScan(deadline) {
+    feedScanHandle = null;
+    const hasTime = () => deadline.didTimeout || deadline.timeRemaining() > 1;
+
     try {
-        // Set up observer for DOM changes
-        const observer = new MutationObserver((mutations) => {
-            // Only process if we have meaningful DOM changes
-            const hasRelevantChanges = mutations.some(mutation => {
-                return mutation.addedNodes.length > 0 ||
-                    (mutation.target.classList &&
-                        (mutation.target.classList.contains('feed-shared-update-v2') ||
-                            mutation.target.classList.contains('occludable-update')));
+        const hostSelector = getSelector('buttonHost');
+        const commentSelector = getSelector('comment');
+
+        for (const root of pendingScanRoots) {
+            if (!hasTime()) break;
+            pendingScanRoots.delete(root);
+            if (!root.isConnected) continue;
+
+            // Nodes added inside a post (content loaded late) count for the post
+            const hosts = new Set(root.querySelectorAll(hostSelector));
+            const host = root.closest(hostSelector);
+            if (host) hosts.add(host);
+            hosts.forEach(watchPost);
+
+            const comments = [...root.querySelectorAll(commentSelector)];
+            const comment = root.closest(commentSelector);
+            if (comment) comments.push(comment);
+            addReplyButtons(comments);
+        }
+
+        for (const post of pendingVisiblePosts) {
+            if (!hasTime()) break;
+            pendingVisiblePosts.delete(post);
+            if (!post.isConnected) continue;
+
+            addButtonToPost(post);
+            cleanupDuplicateButtons(post.closest(getSelector('buttonOwner')) || post);
+        }
+    } catch (error) {
+        debug.error('Error scanning feed', error);
+    }
+
+    if (pendingScanRoots.size > 0 || pendingVisiblePosts.size > 0) {
+        requestFeedScan();
+    }
+}
+
+/**
+ * Sets up the feed scanner: a mutation observer queues only the nodes
+ * LinkedIn adds, posts among them are watched with an intersection observer,
+ * and buttons are added to posts near the viewport when the page is idle
+ */
+function setupFeedScanner() {
+    try {
+        postVisibilityObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const post = entry.target;
+                if (entry.isIntersecting) {
+                    visiblePosts.add(post);
+                    pendingVisiblePosts.add(post);
+                } else {
+                    visiblePosts.delete(post);
+                    pendingVisiblePosts.delete(post);
+
+                    // Removed from the page; watched again if it comes back
+                    if (!post.isConnected) {
+                        postVisibilityObserver.unobserve(post);
+                        watchedPosts.delete(post);
+                    }
+                }
             });
+            requestFeedScan();
+        }, { rootMargin: POST_VISIBILITY_MARGIN });
 
-            if (hasRelevantChanges) {
-                setTimeout(() => {
-                    addButtonsToPosts();
-                }, 500);
-            }
+        const observer = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    // Skip text nodes and the extension's own buttons and panels
+                    if (node.nodeType !== Node.ELEMENT_NODE ||
+                        node.closest('[class^="linkedin-comment-generator"]')) {
+                        return;
+                    }
+                    scheduleFeedScan(node);
+                });
+            });
         });
 
-        // Start observing
         observer.observe(document.body, {
             childList: true,
             subtree: true
         });
 
-        // Also check periodically (LinkedIn loads content dynamically)
-        const intervalId = setInterval(() => {
-            addButtonsToPosts();
-        }, 3000);
+        // New selector overrides may match posts the old ones missed
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[SELECTOR_OVERRIDES_STORAGE_KEY]) {
+                scheduleFeedScan(document.body);
+            }
+        });
 
-        // Store interval ID for potential cleanup
+        // Store observers for potential cleanup
         window._linkedInCommentGenerator = window._linkedInCommentGenerator || {};
-        window._linkedInCommentGenerator.intervalId = intervalId;
+        window._linkedInCommentGenerator.observer = observer;
+        window._linkedInCommentGenerator.visibilityObserver = postVisibilityObserver;
 
-        debug.log('Mutation observer and interval set up successfully');
+        debug.log('Feed scanner set up successfully');
     } catch (error) {
-        debug.error('Error setting up mutation observer', error);
+        debug.error('Error setting up feed scanner', error);
     }
 }
 
@@ -1790,24 +4245,62 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             sendResponse({ success: false, error: 'Direct comment pasting is not supported' });
         } else if (request.action === 'diagnose') {
             // Diagnostic information
-            const diagnosticInfo = {
-                userAgent: navigator.userAgent,
-                url: window.location.href,
-                extensionActive: !!document.getElementById('linkedin-comment-generator-active'),
-                apiConfigured: !!API_CONFIG.URL,
-                commentablePostsFound: document.querySelectorAll('[data-lcg-post-id]').length,
-                buttonsAdded: document.querySelectorAll('.linkedin-comment-generator-button').length,
-                commentBoxesFound: document.querySelectorAll('div[contenteditable="true"], div[role="textbox"]').length
-            };
-
-            debug.log('Diagnostic info collected', diagnosticInfo);
-            sendResponse({ success: true, diagnosticInfo });
+            getSettings().then(settings => {
+                const profile = getActiveProfile(settings);
+                const diagnosticInfo = {
+                    userAgent: navigator.userAgent,
+                    url: window.location.href,
+                    extensionActive: !!document.getElementById('linkedin-comment-generator-active'),
+                    apiConfigured: !!profile.url,
+                    provider: profile.provider,
+                    commentablePostsFound: document.querySelectorAll('[data-lcg-post-id]').length,
+                    buttonsAdded: document.querySelectorAll('.linkedin-comment-generator-button').length,
+                    commentBoxesFound: document.querySelectorAll(getSelector('commentEditor')).length,
+                    selectorSelfTest: runSelectorSelfTest()
+                };
+
+                debug.log('Diagnostic info collected', diagnosticInfo);
+                sendResponse({ success: true, diagnosticInfo });
+            }).catch(error => {
+                debug.error('Error collecting diagnostic info', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        } else if (request.action === 'previewUserInfo') {
+            // Show the options page what these privacy settings would send
+            getSharedUserInfo(request.privacy)
+                .then(userInfo => sendResponse({ success: true, userInfo }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+        } else if (request.action === 'applyComment') {
+            // Insert or post a comment from the popup, as the insertion mode says
+            const post = findPopupPost(request.postUrn);
+            if (!post) {
+                sendResponse({ success: false, error: 'No post found' });
+            } else {
+                applyPopupComment(post, request)
+                    .then(result => sendResponse({ success: true, ...result }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+            }
+        } else if (request.action === 'openBatchQueue') {
+            // Show the batch mode review queue
+            openBatchQueue();
+            sendResponse({ success: true });
         } else if (request.action === 'getSelectedPost') {
-            // Get the currently viewed post content
+            // Get the post last clicked or in view, and remember it for later actions
             const post = findCurrentPost();
             if (post) {
-                const content = extractPostContent(post);
-                sendResponse({ success: true, content });
+                popupPost = post;
+                expandPostText(post).then(async () => {
+                    const context = extractPostContext(post);
+                    // Identify the popup's requests the same way as the panel's
+                    const { uniqueId, userInfo, licenseKey } = await buildGenerationInput(post, { content: context.text });
+                    sendResponse({
+                        success: true,
+                        content: context.text,
+                        context,
+                        postUrn: getPostUrn(post),
+                        identity: { uniqueId, userInfo, licenseKey }
+                    });
+                }).catch(error => sendResponse({ success: false, error: error.message }));
             } else {
                 sendResponse({ success: false, error: 'No post found' });
             }
@@ -0,0 +1,123 @@
+/**
+ * LinkedIn Comment Generator - Engagement Ledger
+ *
+ * Remembers every comment posted through the extension by post and by
+ * author, so we can warn before commenting on the same post twice or on one
+ * author too often. Kept in chrome.storage.local so it survives navigation
+ * and browser restarts. Loaded by the background worker, which reads and
+ * writes it, and by the options page, which can clear it.
+ *
+ * Entry shape:
+ * {
+ *   postUrn: string,     // LinkedIn URN of the post, or '' if unknown
+ *   authorKey: string,   // Profile URL of the author, or "name:<name>" without one
+ *   author: string,      // Author name, for display
+ *   postedAt: number     // Time of posting (ms)
+ * }
+ */
+
+/**
+ * Storage key of the ledger
+ */
+const ENGAGEMENT_STORAGE_KEY = 'engagementLedger';
+
+/**
+ * Entries older than this are dropped when the ledger is written
+ */
+const ENGAGEMENT_RETENTION_DAYS = 90;
+
+/**
+ * Keeps concurrent writes from overwriting each other
+ */
+let engagementWriteQueue = Promise.resolve();
+
+/**
+ * Builds the key an author is counted under. The profile URL is preferred
+ * because names are not unique and can change.
+ * @param {string} profileUrl - Author profile URL, if known
+ * @param {string} name - Author name
+ * @returns {string} Author key, or '' if neither is known
+ */
+function getAuthorKey(profileUrl, name) {
+    if (profileUrl) {
+        return profileUrl.split('?')[0].replace(/\/+$/, '').toLowerCase();
+    }
+    return name ? `name:${name.trim().toLowerCase()}` : '';
+}
+
+/**
+ * Reads the ledger
+ * @returns {Promise<Object[]>} Entries, oldest first
+ */
+async function getEngagementLedger() {
+    const { [ENGAGEMENT_STORAGE_KEY]: entries } = await chrome.storage.local.get(ENGAGEMENT_STORAGE_KEY);
+    return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Adds a posted comment to the ledger
+ * @param {Object} details - {postUrn, author, authorProfileUrl}
+ * @returns {Promise<void>}
+ */
+function recordEngagement(details) {
+    const write = async () => {
+        const cutoff = Date.now() - ENGAGEMENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const entries = (await getEngagementLedger()).filter(entry => entry.postedAt >= cutoff);
+
+        entries.push({
+            postUrn: details.postUrn && details.postUrn !== 'unknown' ? details.postUrn : '',
+            authorKey: getAuthorKey(details.authorProfileUrl, details.author),
+            author: details.author || '',
+            postedAt: Date.now()
+        });
+
+        await chrome.storage.local.set({ [ENGAGEMENT_STORAGE_KEY]: entries });
+    };
+
+    engagementWriteQueue = engagementWriteQueue.then(write, write);
+    return engagementWriteQueue;
+}
+
+/**
+ * Deletes every ledger entry
+ * @returns {Promise<void>}
+ */
+async function clearEngagementLedger() {
+    await chrome.storage.local.remove(ENGAGEMENT_STORAGE_KEY);
+}
+
+/**
+ * Compares a post about to be commented on with the ledger
+ * @param {Object} target - {postUrn, author, authorProfileUrl}
+ * @param {Object} limits - settings.engagement
+ * @returns {Promise<string[]>} One warning per limit reached (empty if none)
+ */
+async function checkEngagement(target, limits) {
+    const entries = await getEngagementLedger();
+    const warnings = [];
+
+    const postUrn = target.postUrn && target.postUrn !== 'unknown' ? target.postUrn : '';
+    if (postUrn && limits.maxCommentsPerPost > 0) {
+        const postCount = entries.filter(entry => entry.postUrn === postUrn).length;
+        if (postCount >= limits.maxCommentsPerPost) {
+            warnings.push(postCount === 1
+                ? 'You have already commented on this post.'
+                : `You have already commented on this post ${postCount} times.`);
+        }
+    }
+
+    const authorKey = getAuthorKey(target.authorProfileUrl, target.author);
+    if (authorKey && limits.maxCommentsPerAuthor > 0) {
+        const since = Date.now() - limits.authorWindowDays * 24 * 60 * 60 * 1000;
+        const authorCount = entries
+            .filter(entry => entry.authorKey === authorKey && entry.postedAt >= since)
+            .length;
+        if (authorCount >= limits.maxCommentsPerAuthor) {
+            const name = target.author || 'this author';
+            const period = limits.authorWindowDays === 7 ? 'this week' : `in the last ${limits.authorWindowDays} days`;
+            warnings.push(`You have commented on ${name} ${authorCount} time${authorCount === 1 ? '' : 's'} ${period}.`);
+        }
+    }
+
+    return warnings;
+}
@@ -0,0 +1,257 @@
+/**
+ * LinkedIn Comment Generator - Comment History
+ *
+ * Stores every generated and posted comment in IndexedDB. Loaded by the
+ * background worker, which writes entries, and by the popup, which searches
+ * and exports them. Both run on the extension origin and share the database.
+ *
+ * Entry shape:
+ * {
+ *   id: number,            // Auto-incremented key
+ *   postUrn: string,       // LinkedIn URN (or best available id) of the post
+ *   author: string,        // Name of the post author
+ *   tone: string,          // Tone label
+ *   hint: string,
+ *   comment: string,
+ *   createdAt: number,     // Generation time (ms)
+ *   posted: boolean,
+ *   postedAt: number|null,
+ *   variantIndex: number,  // Position among the candidates of one request
+ *   variantCount: number,
+ *   picked: boolean        // Whether this candidate was copied or posted
+ * }
+ */
+
+const HISTORY_DB_NAME = 'linkedin-comment-generator';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'comments';
+
+/**
+ * Opens (and on first use creates) the history database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openHistoryDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('createdAt', 'createdAt');
+                store.createIndex('postUrn', 'postUrn');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a callback inside a history transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store; may return a value
+ * @returns {Promise<any>} The callback's return value once the transaction completes
+ */
+async function withHistoryStore(mode, callback) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE, mode);
+        let result;
+
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+
+        result = callback(transaction.objectStore(HISTORY_STORE));
+    });
+}
+
+/**
+ * Saves the candidates of one generation request
+ * @param {Object} input - Generation input the comments were made from
+ * @param {string[]} comments - Generated comments
+ * @returns {Promise<number[]>} Ids of the new entries, in the same order
+ */
+async function addHistoryEntries(input, comments) {
+    const ids = [];
+    const createdAt = Date.now();
+
+    await withHistoryStore('readwrite', store => {
+        comments.forEach((comment, index) => {
+            const request = store.add({
+                postUrn: input.postUrn || '',
+                author: input.author || '',
+                tone: input.tone ? input.tone.label : '',
+                hint: input.hint || '',
+                comment,
+                createdAt,
+                posted: false,
+                postedAt: null,
+                variantIndex: index,
+                variantCount: comments.length,
+                picked: false
+            });
+            request.onsuccess = () => {
+                ids[index] = request.result;
+            };
+        });
+    });
+
+    return ids;
+}
+
+/**
+ * Applies changes to an existing entry
+ * @param {number} id - Entry id
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<boolean>} Whether the entry existed
+ */
+async function updateHistoryEntry(id, changes) {
+    let found = false;
+
+    await withHistoryStore('readwrite', store => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (!request.result) return;
+            found = true;
+            store.put({ ...request.result, ...changes, id });
+        };
+    });
+
+    return found;
+}
+
+/**
+ * Marks a comment as posted, creating an entry if it was never recorded
+ * @param {Object} details - {historyId, comment, postUrn, author, tone, hint}
+ *     where tone is a tone definition
+ * @returns {Promise<void>}
+ */
+async function markHistoryPosted(details) {
+    const changes = {
+        comment: details.comment,
+        posted: true,
+        postedAt: Date.now(),
+        picked: true
+    };
+
+    if (details.historyId && await updateHistoryEntry(details.historyId, changes)) {
+        return;
+    }
+
+    const [id] = await addHistoryEntries(details, [details.comment]);
+    await updateHistoryEntry(id, changes);
+}
+
+/**
+ * Searches the history, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.query - Words that must all appear in the entry
+ * @param {string} filters.tone - Exact tone to match
+ * @param {number} filters.from - Earliest createdAt (ms)
+ * @param {number} filters.to - Latest createdAt (ms)
+ * @param {boolean} filters.postedOnly - Only return posted comments
+ * @returns {Promise<Object[]>} Matching entries
+ */
+async function searchHistory(filters = {}) {
+    const terms = (filters.query || '')
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(Boolean);
+    const range = filters.from || filters.to
+        ? IDBKeyRange.bound(filters.from || 0, filters.to || Number.MAX_SAFE_INTEGER)
+        : null;
+    const entries = [];
+
+    await withHistoryStore('readonly', store => {
+        const request = store.index('createdAt').openCursor(range, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+
+            const entry = cursor.value;
+            const haystack = [entry.comment, entry.hint, entry.author, entry.tone, entry.postUrn]
+                .join(' ')
+                .toLowerCase();
+
+            const matches = (!filters.tone || entry.tone === filters.tone) &&
+                (!filters.postedOnly || entry.posted) &&
+                terms.every(term => haystack.includes(term));
+
+            if (matches) {
+                entries.push(entry);
+            }
+            cursor.continue();
+        };
+    });
+
+    return entries;
+}
+
+/**
+ * Deletes every history entry
+ * @returns {Promise<void>}
+ */
+async function clearHistory() {
+    await withHistoryStore('readwrite', store => {
+        store.clear();
+    });
+}
+
+/**
+ * Columns included in exports, in order
+ */
+const HISTORY_EXPORT_FIELDS = [
+    'id', 'createdAt', 'postUrn', 'author', 'tone', 'hint', 'comment',
+    'posted', 'postedAt', 'variantIndex', 'variantCount', 'picked'
+];
+
+/**
+ * Formats entries for export with ISO timestamps
+ * @param {Object[]} entries - History entries
+ * @returns {Object[]} Export rows
+ */
+function toHistoryExportRows(entries) {
+    return entries.map(entry => {
+        const row = {};
+        HISTORY_EXPORT_FIELDS.forEach(field => {
+            row[field] = entry[field];
+        });
+        row.createdAt = new Date(entry.createdAt).toISOString();
+        row.postedAt = entry.postedAt ? new Date(entry.postedAt).toISOString() : '';
+        return row;
+    });
+}
+
+/**
+ * Serializes entries as CSV
+ * @param {Object[]} entries - History entries
+ * @returns {string} CSV text with a header row
+ */
+function historyToCsv(entries) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = toHistoryExportRows(entries)
+        .map(row => HISTORY_EXPORT_FIELDS.map(field => escape(row[field])).join(','));
+
+    return [HISTORY_EXPORT_FIELDS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Serializes entries as pretty-printed JSON
+ * @param {Object[]} entries - History entries
+ * @returns {string} JSON text
+ */
+function historyToJson(entries) {
+    return JSON.stringify(toHistoryExportRows(entries), null, 2);
+}
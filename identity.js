@@ -0,0 +1,113 @@
+/**
+ * LinkedIn Comment Generator - Identity
+ *
+ * The extension's own record of who is using it, kept in
+ * chrome.storage.local where the LinkedIn page cannot read or clear it.
+ * Every install gets a random id once, so requests stay attributable even
+ * when no LinkedIn id can be found. Users can link an account by entering a
+ * license key, sign out, or reset everything. Loaded by the content script,
+ * which uses and updates it, and by the options page, which manages it.
+ *
+ * Stored shape:
+ * {
+ *   installId: string,      // Random id created on first use
+ *   createdAt: number,      // When installId was created (ms)
+ *   licenseKey: string,     // Optional license/API key, '' when signed out
+ *   linkedIn: Object|null   // Last LinkedIn user found: {id, name, profileUrl}
+ * }
+ */
+
+/**
+ * Storage key of the identity
+ */
+const IDENTITY_STORAGE_KEY = 'identity';
+
+/**
+ * Keeps concurrent updates, including the first one that creates the
+ * install id, from overwriting each other
+ */
+let identityQueue = Promise.resolve();
+
+/**
+ * Runs a read-modify-write of the identity after the ones already queued,
+ * creating the identity first if there is none
+ * @param {Function} callback - Receives the identity; may change it
+ * @returns {Promise<Object>} The identity after the change
+ */
+function updateIdentity(callback) {
+    const run = async () => {
+        const { [IDENTITY_STORAGE_KEY]: stored } = await chrome.storage.local.get(IDENTITY_STORAGE_KEY);
+        const identity = stored && stored.installId ? { ...stored } : {
+            installId: crypto.randomUUID(),
+            createdAt: Date.now(),
+            licenseKey: '',
+            linkedIn: null
+        };
+
+        const changed = callback(identity) !== false;
+        if (changed || !stored || !stored.installId) {
+            await chrome.storage.local.set({ [IDENTITY_STORAGE_KEY]: identity });
+        }
+        return identity;
+    };
+
+    const next = identityQueue.then(run, run);
+    identityQueue = next.catch(() => {});
+    return next;
+}
+
+/**
+ * Reads the identity, creating it on first use
+ * @returns {Promise<Object>} The identity
+ */
+function getIdentity() {
+    return updateIdentity(() => false);
+}
+
+/**
+ * Remembers the LinkedIn user found on the page, for pages that do not show it
+ * @param {Object} userInfo - {id, name, profileUrl}
+ * @returns {Promise<Object>} The identity
+ */
+function rememberLinkedInUser(userInfo) {
+    return updateIdentity(identity => {
+        identity.linkedIn = {
+            id: userInfo.id || null,
+            name: userInfo.name || null,
+            profileUrl: userInfo.profileUrl || null
+        };
+    });
+}
+
+/**
+ * Links the extension to an account
+ * @param {string} licenseKey - License/API key; '' to unlink
+ * @returns {Promise<Object>} The identity
+ */
+function setLicenseKey(licenseKey) {
+    return updateIdentity(identity => {
+        identity.licenseKey = licenseKey.trim();
+    });
+}
+
+/**
+ * Unlinks the account and forgets the LinkedIn user, keeping the install id
+ * @returns {Promise<Object>} The identity
+ */
+function signOut() {
+    return updateIdentity(identity => {
+        identity.licenseKey = '';
+        identity.linkedIn = null;
+    });
+}
+
+/**
+ * Deletes the identity; a new install id is created on next use
+ * @returns {Promise<void>}
+ */
+function resetIdentity() {
+    const run = () => chrome.storage.local.remove(IDENTITY_STORAGE_KEY);
+    const next = identityQueue.then(run, run);
+    identityQueue = next.catch(() => {});
+    return next;
+}
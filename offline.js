@@ -0,0 +1,462 @@
+/**
+ * LinkedIn Comment Generator - Offline Generator
+ *
+ * Writes a comment without any backend, for when the backend fails or the
+ * user chose to work offline. It picks out what the post is about (key
+ * phrases, names, figures and hashtags) and fills them into the template
+ * grammar of the requested tone. The post text itself is never copied into
+ * the comment. Loaded by the background worker.
+ *
+ * Each grammar has sentences for:
+ *   open   - First sentence, by kind of post (see OFFLINE_POST_KINDS)
+ *   core   - Sentences about the post; each uses one extracted detail
+ *   close  - Last sentence, added while the comment is under the tone's length
+ *
+ * Placeholders are {topic}, {entity}, {figure}, {hashtag} and {name}; a
+ * capitalized placeholder such as {Topic} capitalizes the value. Sentences
+ * whose placeholders have no value for a post are skipped.
+ */
+
+/**
+ * Kinds of post with their own opening sentences, tested in this order
+ */
+const OFFLINE_POST_KINDS = [
+    { kind: 'hiring', pattern: /\b(we'?re hiring|now hiring|is hiring|open role|open position|join (our|my) team|apply)\b/ },
+    { kind: 'announcement', pattern: /\b(excited|thrilled|proud|delighted|happy) to (announce|share)|\b(announc\w*|launch\w*|new role|new job|promot\w*|milestone|anniversary|just joined|started a new)\b/ },
+    { kind: 'lesson', pattern: /\b(lessons?|learned|learnt|mistakes?|tips|advice|takeaways?|what i wish)\b/ },
+    { kind: 'question', pattern: /\?\s*$|\b(what do you think|thoughts\?|curious to hear|how do you)\b/ }
+];
+
+/**
+ * Template grammars by tone id. Custom tones use the closest one (see
+ * pickOfflineGrammar).
+ */
+const OFFLINE_GRAMMARS = {
+    professional: {
+        open: {
+            general: ['Thanks for sharing this, {name}.', 'Thanks for sharing this.', 'A useful perspective, {name}.', 'Well put.'],
+            announcement: ['Congratulations, {name}. Well deserved.', 'Congratulations on the news.', 'A great milestone. Congratulations to you and the team.'],
+            question: ['Good question, {name}.', 'A good question to put to the network.'],
+            lesson: ['Valuable lessons here, {name}.', 'Thanks for sharing what you learned.'],
+            hiring: ['Hope this reaches the right person, {name}.', 'This looks like a strong opportunity.'],
+            reply: ['Good point, {name}.', 'Agreed, {name}.', 'Fair point.']
+        },
+        core: [
+            'The point about {topic} stands out to me.',
+            '{Topic} is where a lot of teams get stuck, so this is timely.',
+            'Your take on {topic} matches what I have seen in practice.',
+            'Interesting to see {entity} in this context.',
+            'The {figure} figure says a lot.',
+            'Good to see more discussion around #{hashtag}.'
+        ],
+        close: ['Looking forward to seeing how this develops.', 'Thanks for starting the conversation.', 'Appreciate you putting this together.']
+    },
+    supportive: {
+        open: {
+            general: ['Love this, {name}.', 'This is so important. Thank you for sharing.', 'Really appreciate you sharing this, {name}.'],
+            announcement: ['Huge congratulations, {name}! So well deserved.', 'Congratulations! This is wonderful news.'],
+            question: ['Such a good question, {name}.', 'Love that you are asking this.'],
+            lesson: ['Thank you for being so open about this, {name}.', 'So generous of you to share these lessons.'],
+            hiring: ['Whoever joins is lucky to work with you, {name}.', 'Hope you find the perfect person for this.'],
+            reply: ['Well said, {name}.', 'So true, {name}.', 'Beautifully put.']
+        },
+        core: [
+            'What you said about {topic} really resonates.',
+            'Your point on {topic} is one more people need to hear.',
+            'Great to see {entity} getting the attention it deserves.',
+            'That {figure} figure really stands out.',
+            'Cheering on everyone working on #{hashtag}.'
+        ],
+        close: ['Keep sharing. This helps more people than you know.', 'Rooting for you!', 'Keep going!']
+    },
+    friendly: {
+        open: {
+            general: ['Nice one, {name}!', 'Great post, {name}.', 'Really enjoyed reading this.'],
+            announcement: ['Congrats, {name}! Great news.', 'Congrats! That is awesome.'],
+            question: ['Fun question, {name}!', 'Ooh, good question.'],
+            lesson: ['Thanks for writing these down, {name}.', 'Good lessons here.'],
+            hiring: ['Fingers crossed you find the right person soon, {name}.', 'Great role. Hope you find someone awesome.'],
+            reply: ['Ha, totally, {name}.', 'Same here, {name}.', 'Good one.']
+        },
+        core: [
+            'The bit about {topic} made me nod along.',
+            'Totally with you on {topic}.',
+            'Fun to see {entity} pop up here.',
+            'That {figure} caught my eye.',
+            'Always happy to see more #{hashtag} posts.'
+        ],
+        close: ['Thanks for sharing!', 'Have a great week!', 'Keep them coming.']
+    },
+    inquisitive: {
+        open: {
+            general: ['Interesting post, {name}.', 'This got me thinking.'],
+            announcement: ['Congratulations, {name}!', 'Exciting news. Congratulations.'],
+            question: ['Great question, {name}.', 'Good question.'],
+            lesson: ['Thanks for sharing these, {name}.', 'Really useful lessons.'],
+            hiring: ['Interesting role, {name}.', 'This sounds like an interesting role.'],
+            reply: ['Interesting point, {name}.', 'Good point, {name}.']
+        },
+        core: [
+            'What made {topic} click for you?',
+            'How do you see {topic} changing over the next year?',
+            'What role does {entity} play in this?',
+            'What is behind the {figure} figure?',
+            'Where do you see #{hashtag} heading?'
+        ],
+        close: ['Would love to hear more.', 'Curious what others think too.']
+    },
+    cheerful: {
+        open: {
+            general: ['Love this, {name}!', 'This made my day!', 'What a great read!'],
+            announcement: ['Woohoo, congratulations {name}!', 'Amazing news. Congrats!'],
+            question: ['Ooh, fun question, {name}!', 'Love this question!'],
+            lesson: ['So many good nuggets here, {name}!', 'Love these lessons!'],
+            hiring: ['What an exciting role!', 'Someone is going to love this job, {name}!'],
+            reply: ['Yes, {name}!', 'Love that, {name}!']
+        },
+        core: [
+            'The part about {topic} is spot on!',
+            'Yes to more {topic}!',
+            'So great to see {entity} here!',
+            'That {figure} is fantastic!',
+            'Hooray for #{hashtag}!'
+        ],
+        close: ['Keep shining!', 'Thanks for the positivity!', 'Have a wonderful day!']
+    },
+    funny: {
+        open: {
+            general: ['Okay, this one is going straight into my saved posts, {name}.', 'Reading this instead of my inbox. Worth it.'],
+            announcement: ['Congrats, {name}! Drinks are on you, right?', 'Congratulations! Time to update the email signature.'],
+            question: ['Asking the real questions, {name}.', 'Bold question for a weekday.'],
+            lesson: ['Learning these the easy way, thanks to you, {name}.', 'Saving this so I can ignore it and learn the hard way later.'],
+            hiring: ['If I could clone myself, I would apply twice.', 'Somebody forward this to my more qualified twin.'],
+            reply: ['Ha, {name} gets it.', 'Exactly what I was going to say, {name}, only better.']
+        },
+        core: [
+            'Next time someone asks me about {topic}, I am sending them this.',
+            'I will be quoting this on {topic} in my next meeting and taking full credit.',
+            '{Entity} should put this on a billboard.',
+            'My brain is still processing {figure}.',
+            '#{hashtag} crew, assemble.'
+        ],
+        close: ['Anyway, back to pretending my inbox is under control.', 'Ten out of ten, would scroll again.']
+    }
+};
+
+/**
+ * Words in a custom tone's label or instruction that point to a grammar
+ */
+const OFFLINE_TONE_HINTS = [
+    { grammar: 'funny', pattern: /funny|humou?r|witty|playful|joke/ },
+    { grammar: 'inquisitive', pattern: /inquisitive|curious|question/ },
+    { grammar: 'cheerful', pattern: /cheerful|upbeat|enthusias|excited/ },
+    { grammar: 'supportive', pattern: /supportive|encourag|warm|empath/ },
+    { grammar: 'friendly', pattern: /friendly|casual|relaxed|conversational/ }
+];
+
+/**
+ * Words too common to say what a post is about
+ */
+const OFFLINE_STOPWORDS = new Set((
+    'a about above after again against all almost also always am an and any are around as at be because been before being ' +
+    'below between both but by can cannot could did do does doing done down during each even ever every few for from ' +
+    'further get gets getting got had has have having he her here hers herself him himself his how however i if in into ' +
+    'is it its itself just let like made make makes making many may me might more most much must my myself never new no ' +
+    'nor not now of off often on once one only or other our ours ourselves out over own really same see she should so ' +
+    'some something still such than that the their theirs them themselves then there these they thing things think this ' +
+    'those through to today too under until up upon us very want was way we well were what when where which while who ' +
+    'whom why will with without would year years yet you your yours yourself yourselves ' +
+    'able back big day days going good great know lot lots need people post posts share sharing thank thanks time times ' +
+    'week weeks excited thrilled proud happy delighted announce honored grateful everyone anyone someone last next first ' +
+    'amazing awesome best better incredible important impressive interesting huge hiring join curious hear works work'
+).split(' '));
+
+/**
+ * Picks one item at random
+ * @param {Array} items - Candidates
+ * @returns {*} One of them, or undefined if there are none
+ */
+function pickRandom(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Picks the grammar for a tone
+ * @param {Object} tone - Tone definition
+ * @returns {Object} Entry of OFFLINE_GRAMMARS
+ */
+function pickOfflineGrammar(tone) {
+    if (tone && OFFLINE_GRAMMARS[tone.id]) {
+        return OFFLINE_GRAMMARS[tone.id];
+    }
+
+    const text = tone ? `${tone.label || ''} ${tone.instruction || ''}`.toLowerCase() : '';
+    const match = OFFLINE_TONE_HINTS.find(entry => entry.pattern.test(text));
+    return OFFLINE_GRAMMARS[match ? match.grammar : 'professional'];
+}
+
+/**
+ * Reads the first name from a LinkedIn display name
+ * @param {string} author - Display name, possibly with badges or titles
+ * @returns {string} First name, or '' if the name does not look like a person's
+ */
+function getFirstName(author) {
+    const first = (author || '').split(/[,•|(]/)[0].trim().split(/\s+/)[0] || '';
+    return /^\p{Lu}[\p{L}'-]+$/u.test(first) ? first : '';
+}
+
+/**
+ * Finds the most telling common word or two-word phrase of a text. Names
+ * are left to extractEntity; a two-word phrase has to appear twice.
+ * @param {string} text - Post text
+ * @param {Set<string>} ignore - Lowercase words to leave out, such as the author's name
+ * @returns {string} Key phrase, or '' if none stands out
+ */
+function extractKeyPhrase(text, ignore) {
+    const counts = new Map();
+    const display = new Map();
+    const count = (key, weight) => counts.set(key, (counts.get(key) || 0) + weight);
+
+    text.split(/[.!?;:\n()"“”]+/).forEach(sentence => {
+        const tokens = sentence.match(/#?\p{L}[\p{L}\p{N}'’-]*/gu) || [];
+        const words = tokens.map((token, index) => {
+            const word = token.replace(/^#/, '').replace(/['’]s$/, '');
+            // Capitalized words inside a sentence are names
+            const isName = index > 0 && !token.startsWith('#') && /^\p{Lu}/u.test(word);
+            const key = word.toLowerCase();
+            if (isName || !isKeyword(key, ignore)) return null;
+
+            // Keep the writer's spelling of words like "SaaS"
+            if (!display.has(key)) {
+                display.set(key, /\p{Lu}/u.test(word.slice(1)) ? word : key);
+            }
+            return key;
+        });
+
+        const pairs = new Set();
+        words.forEach((word, index) => {
+            if (!word) return;
+            count(word, word.length > 7 ? 1.25 : 1);
+
+            const next = words[index + 1];
+            if (next && next !== word) {
+                pairs.add(`${word} ${next}`);
+            }
+        });
+        pairs.forEach(pair => count(pair, 0));
+        pairs.forEach(pair => counts.set(pair, counts.get(pair) + 1));
+    });
+
+    // Repeated words win; ties go to the one mentioned first
+    let best = '';
+    let bestScore = 0;
+    counts.forEach((score, phrase) => {
+        const isPair = phrase.includes(' ');
+        const weighted = isPair ? (score >= 2 ? score * 1.5 : 0) : score;
+        if (weighted > bestScore) {
+            best = phrase;
+            bestScore = weighted;
+        }
+    });
+    return best.split(' ').map(word => display.get(word) || word).join(' ');
+}
+
+/**
+ * Checks whether a lowercase word can be part of a key phrase. Besides
+ * stopwords this drops most adverbs and past-tense verbs, which make poor
+ * topics.
+ * @param {string} word - Lowercase word
+ * @param {Set<string>} ignore - Words to leave out
+ * @returns {boolean} True if it can
+ */
+function isKeyword(word, ignore) {
+    return word.length >= 4 &&
+        !/['’]/.test(word) &&
+        !/(ly|ed)$/.test(word) &&
+        !OFFLINE_STOPWORDS.has(word) &&
+        !ignore.has(word);
+}
+
+/**
+ * Finds the name of a company, product or person the text mentions most:
+ * capitalized words that do not start a sentence, and acronyms
+ * @param {string} text - Post text
+ * @param {Set<string>} ignore - Lowercase words to leave out
+ * @returns {string} Name, or '' if none
+ */
+function extractEntity(text, ignore) {
+    const counts = new Map();
+
+    text.split(/[.!?\n]+/).forEach(sentence => {
+        const pattern = /(\p{Lu}[\p{L}\p{N}&'’-]*(?:\s+\p{Lu}[\p{L}\p{N}&'’-]*){0,2})/gu;
+        for (const match of sentence.matchAll(pattern)) {
+            const name = match[1].replace(/['’]s$/, '');
+            const isAcronym = /^\p{Lu}[\p{Lu}\p{N}]{1,5}$/u.test(name);
+            const startsSentence = sentence.slice(0, match.index).trim() === '';
+            const words = name.toLowerCase().split(/\s+/);
+
+            if ((startsSentence && !isAcronym) || name === 'I') continue;
+            if (words.some(word => OFFLINE_STOPWORDS.has(word) || ignore.has(word))) continue;
+
+            counts.set(name, (counts.get(name) || 0) + 1);
+        }
+    });
+
+    let best = '';
+    counts.forEach((score, name) => {
+        if (!best || score > counts.get(best)) {
+            best = name;
+        }
+    });
+    return best;
+}
+
+/**
+ * Finds the first notable figure in a text, such as "40%" or "$2M"
+ * @param {string} text - Post text
+ * @returns {string} The figure, or '' if none
+ */
+function extractFigure(text) {
+    const match = text.match(/[$€£]\s?\d[\d,.]*\s?(?:k|m|bn|million|billion)?\b|\b\d[\d,.]*\s?(?:%|percent\b|x\b)/i);
+    return match ? match[0].trim() : '';
+}
+
+/**
+ * Pulls the details the grammars talk about out of a post
+ * @param {string} text - Post (or comment) text
+ * @param {string} author - Author name, left out of the details
+ * @returns {Object} {topic, entity, figure, hashtag, kind}
+ */
+function extractPostFeatures(text, author) {
+    const ignore = new Set((author || '').toLowerCase().split(/\s+/).filter(Boolean));
+    const hashtags = text.match(/#\p{L}[\p{L}\p{N}_]*/gu) || [];
+    const lower = text.toLowerCase();
+    const kind = OFFLINE_POST_KINDS.find(entry => entry.pattern.test(lower));
+
+    return {
+        topic: extractKeyPhrase(text, ignore),
+        entity: extractEntity(text, ignore),
+        figure: extractFigure(text),
+        hashtag: hashtags.length > 0 ? hashtags[0].slice(1) : '',
+        kind: kind ? kind.kind : 'general'
+    };
+}
+
+/**
+ * Fills a template's placeholders
+ * @param {string} template - Sentence with {placeholders}
+ * @param {Object} slots - Values by placeholder name
+ * @returns {string|null} The sentence, or null if a placeholder has no value
+ */
+function fillTemplate(template, slots) {
+    let complete = true;
+    const sentence = template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+        const value = slots[key.toLowerCase()];
+        if (!value) {
+            complete = false;
+            return '';
+        }
+        return key[0] === key[0].toUpperCase() ? value[0].toUpperCase() + value.slice(1) : value;
+    });
+    return complete ? sentence : null;
+}
+
+/**
+ * Picks a random template that can be filled and fills it
+ * @param {string[]} templates - Candidate templates
+ * @param {Object} slots - Values by placeholder name
+ * @param {string[]} exclude - Sentences already used
+ * @returns {string} A sentence, or '' if no template can be filled
+ */
+function pickSentence(templates, slots, exclude = []) {
+    const sentences = templates
+        .map(template => fillTemplate(template, slots))
+        .filter(sentence => sentence && !exclude.includes(sentence));
+    return pickRandom(sentences) || '';
+}
+
+/**
+ * Turns the user's hint into a sentence of the comment. Instructions such
+ * as "ask about pricing" or "mention that we use it too" are rephrased;
+ * anything else is used as written.
+ * @param {string} hint - User hint
+ * @returns {{sentence: string, focus: string}} The sentence to add, and a
+ *     short hint to use as the topic instead (only one of them is set)
+ */
+function interpretHint(hint) {
+    const text = (hint || '').trim().replace(/[.!]+$/, '');
+    if (!text) return { sentence: '', focus: '' };
+
+    const capitalize = value => value[0].toUpperCase() + value.slice(1);
+
+    const ask = text.match(/^(?:ask|question)\s+(?:them\s+|him\s+|her\s+)?(?:about\s+)?(.+)$/i);
+    if (ask) {
+        const subject = ask[1].replace(/\?$/, '');
+        return {
+            sentence: /^(how|what|why|when|where|who|which|is|are|do|does|can|could|would|will)\b/i.test(subject)
+                ? `${capitalize(subject)}?`
+                : `How are you thinking about ${subject}?`,
+            focus: ''
+        };
+    }
+
+    const statement = text.match(/^(?:mention|add|say|note|point out|highlight|share|tell them)\s+(?:that\s+)?(.+)$/i);
+    if (statement) {
+        return { sentence: `${capitalize(statement[1])}.`, focus: '' };
+    }
+
+    // A few words name what to focus on rather than what to say
+    if (text.split(/\s+/).length <= 3 && !/[?]$/.test(text)) {
+        return { sentence: '', focus: text.toLowerCase() };
+    }
+
+    return { sentence: /[?]$/.test(text) ? capitalize(text) : `${capitalize(text)}.`, focus: '' };
+}
+
+/**
+ * Writes a comment on this device, without a backend
+ * @param {Object} input - Generation input (see providers.js)
+ * @returns {string} The comment
+ */
+function generateOfflineComment(input) {
+    const grammar = pickOfflineGrammar(input.tone);
+    const replyTo = input.replyTo;
+    const author = replyTo ? replyTo.author : input.author;
+    const features = extractPostFeatures(replyTo ? replyTo.text || '' : input.content || '', author);
+    const hint = interpretHint(input.hint);
+
+    const slots = {
+        ...features,
+        topic: hint.focus || features.topic,
+        name: getFirstName(author)
+    };
+
+    const kind = replyTo ? 'reply' : features.kind;
+    const sentences = [pickSentence(grammar.open[kind], slots) || pickSentence(grammar.open.general, slots)];
+
+    const core = pickSentence(grammar.core, slots);
+    if (core) sentences.push(core);
+    if (hint.sentence) sentences.push(hint.sentence);
+
+    // Fill up to the tone's length with a second detail and a closing line
+    const lengthTarget = (input.tone && input.tone.lengthTarget) || 40;
+    const wordCount = () => sentences.join(' ').split(/\s+/).length;
+
+    // The second detail must be a different one
+    const unused = { ...slots };
+    ['topic', 'entity', 'figure', 'hashtag'].forEach(key => {
+        if (core && slots[key] && core.toLowerCase().includes(slots[key].toLowerCase())) {
+            unused[key] = '';
+        }
+    });
+    const extra = pickSentence(grammar.core, unused, sentences);
+    if (extra && wordCount() + extra.split(/\s+/).length <= lengthTarget) {
+        sentences.push(extra);
+    }
+    const close = pickSentence(grammar.close, slots);
+    if (close && (sentences.length < 3 || wordCount() + close.split(/\s+/).length <= lengthTarget)) {
+        sentences.push(close);
+    }
+
+    return sentences.filter(Boolean).join(' ');
+}
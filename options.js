@@ -0,0 +1,1384 @@
+/**
+ * LinkedIn Comment Generator - Options Script
+ *
+ * Lets the user manage backend profiles, each pointing at one provider,
+ * along with tones and personas. A profile is validated with a test request
+ * before it is saved.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    const profileSelect = document.getElementById('profileSelect');
+    const newProfileButton = document.getElementById('newProfile');
+    const deleteProfileButton = document.getElementById('deleteProfile');
+    const profileNameInput = document.getElementById('profileName');
+    const providerSelect = document.getElementById('provider');
+    const backendUrlInput = document.getElementById('backendUrl');
+    const modelField = document.getElementById('modelField');
+    const modelInput = document.getElementById('model');
+    const apiKeyField = document.getElementById('apiKeyField');
+    const apiKeyInput = document.getElementById('apiKey');
+    const authHeaderNameInput = document.getElementById('authHeaderName');
+    const authHeaderValueInput = document.getElementById('authHeaderValue');
+    const timeoutSecondsInput = document.getElementById('timeoutSeconds');
+    const maxRetriesInput = document.getElementById('maxRetries');
+    const streamInput = document.getElementById('stream');
+    const saveBackendButton = document.getElementById('saveBackend');
+    const backendStatus = document.getElementById('backendStatus');
+    const accountSummary = document.getElementById('accountSummary');
+    const licenseKeyInput = document.getElementById('licenseKey');
+    const signOutButton = document.getElementById('signOut');
+    const resetIdentityButton = document.getElementById('resetIdentity');
+    const saveAccountButton = document.getElementById('saveAccount');
+    const accountStatus = document.getElementById('accountStatus');
+    const privacyModeSelect = document.getElementById('privacyMode');
+    const allowMeMenuInput = document.getElementById('allowMeMenu');
+    const allowFingerprintInput = document.getElementById('allowFingerprint');
+    const privacyPreview = document.getElementById('privacyPreview');
+    const previewPrivacyButton = document.getElementById('previewPrivacy');
+    const savePrivacyButton = document.getElementById('savePrivacy');
+    const privacyStatus = document.getElementById('privacyStatus');
+    const variantCountInput = document.getElementById('variantCount');
+    const insertionModeSelect = document.getElementById('insertionMode');
+    const existingTextSelect = document.getElementById('existingText');
+    const offlineModeSelect = document.getElementById('offlineMode');
+    const cacheTtlInput = document.getElementById('cacheTtl');
+    const clearCacheButton = document.getElementById('clearCache');
+    const generationStatus = document.getElementById('generationStatus');
+    const batchSizeInput = document.getElementById('batchSize');
+    const batchMinDelayInput = document.getElementById('batchMinDelay');
+    const batchMaxDelayInput = document.getElementById('batchMaxDelay');
+    const saveBatchButton = document.getElementById('saveBatch');
+    const batchStatus = document.getElementById('batchStatus');
+    const dailyCapInput = document.getElementById('dailyCap');
+    const hourlyCapInput = document.getElementById('hourlyCap');
+    const minIntervalSecondsInput = document.getElementById('minIntervalSeconds');
+    const jitterSecondsInput = document.getElementById('jitterSeconds');
+    const savePacingButton = document.getElementById('savePacing');
+    const pacingStatus = document.getElementById('pacingStatus');
+    const relevanceKeywordsInput = document.getElementById('relevanceKeywords');
+    const relevanceHashtagsInput = document.getElementById('relevanceHashtags');
+    const watchedAuthorsInput = document.getElementById('watchedAuthors');
+    const blockedAuthorsInput = document.getElementById('blockedAuthors');
+    const minReactionsInput = document.getElementById('minReactions');
+    const maxAgeHoursInput = document.getElementById('maxAgeHours');
+    const hideLowRelevanceInput = document.getElementById('hideLowRelevance');
+    const saveRelevanceButton = document.getElementById('saveRelevance');
+    const relevanceStatus = document.getElementById('relevanceStatus');
+    const safetyChecksList = document.getElementById('safetyChecks');
+    const bannedWordsInput = document.getElementById('bannedWords');
+    const maxLengthInput = document.getElementById('maxLength');
+    const duplicateLookbackDaysInput = document.getElementById('duplicateLookbackDays');
+    const saveSafetyButton = document.getElementById('saveSafety');
+    const safetyStatus = document.getElementById('safetyStatus');
+    const maxCommentsPerPostInput = document.getElementById('maxCommentsPerPost');
+    const maxCommentsPerAuthorInput = document.getElementById('maxCommentsPerAuthor');
+    const authorWindowDaysInput = document.getElementById('authorWindowDays');
+    const saveEngagementButton = document.getElementById('saveEngagement');
+    const clearEngagementButton = document.getElementById('clearEngagement');
+    const engagementStatus = document.getElementById('engagementStatus');
+    const selectorVersion = document.getElementById('selectorVersion');
+    const selectorOverridesInput = document.getElementById('selectorOverrides');
+    const selectorsFileInput = document.getElementById('selectorsFile');
+    const runSelfTestButton = document.getElementById('runSelfTest');
+    const exportSelectorsButton = document.getElementById('exportSelectors');
+    const loadSelectorsFileButton = document.getElementById('loadSelectorsFile');
+    const resetSelectorsButton = document.getElementById('resetSelectors');
+    const saveSelectorsButton = document.getElementById('saveSelectors');
+    const selectorStatus = document.getElementById('selectorStatus');
+    const selfTestResults = document.getElementById('selfTestResults');
+    const toneList = document.getElementById('toneList');
+    const toneLabelInput = document.getElementById('toneLabel');
+    const toneLengthInput = document.getElementById('toneLength');
+    const toneInstructionInput = document.getElementById('toneInstruction');
+    const toneExamplesInput = document.getElementById('toneExamples');
+    const saveToneButton = document.getElementById('saveTone');
+    const newToneButton = document.getElementById('newTone');
+    const restoreTonesButton = document.getElementById('restoreTones');
+    const toneStatus = document.getElementById('toneStatus');
+    const personaList = document.getElementById('personaList');
+    const personaNameInput = document.getElementById('personaName');
+    const personaRoleInput = document.getElementById('personaRole');
+    const personaIndustryInput = document.getElementById('personaIndustry');
+    const personaExpertiseInput = document.getElementById('personaExpertise');
+    const personaPhrasesToUseInput = document.getElementById('personaPhrasesToUse');
+    const personaPhrasesToAvoidInput = document.getElementById('personaPhrasesToAvoid');
+    const personaWritingSampleInput = document.getElementById('personaWritingSample');
+    const savePersonaButton = document.getElementById('savePersona');
+    const newPersonaButton = document.getElementById('newPersona');
+    const personaStatus = document.getElementById('personaStatus');
+
+    // State variables
+    let settings = null;
+    let editingProfile = null;
+    let tones = [];
+    let editingToneId = null;
+    let personas = [];
+    let editingPersonaId = null;
+
+    /**
+     * Custom logging utility
+     */
+    const logger = {
+        // Set to false in production
+        enabled: false,
+
+        log(message, data) {
+            if (this.enabled) {
+                console.log(`[LinkedIn Comment Generator] ${message}`, data || '');
+            }
+        },
+
+        error(message, error) {
+            // Always log errors
+            console.error(`[LinkedIn Comment Generator] ${message}`, error || '');
+        }
+    };
+
+    /**
+     * Show a status message under the backend section
+     * @param {string} message - Message to display
+     * @param {boolean} isError - Whether the message is an error
+     */
+    function updateStatus(message, isError = false) {
+        updateSectionStatus(backendStatus, message, isError);
+    }
+
+    /**
+     * Show a status message under a section
+     * @param {HTMLElement} element - Status element of the section
+     * @param {string} message - Message to display
+     * @param {boolean} isError - Whether the message is an error
+     */
+    function updateSectionStatus(element, message, isError = false) {
+        element.textContent = message;
+        element.className = `status ${isError ? 'error' : 'success'}`;
+    }
+
+    /**
+     * Rebuild the profile dropdown, including an unsaved profile being edited
+     */
+    function renderProfileSelect() {
+        profileSelect.innerHTML = '';
+
+        const profiles = [...settings.profiles];
+        if (editingProfile && !profiles.some(profile => profile.id === editingProfile.id)) {
+            profiles.push(editingProfile);
+        }
+
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = settings.profiles.includes(profile)
+                ? profile.name
+                : `${profile.name} (unsaved)`;
+            profileSelect.appendChild(option);
+        });
+
+        profileSelect.value = editingProfile.id;
+        deleteProfileButton.disabled = settings.profiles.length <= 1;
+    }
+
+    /**
+     * Show only the fields the selected provider uses
+     */
+    function updateProviderFields() {
+        const adapter = PROVIDERS[providerSelect.value];
+        modelField.style.display = adapter.requiresModel ? 'flex' : 'none';
+        apiKeyField.style.display = providerSelect.value === 'n8n' ? 'none' : 'flex';
+    }
+
+    /**
+     * Fill the form with a backend profile
+     * @param {Object} profile - Backend profile
+     */
+    function fillProfileForm(profile) {
+        profileNameInput.value = profile.name;
+        providerSelect.value = profile.provider;
+        backendUrlInput.value = profile.url;
+        modelInput.value = profile.model;
+        apiKeyInput.value = profile.apiKey;
+        authHeaderNameInput.value = profile.authHeaderName;
+        authHeaderValueInput.value = profile.authHeaderValue;
+        timeoutSecondsInput.value = Math.round(profile.timeoutMs / 1000);
+        maxRetriesInput.value = profile.maxRetries;
+        streamInput.checked = profile.stream;
+        updateProviderFields();
+    }
+
+    /**
+     * Read and validate the profile being edited from the form
+     * @returns {Object} Backend profile
+     * @throws {Error} If a field is invalid
+     */
+    function readProfileForm() {
+        const name = profileNameInput.value.trim();
+        if (!name) {
+            throw new Error('Please give the profile a name.');
+        }
+
+        const provider = providerSelect.value;
+        const adapter = PROVIDERS[provider];
+
+        const url = backendUrlInput.value.trim();
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (e) {
+            throw new Error('Please enter a valid endpoint URL.');
+        }
+        if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+            throw new Error('The endpoint must use http or https.');
+        }
+
+        const model = modelInput.value.trim();
+        if (adapter.requiresModel && !model) {
+            throw new Error(`${adapter.label} profiles need a model name.`);
+        }
+
+        const apiKey = provider === 'n8n' ? '' : apiKeyInput.value.trim();
+        if (adapter.requiresApiKey && !apiKey) {
+            throw new Error(`${adapter.label} profiles need an API key.`);
+        }
+
+        const timeoutSeconds = Number(timeoutSecondsInput.value);
+        if (!Number.isFinite(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > 120) {
+            throw new Error('Timeout must be between 1 and 120 seconds.');
+        }
+
+        const maxRetries = Number(maxRetriesInput.value);
+        if (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > 5) {
+            throw new Error('Retries must be a whole number between 0 and 5.');
+        }
+
+        const authHeaderName = authHeaderNameInput.value.trim();
+        const authHeaderValue = authHeaderValueInput.value.trim();
+        if (authHeaderValue && !authHeaderName) {
+            throw new Error('Please enter a name for the extra auth header.');
+        }
+
+        return {
+            ...editingProfile,
+            name,
+            provider,
+            url: parsedUrl.href,
+            model: adapter.requiresModel ? model : '',
+            apiKey,
+            authHeaderName,
+            authHeaderValue,
+            timeoutMs: timeoutSeconds * 1000,
+            maxRetries,
+            stream: streamInput.checked
+        };
+    }
+
+    /**
+     * Send a sample generation request through the background worker
+     * @param {Object} profile - Backend profile to test
+     * @returns {Promise<string>} The comment returned by the endpoint
+     * @throws {Error} If the endpoint does not answer with a comment
+     */
+    async function testProfile(profile) {
+        const response = await chrome.runtime.sendMessage({
+            action: 'testBackendProfile',
+            profile
+        });
+
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'No response from extension background');
+        }
+
+        return response.comment;
+    }
+
+    /**
+     * Validate, test and save the profile being edited, making it active
+     */
+    async function saveProfile() {
+        let profile;
+        try {
+            profile = readProfileForm();
+        } catch (error) {
+            updateStatus(error.message, true);
+            return;
+        }
+
+        saveBackendButton.disabled = true;
+        updateStatus('Testing endpoint...');
+
+        try {
+            // Custom endpoints need a host permission so the extension can reach them
+            const origin = new URL(profile.url).origin;
+            const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+            if (!granted) {
+                throw new Error(`Permission to access ${origin} was denied`);
+            }
+
+            const comment = await testProfile(profile);
+            logger.log('Endpoint test succeeded', comment);
+
+            const profiles = settings.profiles.some(existing => existing.id === profile.id)
+                ? settings.profiles.map(existing => existing.id === profile.id ? profile : existing)
+                : [...settings.profiles, profile];
+
+            settings = await saveSettings({ ...settings, profiles, activeProfileId: profile.id });
+            editingProfile = getActiveProfile(settings);
+            renderProfileSelect();
+            updateStatus(`Endpoint verified. "${profile.name}" saved and in use.`);
+        } catch (error) {
+            logger.error('Endpoint test failed', error);
+            updateStatus(`Not saved: ${error.message}`, true);
+        } finally {
+            saveBackendButton.disabled = false;
+        }
+    }
+
+    /**
+     * Switch to another profile and make it the active one
+     */
+    async function selectProfile() {
+        const profile = settings.profiles.find(existing => existing.id === profileSelect.value);
+        if (!profile) return;
+
+        settings = await saveSettings({ ...settings, activeProfileId: profile.id });
+        editingProfile = profile;
+        renderProfileSelect();
+        fillProfileForm(profile);
+        updateStatus(`"${profile.name}" is now used for generation.`);
+    }
+
+    /**
+     * Start editing a new, unsaved profile
+     */
+    function createProfile() {
+        editingProfile = {
+            ...DEFAULT_PROFILE,
+            id: `profile_${Date.now().toString(36)}`,
+            name: 'New profile',
+            provider: 'openai',
+            url: PROVIDERS.openai.defaultUrl
+        };
+        renderProfileSelect();
+        fillProfileForm(editingProfile);
+        updateStatus('Fill in the new profile, then Test & Save.');
+    }
+
+    /**
+     * Delete the profile being edited
+     */
+    async function deleteProfile() {
+        const isSaved = settings.profiles.some(profile => profile.id === editingProfile.id);
+        if (isSaved) {
+            if (settings.profiles.length <= 1) return;
+            const profiles = settings.profiles.filter(profile => profile.id !== editingProfile.id);
+            const activeProfileId = settings.activeProfileId === editingProfile.id
+                ? profiles[0].id
+                : settings.activeProfileId;
+            settings = await saveSettings({ ...settings, profiles, activeProfileId });
+        }
+
+        editingProfile = getActiveProfile(settings);
+        renderProfileSelect();
+        fillProfileForm(editingProfile);
+        updateStatus('Profile deleted.');
+    }
+
+    /**
+     * Prefill the endpoint when switching provider on a profile
+     */
+    function changeProvider() {
+        const isDefaultUrl = Object.values(PROVIDERS)
+            .some(adapter => adapter.defaultUrl === backendUrlInput.value.trim());
+        if (!backendUrlInput.value.trim() || isDefaultUrl) {
+            backendUrlInput.value = PROVIDERS[providerSelect.value].defaultUrl;
+        }
+        updateProviderFields();
+    }
+
+    /**
+     * Show the install id, linked LinkedIn user and license key
+     * @param {Object} identity - From getIdentity()
+     */
+    function renderAccount(identity) {
+        const linkedIn = identity.linkedIn;
+        const user = linkedIn ? (linkedIn.name || linkedIn.profileUrl || linkedIn.id) : 'not seen yet';
+        accountSummary.textContent = `Extension id: ${identity.installId}. LinkedIn user: ${user}.`;
+        licenseKeyInput.value = identity.licenseKey;
+    }
+
+    /**
+     * Save the license key
+     */
+    async function saveAccount() {
+        const identity = await setLicenseKey(licenseKeyInput.value);
+        renderAccount(identity);
+        updateSectionStatus(accountStatus, identity.licenseKey ? 'Account linked.' : 'No account linked.');
+    }
+
+    /**
+     * Unlink the account and forget the LinkedIn user
+     */
+    async function signOutAccount() {
+        renderAccount(await signOut());
+        updateSectionStatus(accountStatus, 'Signed out.');
+    }
+
+    /**
+     * Replace the extension id with a new one and forget everything linked to it
+     */
+    async function resetAccount() {
+        if (!confirm('Start over with a new extension id? Your license key and LinkedIn user are forgotten too.')) {
+            return;
+        }
+
+        await resetIdentity();
+        renderAccount(await getIdentity());
+        updateSectionStatus(accountStatus, 'Reset.');
+    }
+
+    /**
+     * Read the privacy settings from the form
+     * @returns {Object} settings.privacy
+     */
+    function readPrivacyForm() {
+        return {
+            userInfo: privacyModeSelect.value,
+            allowMeMenu: allowMeMenuInput.checked,
+            allowFingerprint: allowFingerprintInput.checked
+        };
+    }
+
+    /**
+     * Show the identity fields exactly as a request would carry them
+     * @param {Object} userInfo - User info after applyPrivacyMode
+     */
+    async function renderPrivacyPreview(userInfo) {
+        const { licenseKey } = await getIdentity();
+        const { body } = PROVIDERS.n8n.buildRequest({
+            content: '',
+            userInfo,
+            uniqueId: buildUniqueId(userInfo, '<post URN>'),
+            licenseKey
+        }, DEFAULT_PROFILE);
+        privacyPreview.textContent = JSON.stringify({
+            unique_id: body.unique_id,
+            user_info: body.user_info,
+            license_key: body.license_key
+        }, null, 2);
+    }
+
+    /**
+     * Preview what the privacy settings in the form would send, using the
+     * identity found in an open LinkedIn tab
+     */
+    async function previewPrivacy() {
+        const privacy = readPrivacyForm();
+
+        if (privacy.userInfo === 'none') {
+            await renderPrivacyPreview(await applyPrivacyMode({}, privacy));
+            updateSectionStatus(privacyStatus, 'Nothing about you is sent.');
+            return;
+        }
+
+        const tab = await findLinkedInTab();
+        if (!tab) {
+            privacyPreview.textContent = '';
+            updateSectionStatus(privacyStatus, 'Open LinkedIn in a tab to preview what would be sent.', true);
+            return;
+        }
+
+        let response;
+        try {
+            response = await chrome.tabs.sendMessage(tab.id, { action: 'previewUserInfo', privacy });
+        } catch (error) {
+            logger.error('Error previewing user info', error);
+            updateSectionStatus(privacyStatus, 'The LinkedIn tab did not answer. Reload it and try again.', true);
+            return;
+        }
+        if (!response || !response.success) {
+            updateSectionStatus(privacyStatus, (response && response.error) || 'Could not read your details from LinkedIn.', true);
+            return;
+        }
+
+        await renderPrivacyPreview(response.userInfo);
+        updateSectionStatus(privacyStatus, `Preview from ${tab.url.split('?')[0]}.`);
+    }
+
+    /**
+     * Save the privacy settings
+     */
+    async function savePrivacy() {
+        const current = await getSettings();
+        settings = await saveSettings({ ...current, privacy: readPrivacyForm() });
+        updateSectionStatus(privacyStatus, 'Saved.');
+    }
+
+    /**
+     * Save the number of variants generated per request
+     */
+    async function saveVariantCount() {
+        const variantCount = Number(variantCountInput.value);
+        if (!Number.isInteger(variantCount) || variantCount < 1 || variantCount > MAX_VARIANT_COUNT) {
+            updateSectionStatus(generationStatus, `Variants must be a whole number between 1 and ${MAX_VARIANT_COUNT}.`, true);
+            return;
+        }
+
+        // Re-read first: the inline panel may have changed other settings meanwhile
+        const current = await getSettings();
+        settings = await saveSettings({
+            ...current,
+            generation: { ...current.generation, variantCount }
+        });
+        updateSectionStatus(generationStatus, 'Saved.');
+    }
+
+    /**
+     * Save how long generated comments are reused
+     */
+    async function saveCacheTtl() {
+        const ttlMinutes = Number(cacheTtlInput.value);
+        if (!Number.isInteger(ttlMinutes) || ttlMinutes < 0) {
+            updateSectionStatus(generationStatus, 'Reuse time must be a whole number of minutes, 0 or more.', true);
+            return;
+        }
+
+        const current = await getSettings();
+        settings = await saveSettings({
+            ...current,
+            cache: { ...current.cache, ttlMinutes }
+        });
+        updateSectionStatus(generationStatus, 'Saved.');
+    }
+
+    /**
+     * Drop every cached comment, so the next request calls the backend
+     */
+    async function clearCache() {
+        await clearGenerationCache();
+        updateSectionStatus(generationStatus, 'Reused comments forgotten.');
+    }
+
+    /**
+     * Save when comments are written offline
+     */
+    async function saveOfflineMode() {
+        const current = await getSettings();
+        settings = await saveSettings({
+            ...current,
+            offline: { ...current.offline, mode: offlineModeSelect.value }
+        });
+        updateSectionStatus(generationStatus, 'Saved.');
+    }
+
+    /**
+     * Save what happens to a comment once it is chosen
+     */
+    async function saveInsertion() {
+        const current = await getSettings();
+        settings = await saveSettings({
+            ...current,
+            insertion: {
+                ...current.insertion,
+                mode: insertionModeSelect.value,
+                existingText: existingTextSelect.value
+            }
+        });
+        updateSectionStatus(generationStatus, 'Saved.');
+    }
+
+    /**
+     * Save the batch mode size and pacing
+     */
+    async function saveBatch() {
+        const size = Number(batchSizeInput.value);
+        const minDelaySeconds = Number(batchMinDelayInput.value);
+        const maxDelaySeconds = Number(batchMaxDelayInput.value);
+
+        if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+            updateSectionStatus(batchStatus, `Posts per batch must be a whole number between 1 and ${MAX_BATCH_SIZE}.`, true);
+            return;
+        }
+        if (!(minDelaySeconds >= 5) || !(maxDelaySeconds >= minDelaySeconds)) {
+            updateSectionStatus(batchStatus, 'Pauses must be at least 5 seconds, and the maximum no less than the minimum.', true);
+            return;
+        }
+
+        const current = await getSettings();
+        settings = await saveSettings({
+            ...current,
+            batch: { size, minDelaySeconds, maxDelaySeconds }
+        });
+        updateSectionStatus(batchStatus, 'Saved.');
+    }
+
+    /**
+     * Save the posting caps and interval
+     */
+    async function savePacing() {
+        const values = {
+            dailyCap: Number(dailyCapInput.value),
+            hourlyCap: Number(hourlyCapInput.value),
+            minIntervalSeconds: Number(minIntervalSecondsInput.value),
+            jitterSeconds: Number(jitterSecondsInput.value)
+        };
+
+        if (Object.values(values).some(value => !Number.isInteger(value) || value < 0)) {
+            updateSectionStatus(pacingStatus, 'Caps and gaps must be whole numbers of 0 or more.', true);
+            return;
+        }
+
+        const current = await getSettings();
+        settings = await saveSettings({
+            ...current,
+            pacing: values
+        });
+        updateSectionStatus(pacingStatus, 'Saved.');
+    }
+
+    /**
+     * Show the relevance rules in the form
+     * @param {Object} relevance - settings.relevance
+     */
+    function fillRelevanceForm(relevance) {
+        relevanceKeywordsInput.value = relevance.keywords.join(', ');
+        relevanceHashtagsInput.value = relevance.hashtags.map(tag => `#${tag}`).join(', ');
+        watchedAuthorsInput.value = relevance.watchedAuthors.join('\n');
+        blockedAuthorsInput.value = relevance.blockedAuthors.join('\n');
+        minReactionsInput.value = relevance.minReactions;
+        maxAgeHoursInput.value = relevance.maxAgeHours;
+        hideLowRelevanceInput.checked = relevance.hideLowRelevance;
+    }
+
+    /**
+     * Save the relevance rules
+     */
+    async function saveRelevance() {
+        const splitList = (text, separator) => text.split(separator).map(item => item.trim()).filter(Boolean);
+        const minReactions = Number(minReactionsInput.value);
+        const maxAgeHours = Number(maxAgeHoursInput.value);
+
+        if (!Number.isInteger(minReactions) || minReactions < 0) {
+            updateSectionStatus(relevanceStatus, 'Minimum reactions must be a whole number of 0 or more.', true);
+            return;
+        }
+        if (!(maxAgeHours >= 0)) {
+            updateSectionStatus(relevanceStatus, 'Maximum post age must be 0 or more hours.', true);
+            return;
+        }
+
+        const current = await getSettings();
+        settings = await saveSettings({
+            ...current,
+            relevance: {
+                keywords: splitList(relevanceKeywordsInput.value, ','),
+                hashtags: splitList(relevanceHashtagsInput.value, ',').map(tag => tag.replace(/^#/, '')),
+                watchedAuthors: splitList(watchedAuthorsInput.value, '\n'),
+                blockedAuthors: splitList(blockedAuthorsInput.value, '\n'),
+                minReactions,
+                maxAgeHours,
+                hideLowRelevance: hideLowRelevanceInput.checked
+            }
+        });
+        fillRelevanceForm(settings.relevance);
+        updateSectionStatus(relevanceStatus, 'Saved. Open LinkedIn tabs update right away.');
+    }
+
+    /**
+     * Show the safety check settings in the form
+     * @param {Object} safety - settings.safety
+     */
+    function fillSafetyForm(safety) {
+        safetyChecksList.innerHTML = '';
+
+        SAFETY_CHECKS.forEach(check => {
+            const row = document.createElement('div');
+            row.className = 'item-row';
+
+            const name = document.createElement('span');
+            name.className = 'item-name';
+            name.textContent = check.label;
+
+            const mode = document.createElement('select');
+            mode.className = 'text-input';
+            mode.dataset.check = check.id;
+            mode.style.width = 'auto';
+            ['off', 'warn', 'block'].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = { off: 'Off', warn: 'Warn', block: 'Block' }[value];
+                mode.appendChild(option);
+            });
+            mode.value = safety.checks[check.id] || 'off';
+
+            row.appendChild(name);
+            row.appendChild(mode);
+            safetyChecksList.appendChild(row);
+        });
+
+        bannedWordsInput.value = safety.bannedWords.join('\n');
+        maxLengthInput.value = safety.maxLength;
+        duplicateLookbackDaysInput.value = safety.duplicateLookbackDays;
+    }
+
+    /**
+     * Save the safety check settings
+     */
+    async function saveSafety() {
+        const maxLength = Number(maxLengthInput.value);
+        const duplicateLookbackDays = Number(duplicateLookbackDaysInput.value);
+
+        if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > 1250) {
+            updateSectionStatus(safetyStatus, 'Maximum length must be a whole number between 1 and 1250.', true);
+            return;
+        }
+        if (!Number.isInteger(duplicateLookbackDays) || duplicateLookbackDays < 1) {
+            updateSectionStatus(safetyStatus, 'The duplicate window must be at least 1 day.', true);
+            return;
+        }
+
+        const checks = {};
+        safetyChecksList.querySelectorAll('select').forEach(select => {
+            checks[select.dataset.check] = select.value;
+        });
+
+        const current = await getSettings();
+        settings = await saveSettings({
+            ...current,
+            safety: {
+                checks,
+                bannedWords: bannedWordsInput.value.split('\n').map(word => word.trim()).filter(Boolean),
+                maxLength,
+                duplicateLookbackDays
+            }
+        });
+        updateSectionStatus(safetyStatus, 'Saved.');
+    }
+
+    /**
+     * Save the repeat engagement limits
+     */
+    async function saveEngagement() {
+        const maxCommentsPerPost = Number(maxCommentsPerPostInput.value);
+        const maxCommentsPerAuthor = Number(maxCommentsPerAuthorInput.value);
+        const authorWindowDays = Number(authorWindowDaysInput.value);
+
+        if (!Number.isInteger(maxCommentsPerPost) || maxCommentsPerPost < 0 ||
+            !Number.isInteger(maxCommentsPerAuthor) || maxCommentsPerAuthor < 0) {
+            updateSectionStatus(engagementStatus, 'Limits must be whole numbers of 0 or more.', true);
+            return;
+        }
+        if (!Number.isInteger(authorWindowDays) || authorWindowDays < 1) {
+            updateSectionStatus(engagementStatus, 'The author window must be at least 1 day.', true);
+            return;
+        }
+
+        const current = await getSettings();
+        settings = await saveSettings({
+            ...current,
+            engagement: { maxCommentsPerPost, maxCommentsPerAuthor, authorWindowDays }
+        });
+        updateSectionStatus(engagementStatus, 'Saved.');
+    }
+
+    /**
+     * Forget every comment recorded in the engagement ledger
+     */
+    async function clearEngagement() {
+        if (!confirm('Forget which posts and authors you have commented on? Comment history is kept.')) {
+            return;
+        }
+
+        await clearEngagementLedger();
+        updateSectionStatus(engagementStatus, 'Past comments forgotten.');
+    }
+
+    /**
+     * Show the saved selector overrides and which registry version they target
+     * @param {Object|null} overrides - {version, selectors}
+     */
+    function fillSelectorForm(overrides) {
+        selectorOverridesInput.value = overrides ? JSON.stringify(overrides, null, 2) : '';
+
+        let text = `Built-in selectors: version ${SELECTOR_REGISTRY_VERSION}.`;
+        if (overrides) {
+            const groups = Object.keys(overrides.selectors).length;
+            text += ` Overriding ${groups} group${groups === 1 ? '' : 's'}, written for version ${overrides.version || 'unknown'}.`;
+            if (overrides.version !== SELECTOR_REGISTRY_VERSION) {
+                text += ' The built-in selectors have changed since; check whether the overrides are still needed.';
+            }
+        }
+        selectorVersion.textContent = text;
+    }
+
+    /**
+     * Save the overrides typed in or loaded from a file; an empty box removes them
+     */
+    async function saveSelectors() {
+        const text = selectorOverridesInput.value.trim();
+        if (!text) {
+            await saveSelectorOverrides(null);
+            fillSelectorForm(null);
+            updateSectionStatus(selectorStatus, 'Using the built-in selectors.');
+            return;
+        }
+
+        let overrides;
+        try {
+            overrides = JSON.parse(text);
+        } catch (error) {
+            updateSectionStatus(selectorStatus, `Not valid JSON: ${error.message}`, true);
+            return;
+        }
+
+        // A bare {group: [...]} map is accepted too
+        if (overrides && !overrides.selectors) {
+            overrides = { version: SELECTOR_REGISTRY_VERSION, selectors: overrides };
+        }
+
+        const problems = validateSelectorOverrides(overrides);
+        if (problems.length > 0) {
+            updateSectionStatus(selectorStatus, problems.join(' '), true);
+            return;
+        }
+
+        overrides = { version: overrides.version || SELECTOR_REGISTRY_VERSION, selectors: overrides.selectors };
+        await saveSelectorOverrides(overrides);
+        fillSelectorForm(overrides);
+        updateSectionStatus(selectorStatus, 'Saved. Open LinkedIn tabs use the new selectors right away.');
+    }
+
+    /**
+     * Load overrides from a JSON file and save them
+     */
+    async function loadSelectorsFile() {
+        const [file] = selectorsFileInput.files;
+        selectorsFileInput.value = '';
+        if (!file) return;
+
+        selectorOverridesInput.value = await file.text();
+        await saveSelectors();
+    }
+
+    /**
+     * Download the built-in selectors as a JSON file to start overrides from
+     */
+    function exportSelectors() {
+        const selectors = {};
+        Object.entries(DEFAULT_SELECTORS).forEach(([group, entry]) => {
+            selectors[group] = entry.selectors;
+        });
+
+        const blob = new Blob([JSON.stringify({ version: SELECTOR_REGISTRY_VERSION, selectors }, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `linkedin-comment-generator-selectors-v${SELECTOR_REGISTRY_VERSION}.json`;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Remove the overrides
+     */
+    async function resetSelectors() {
+        selectorOverridesInput.value = '';
+        await saveSelectors();
+    }
+
+    /**
+     * Find an open LinkedIn tab, preferring the active one
+     * @returns {Promise<Object|undefined>} The tab, if any
+     */
+    async function findLinkedInTab() {
+        const tabs = await chrome.tabs.query({ url: 'https://*.linkedin.com/*' });
+        return tabs.find(candidate => candidate.active) || tabs[0];
+    }
+
+    /**
+     * Run the selector self-test in an open LinkedIn tab and list the results
+     */
+    async function runSelfTest() {
+        selfTestResults.innerHTML = '';
+
+        const tab = await findLinkedInTab();
+        if (!tab) {
+            updateSectionStatus(selectorStatus, 'Open LinkedIn in a tab, ideally the feed, then run the test again.', true);
+            return;
+        }
+
+        let response;
+        try {
+            response = await chrome.tabs.sendMessage(tab.id, { action: 'diagnose' });
+        } catch (error) {
+            logger.error('Error running selector self-test', error);
+            updateSectionStatus(selectorStatus, 'The LinkedIn tab did not answer. Reload it and try again.', true);
+            return;
+        }
+
+        const report = response.diagnosticInfo.selectorSelfTest;
+        report.groups.forEach(result => {
+            const row = document.createElement('div');
+            row.className = `item-row${result.status === 'broken' ? ' broken' : ''}`;
+
+            const name = document.createElement('span');
+            name.className = 'item-name';
+            name.textContent = `${result.group}${result.overridden ? ' (overridden)' : ''}`;
+            name.title = result.description;
+
+            const detail = document.createElement('span');
+            detail.className = 'item-detail';
+            const matched = result.selectors.filter(item => item.matches > 0).length;
+            detail.textContent = {
+                ok: `OK: ${matched} of ${result.selectors.length} selectors match`,
+                broken: 'Broken: no selector matches',
+                unseen: 'Not on this page',
+                notApplicable: 'Not used on this kind of page'
+            }[result.status];
+            detail.title = result.selectors.map(item => `${item.matches} × ${item.selector}`).join('\n');
+
+            row.appendChild(name);
+            row.appendChild(detail);
+            selfTestResults.appendChild(row);
+        });
+
+        const summary = `Tested ${report.postsFound} post${report.postsFound === 1 ? '' : 's'} on ${tab.url.split('?')[0]}.`;
+        if (report.broken.length > 0) {
+            updateSectionStatus(selectorStatus, `${summary} Broken: ${report.broken.join(', ')}.`, true);
+        } else {
+            updateSectionStatus(selectorStatus, `${summary} No broken selectors.`);
+        }
+    }
+
+    /**
+     * Render an editable list with reorder and delete controls
+     * @param {HTMLElement} listElement - Container to render into
+     * @param {Object[]} items - Items with an id, in display order
+     * @param {Object} options - How to show and act on the items
+     * @param {string} options.noun - Item name used in button titles
+     * @param {string|null} options.selectedId - Item being edited
+     * @param {Function} options.getName - Returns the item's name
+     * @param {Function} options.getDetail - Returns a short description
+     * @param {number} options.minItems - Items that must remain
+     * @param {Function} options.onEdit - Called with the item id
+     * @param {Function} options.onMove - Called with (index, offset)
+     * @param {Function} options.onDelete - Called with the item id
+     */
+    function renderItemList(listElement, items, options) {
+        listElement.innerHTML = '';
+
+        items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = `item-row${item.id === options.selectedId ? ' selected' : ''}`;
+
+            const name = document.createElement('span');
+            name.className = 'item-name';
+            name.textContent = options.getName(item);
+            name.title = `Edit ${options.noun}`;
+            name.addEventListener('click', () => options.onEdit(item.id));
+
+            const detail = document.createElement('span');
+            detail.className = 'item-detail';
+            detail.textContent = options.getDetail(item);
+
+            const upButton = document.createElement('button');
+            upButton.className = 'icon-button';
+            upButton.textContent = '↑';
+            upButton.title = 'Move up';
+            upButton.disabled = index === 0;
+            upButton.addEventListener('click', () => options.onMove(index, -1));
+
+            const downButton = document.createElement('button');
+            downButton.className = 'icon-button';
+            downButton.textContent = '↓';
+            downButton.title = 'Move down';
+            downButton.disabled = index === items.length - 1;
+            downButton.addEventListener('click', () => options.onMove(index, 1));
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'icon-button';
+            deleteButton.textContent = '✕';
+            deleteButton.title = `Delete ${options.noun}`;
+            deleteButton.disabled = items.length <= options.minItems;
+            deleteButton.addEventListener('click', () => options.onDelete(item.id));
+
+            row.appendChild(name);
+            row.appendChild(detail);
+            row.appendChild(upButton);
+            row.appendChild(downButton);
+            row.appendChild(deleteButton);
+            listElement.appendChild(row);
+        });
+    }
+
+    /**
+     * Derive a readable id from a name, unique among existing items
+     * @param {string} name - Item name
+     * @param {Object[]} items - Existing items
+     * @param {string} fallback - Id used when the name has no usable characters
+     * @returns {string} New id
+     */
+    function createItemId(name, items, fallback) {
+        const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback;
+        let id = baseId;
+        for (let suffix = 2; items.some(item => item.id === id); suffix++) {
+            id = `${baseId}-${suffix}`;
+        }
+        return id;
+    }
+
+    /**
+     * Swap an item with its neighbour
+     * @param {Object[]} items - Items in display order
+     * @param {number} index - Current position
+     * @param {number} offset - -1 to move up, 1 to move down
+     * @returns {Object[]|null} Reordered copy, or null if the move is out of range
+     */
+    function moveItem(items, index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= items.length) return null;
+
+        const reordered = [...items];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        return reordered;
+    }
+
+    /**
+     * Render the tone list
+     */
+    function renderToneList() {
+        renderItemList(toneList, tones, {
+            noun: 'tone',
+            selectedId: editingToneId,
+            getName: tone => tone.label,
+            getDetail: tone => `~${tone.lengthTarget} words`,
+            minItems: 1,
+            onEdit: editTone,
+            onMove: moveTone,
+            onDelete: deleteTone
+        });
+    }
+
+    /**
+     * Load a tone into the editor, or clear the editor for a new tone
+     * @param {string|null} toneId - Tone to edit, or null for a new one
+     */
+    function editTone(toneId) {
+        const tone = tones.find(existing => existing.id === toneId);
+        editingToneId = tone ? tone.id : null;
+
+        toneLabelInput.value = tone ? tone.label : '';
+        toneLengthInput.value = tone ? tone.lengthTarget : 40;
+        toneInstructionInput.value = tone ? tone.instruction : '';
+        toneExamplesInput.value = tone ? tone.examples.join('\n') : '';
+        saveToneButton.textContent = tone ? 'Save tone' : 'Add tone';
+
+        renderToneList();
+    }
+
+    /**
+     * Save the tone in the editor, adding it if it is new
+     */
+    async function saveTone() {
+        const label = toneLabelInput.value.trim();
+        const instruction = toneInstructionInput.value.trim();
+        const lengthTarget = Number(toneLengthInput.value);
+
+        if (!label) {
+            updateSectionStatus(toneStatus, 'Please give the tone a label.', true);
+            return;
+        }
+        if (!instruction) {
+            updateSectionStatus(toneStatus, 'Please describe how the tone should sound.', true);
+            return;
+        }
+        if (!Number.isInteger(lengthTarget) || lengthTarget < 5 || lengthTarget > 300) {
+            updateSectionStatus(toneStatus, 'Length target must be a whole number between 5 and 300 words.', true);
+            return;
+        }
+
+        const examples = toneExamplesInput.value
+            .split('\n')
+            .map(example => example.trim())
+            .filter(Boolean);
+
+        if (editingToneId) {
+            tones = tones.map(tone => tone.id === editingToneId
+                ? { ...tone, label, instruction, examples, lengthTarget }
+                : tone);
+        } else {
+            const id = createItemId(label, tones, 'tone');
+            tones = [...tones, { id, label, instruction, examples, lengthTarget }];
+            editingToneId = id;
+        }
+
+        try {
+            await saveTones(tones);
+            editTone(editingToneId);
+            updateSectionStatus(toneStatus, `"${label}" saved.`);
+        } catch (error) {
+            logger.error('Error saving tones', error);
+            updateSectionStatus(toneStatus, `Not saved: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Move a tone up or down in the list
+     * @param {number} index - Current position
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    async function moveTone(index, offset) {
+        const reordered = moveItem(tones, index, offset);
+        if (!reordered) return;
+
+        tones = reordered;
+        await saveTones(tones);
+        renderToneList();
+    }
+
+    /**
+     * Delete a tone, keeping at least one
+     * @param {string} toneId - Tone to delete
+     */
+    async function deleteTone(toneId) {
+        if (tones.length <= 1) return;
+
+        tones = tones.filter(tone => tone.id !== toneId);
+        await saveTones(tones);
+
+        editTone(editingToneId === toneId ? null : editingToneId);
+        updateSectionStatus(toneStatus, 'Tone deleted.');
+    }
+
+    /**
+     * Replace the user's tones with the built-in ones
+     */
+    async function restoreTones() {
+        tones = JSON.parse(JSON.stringify(DEFAULT_TONES));
+        await saveTones(tones);
+        editTone(null);
+        updateSectionStatus(toneStatus, 'Default tones restored.');
+    }
+
+    /**
+     * Render the persona list
+     */
+    function renderPersonaList() {
+        renderItemList(personaList, personas, {
+            noun: 'persona',
+            selectedId: editingPersonaId,
+            getName: persona => persona.name,
+            getDetail: persona => [persona.role, persona.industry].filter(Boolean).join(', '),
+            minItems: 0,
+            onEdit: editPersona,
+            onMove: movePersona,
+            onDelete: deletePersona
+        });
+    }
+
+    /**
+     * Load a persona into the editor, or clear the editor for a new persona
+     * @param {string|null} personaId - Persona to edit, or null for a new one
+     */
+    function editPersona(personaId) {
+        const persona = personas.find(existing => existing.id === personaId) || DEFAULT_PERSONA;
+        editingPersonaId = persona.id || null;
+
+        personaNameInput.value = persona.name;
+        personaRoleInput.value = persona.role;
+        personaIndustryInput.value = persona.industry;
+        personaExpertiseInput.value = persona.expertise.join(', ');
+        personaPhrasesToUseInput.value = persona.phrasesToUse.join('\n');
+        personaPhrasesToAvoidInput.value = persona.phrasesToAvoid.join('\n');
+        personaWritingSampleInput.value = persona.writingSample;
+        savePersonaButton.textContent = editingPersonaId ? 'Save persona' : 'Add persona';
+
+        renderPersonaList();
+    }
+
+    /**
+     * Save the persona in the editor, adding it if it is new
+     */
+    async function savePersona() {
+        const splitLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+        const persona = {
+            name: personaNameInput.value.trim(),
+            role: personaRoleInput.value.trim(),
+            industry: personaIndustryInput.value.trim(),
+            expertise: personaExpertiseInput.value.split(',').map(area => area.trim()).filter(Boolean),
+            phrasesToUse: splitLines(personaPhrasesToUseInput.value),
+            phrasesToAvoid: splitLines(personaPhrasesToAvoidInput.value),
+            writingSample: personaWritingSampleInput.value.trim()
+        };
+
+        if (!persona.name) {
+            updateSectionStatus(personaStatus, 'Please give the persona a name.', true);
+            return;
+        }
+
+        if (editingPersonaId) {
+            personas = personas.map(existing => existing.id === editingPersonaId
+                ? { ...existing, ...persona }
+                : existing);
+        } else {
+            editingPersonaId = createItemId(persona.name, personas, 'persona');
+            personas = [...personas, { id: editingPersonaId, ...persona }];
+        }
+
+        try {
+            await savePersonas(personas);
+            editPersona(editingPersonaId);
+            updateSectionStatus(personaStatus, `"${persona.name}" saved.`);
+        } catch (error) {
+            logger.error('Error saving personas', error);
+            updateSectionStatus(personaStatus, `Not saved: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Move a persona up or down in the list
+     * @param {number} index - Current position
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    async function movePersona(index, offset) {
+        const reordered = moveItem(personas, index, offset);
+        if (!reordered) return;
+
+        personas = reordered;
+        await savePersonas(personas);
+        renderPersonaList();
+    }
+
+    /**
+     * Delete a persona
+     * @param {string} personaId - Persona to delete
+     */
+    async function deletePersona(personaId) {
+        personas = personas.filter(persona => persona.id !== personaId);
+        await savePersonas(personas);
+
+        // Stop sending a persona that no longer exists
+        const current = await getSettings();
+        if (current.activePersonaId === personaId) {
+            settings = await saveSettings({ ...current, activePersonaId: '' });
+        }
+
+        editPersona(editingPersonaId === personaId ? null : editingPersonaId);
+        updateSectionStatus(personaStatus, 'Persona deleted.');
+    }
+
+    // Populate provider choices from the adapters
+    Object.entries(PROVIDERS).forEach(([key, adapter]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = adapter.label;
+        providerSelect.appendChild(option);
+    });
+
+    // Populate privacy modes
+    PRIVACY_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        privacyModeSelect.appendChild(option);
+    });
+
+    // Populate offline modes
+    OFFLINE_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        offlineModeSelect.appendChild(option);
+    });
+
+    // Populate insertion modes
+    INSERTION_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        insertionModeSelect.appendChild(option);
+    });
+
+    // Event listeners
+    saveBackendButton.addEventListener('click', saveProfile);
+    profileSelect.addEventListener('change', selectProfile);
+    newProfileButton.addEventListener('click', createProfile);
+    deleteProfileButton.addEventListener('click', deleteProfile);
+    providerSelect.addEventListener('change', changeProvider);
+    saveAccountButton.addEventListener('click', saveAccount);
+    signOutButton.addEventListener('click', signOutAccount);
+    resetIdentityButton.addEventListener('click', resetAccount);
+    privacyModeSelect.addEventListener('change', previewPrivacy);
+    allowMeMenuInput.addEventListener('change', previewPrivacy);
+    allowFingerprintInput.addEventListener('change', previewPrivacy);
+    previewPrivacyButton.addEventListener('click', previewPrivacy);
+    savePrivacyButton.addEventListener('click', savePrivacy);
+    variantCountInput.addEventListener('change', saveVariantCount);
+    insertionModeSelect.addEventListener('change', saveInsertion);
+    existingTextSelect.addEventListener('change', saveInsertion);
+    offlineModeSelect.addEventListener('change', saveOfflineMode);
+    cacheTtlInput.addEventListener('change', saveCacheTtl);
+    clearCacheButton.addEventListener('click', clearCache);
+    saveBatchButton.addEventListener('click', saveBatch);
+    savePacingButton.addEventListener('click', savePacing);
+    saveRelevanceButton.addEventListener('click', saveRelevance);
+    saveSafetyButton.addEventListener('click', saveSafety);
+    saveEngagementButton.addEventListener('click', saveEngagement);
+    clearEngagementButton.addEventListener('click', clearEngagement);
+    saveSelectorsButton.addEventListener('click', saveSelectors);
+    resetSelectorsButton.addEventListener('click', resetSelectors);
+    exportSelectorsButton.addEventListener('click', exportSelectors);
+    runSelfTestButton.addEventListener('click', runSelfTest);
+    loadSelectorsFileButton.addEventListener('click', () => selectorsFileInput.click());
+    selectorsFileInput.addEventListener('change', loadSelectorsFile);
+    saveToneButton.addEventListener('click', saveTone);
+    newToneButton.addEventListener('click', () => editTone(null));
+    restoreTonesButton.addEventListener('click', restoreTones);
+    savePersonaButton.addEventListener('click', savePersona);
+    newPersonaButton.addEventListener('click', () => editPersona(null));
+
+    /**
+     * Initialize the options page with the saved settings
+     */
+    async function initialize() {
+        try {
+            settings = await getSettings();
+            editingProfile = getActiveProfile(settings);
+            renderProfileSelect();
+            fillProfileForm(editingProfile);
+            renderAccount(await getIdentity());
+            privacyModeSelect.value = settings.privacy.userInfo;
+            allowMeMenuInput.checked = settings.privacy.allowMeMenu;
+            allowFingerprintInput.checked = settings.privacy.allowFingerprint;
+            variantCountInput.value = settings.generation.variantCount;
+            insertionModeSelect.value = getInsertionMode(settings).id;
+            existingTextSelect.value = settings.insertion.existingText;
+            offlineModeSelect.value = settings.offline.mode;
+            cacheTtlInput.value = settings.cache.ttlMinutes;
+            batchSizeInput.value = settings.batch.size;
+            batchMinDelayInput.value = settings.batch.minDelaySeconds;
+            batchMaxDelayInput.value = settings.batch.maxDelaySeconds;
+            dailyCapInput.value = settings.pacing.dailyCap;
+            hourlyCapInput.value = settings.pacing.hourlyCap;
+            minIntervalSecondsInput.value = settings.pacing.minIntervalSeconds;
+            jitterSecondsInput.value = settings.pacing.jitterSeconds;
+            fillRelevanceForm(settings.relevance);
+            fillSafetyForm(settings.safety);
+            maxCommentsPerPostInput.value = settings.engagement.maxCommentsPerPost;
+            maxCommentsPerAuthorInput.value = settings.engagement.maxCommentsPerAuthor;
+            authorWindowDaysInput.value = settings.engagement.authorWindowDays;
+            fillSelectorForm(await getSelectorOverrides());
+
+            tones = await getTones();
+            editTone(null);
+
+            personas = await getPersonas();
+            editPersona(null);
+        } catch (error) {
+            logger.error('Error loading settings', error);
+            updateStatus('Failed to load settings.', true);
+        }
+    }
+
+    // Start initialization
+    initialize();
+});
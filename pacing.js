@@ -0,0 +1,160 @@
+/**
+ * LinkedIn Comment Generator - Posting Pace
+ *
+ * Limits how often comments are posted, whichever page or panel posts them,
+ * so the account never looks automated. Every post has to reserve a slot
+ * first; a slot is refused once the hourly or daily cap is reached, or
+ * before the minimum interval plus a random jitter has passed since the
+ * previous post. Loaded by the background worker.
+ *
+ * The log is kept in chrome.storage.local:
+ * {
+ *   posts: number[],       // Times of the posts in the last 24 hours (ms)
+ *   nextAllowedAt: number  // Earliest time of the next post (ms)
+ * }
+ */
+
+/**
+ * Storage key of the posting log
+ */
+const POSTING_LOG_STORAGE_KEY = 'postingLog';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Keeps concurrent reservations from taking the same slot
+ */
+let postingLogQueue = Promise.resolve();
+
+/**
+ * Reads the posting log, leaving out posts older than a day
+ * @returns {Promise<Object>} Posting log
+ */
+async function readPostingLog() {
+    const { [POSTING_LOG_STORAGE_KEY]: stored } = await chrome.storage.local.get(POSTING_LOG_STORAGE_KEY);
+    const log = {
+        posts: [],
+        nextAllowedAt: 0,
+        ...stored
+    };
+    log.posts = log.posts.filter(time => time > Date.now() - DAY_MS);
+    return log;
+}
+
+/**
+ * Runs a read-modify-write of the posting log after the ones already queued
+ * @param {Function} callback - Receives the log; may change it and return a value
+ * @returns {Promise<any>} The callback's return value
+ */
+function updatePostingLog(callback) {
+    const run = async () => {
+        const log = await readPostingLog();
+        const result = callback(log);
+        await chrome.storage.local.set({ [POSTING_LOG_STORAGE_KEY]: log });
+        return result;
+    };
+
+    const next = postingLogQueue.then(run, run);
+    postingLogQueue = next.catch(() => {});
+    return next;
+}
+
+/**
+ * Works out how much of the caps is used and when the next post may go out
+ * @param {Object} log - Posting log
+ * @param {Object} pacing - settings.pacing
+ * @returns {Object} {hour, day, hourlyCap, dailyCap, retryAt, reason} where
+ *     retryAt is 0 when a post is allowed now
+ */
+function describePostingUsage(log, pacing) {
+    const now = Date.now();
+    const lastHour = log.posts.filter(time => time > now - HOUR_MS).sort((a, b) => a - b);
+    const lastDay = log.posts.slice().sort((a, b) => a - b);
+
+    const limits = [];
+    if (pacing.dailyCap > 0 && lastDay.length >= pacing.dailyCap) {
+        limits.push({
+            retryAt: lastDay[lastDay.length - pacing.dailyCap] + DAY_MS,
+            reason: `Daily limit of ${pacing.dailyCap} comments reached.`
+        });
+    }
+    if (pacing.hourlyCap > 0 && lastHour.length >= pacing.hourlyCap) {
+        limits.push({
+            retryAt: lastHour[lastHour.length - pacing.hourlyCap] + HOUR_MS,
+            reason: `Hourly limit of ${pacing.hourlyCap} comments reached.`
+        });
+    }
+    if (log.nextAllowedAt > now) {
+        limits.push({
+            retryAt: log.nextAllowedAt,
+            reason: 'Too soon after the previous comment.'
+        });
+    }
+
+    // The limit that lasts longest decides when posting can resume
+    const limit = limits.sort((a, b) => b.retryAt - a.retryAt)[0];
+
+    return {
+        hour: lastHour.length,
+        day: lastDay.length,
+        hourlyCap: pacing.hourlyCap,
+        dailyCap: pacing.dailyCap,
+        retryAt: limit ? limit.retryAt : 0,
+        reason: limit ? limit.reason : ''
+    };
+}
+
+/**
+ * Reads the current usage without reserving anything. Old posts are only
+ * left out in memory; the log is written when slots change.
+ * @param {Object} pacing - settings.pacing
+ * @returns {Promise<Object>} Usage (see describePostingUsage)
+ */
+async function getPostingUsage(pacing) {
+    // Let queued reservations land first
+    await postingLogQueue;
+    return describePostingUsage(await readPostingLog(), pacing);
+}
+
+/**
+ * Reserves a slot for a post that is about to be submitted
+ * @param {Object} pacing - settings.pacing
+ * @returns {Promise<Object>} {allowed, usage, reservation}; reservation is
+ *     passed to releasePostSlot if the post then fails
+ */
+function reservePostSlot(pacing) {
+    return updatePostingLog(log => {
+        const usage = describePostingUsage(log, pacing);
+        if (usage.retryAt) {
+            return { allowed: false, usage };
+        }
+
+        const now = Date.now();
+        const reservation = { postedAt: now, previousNextAllowedAt: log.nextAllowedAt };
+        const jitter = Math.random() * pacing.jitterSeconds * 1000;
+
+        log.posts.push(now);
+        log.nextAllowedAt = now + pacing.minIntervalSeconds * 1000 + jitter;
+
+        return { allowed: true, usage: describePostingUsage(log, pacing), reservation };
+    });
+}
+
+/**
+ * Gives back a slot whose post failed, so it does not count towards the caps
+ * @param {Object} reservation - From reservePostSlot
+ * @returns {Promise<void>}
+ */
+function releasePostSlot(reservation) {
+    return updatePostingLog(log => {
+        const index = log.posts.indexOf(reservation.postedAt);
+        if (index === -1) return;
+
+        log.posts.splice(index, 1);
+        // Only undo the interval if no later post has moved it on
+        if (log.posts.every(time => time < reservation.postedAt)) {
+            log.nextAllowedAt = reservation.previousNextAllowedAt;
+        }
+    });
+}
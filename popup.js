@@ -5,28 +5,48 @@
  * on LinkedIn posts from the popup window.
  */
 document.addEventListener('DOMContentLoaded', function() {
-    const generateButton = document.getElementById('generateComment');
-    const useCommentButton = document.getElementById('useComment');
-    const regenerateButton = document.getElementById('regenerateComment');
-    const suggestionInput = document.getElementById('suggestionInput');
-    const postTextElement = document.getElementById('postText');
-    const commentTextElement = document.getElementById('commentText');
-    const statusElement = document.getElementById('status');
-    const selectedPostInfo = document.getElementById('selectedPostInfo');
-
     // UI Elements
     const postContent = document.getElementById('postContent');
+    const toneSelect = document.getElementById('toneSelect');
     const hintInput = document.getElementById('hintInput');
     const commentBox = document.getElementById('commentBox');
+    const variants = document.getElementById('variants');
     const regenerateBtn = document.getElementById('regenerateBtn');
+    const copyBtn = document.getElementById('copyBtn');
+    const batchBtn = document.getElementById('batchBtn');
+    const usageMeter = document.getElementById('usageMeter');
+    const usageText = document.getElementById('usageText');
+    const usageFill = document.getElementById('usageFill');
+    const usageWait = document.getElementById('usageWait');
     const confirmBtn = document.getElementById('confirmBtn');
     const loading = document.getElementById('loading');
     const error = document.getElementById('error');
+    const offlineNote = document.getElementById('offlineNote');
+    const safetyWarning = document.getElementById('safetyWarning');
+    const safetyWarningList = document.getElementById('safetyWarningList');
+    const acceptWarningsBtn = document.getElementById('acceptWarningsBtn');
+
+    // History elements
+    const tabs = document.querySelectorAll('.tab');
+    const historySearch = document.getElementById('historySearch');
+    const historyTone = document.getElementById('historyTone');
+    const historyFrom = document.getElementById('historyFrom');
+    const historyTo = document.getElementById('historyTo');
+    const historyPostedOnly = document.getElementById('historyPostedOnly');
+    const historySummary = document.getElementById('historySummary');
+    const historyList = document.getElementById('historyList');
+    const exportCsvBtn = document.getElementById('exportCsv');
+    const exportJsonBtn = document.getElementById('exportJson');
 
     // State variables
     let currentPost = null;
-    let currentCaption = null;
-    let currentComment = null;
+    let currentContext = null;
+    let currentPostUrn = null;
+    let currentIdentity = {};
+    let currentHistoryId = null;
+    let tones = [];
+    let insertionMode = getInsertionMode(DEFAULT_SETTINGS);
+    let usageTimer = null;
 
     /**
      * Custom logging utility
@@ -47,52 +67,117 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     };
 
-    // Function to update UI with selected post
-    function updateUIWithSelectedPost(content, isAutoDetected = false) {
-        logger.log('Updating UI with selected post', { content: content.substring(0, 100), isAutoDetected });
-        
-        // Update the selected post info
-        selectedPostInfo.textContent = `${isAutoDetected ? 'Auto-detected' : 'Selected'} post! Content preview: ` + 
-            (content.length > 50 ? content.substring(0, 50) + '...' : content);
-        selectedPostInfo.style.display = 'block';
-        
-        // Update post text
-        postTextElement.textContent = content;
-        
-        // Enable buttons since we have a selected post
-        generateButton.disabled = false;
-        useCommentButton.disabled = false;
-        regenerateButton.disabled = false;
-    }
-
-    // Function to update status message
-    function updateStatus(message, isError = false) {
-        statusElement.textContent = message;
-        statusElement.className = `status ${isError ? 'error' : 'success'}`;
-        setTimeout(() => {
-            statusElement.textContent = '';
-            statusElement.className = 'status';
-        }, 3000);
-    }
-
     /**
-     * Update the UI with selected post content
+     * Update the UI with the selected post
      * @param {string} content - Post content text
-     * @param {string} caption - Optional post caption
+     * @param {Object} context - Post context from the content script, if any
      */
-    function updatePostPreview(content, caption) {
+    function updatePostPreview(content, context) {
+        postContent.innerHTML = '';
+
         if (!content) {
-            postContent.innerHTML = '<div class="no-post">Select a post to generate a comment</div>';
+            const noPost = document.createElement('div');
+            noPost.className = 'no-post';
+            noPost.textContent = 'Select a post to generate a comment';
+            postContent.appendChild(noPost);
             return;
         }
 
-        let previewHtml = '';
-        if (caption) {
-            previewHtml += `<div class="caption">${caption}</div>`;
+        const author = context && context.author;
+        if (author && author.name) {
+            const caption = document.createElement('div');
+            caption.className = 'caption';
+            caption.textContent = author.headline ? `${author.name} · ${author.headline}` : author.name;
+            postContent.appendChild(caption);
+        }
+
+        const text = document.createElement('div');
+        text.className = 'content';
+        text.textContent = `${content.substring(0, 200)}${content.length > 200 ? '...' : ''}`;
+        postContent.appendChild(text);
+
+        if (context && context.textComplete === false) {
+            const truncated = document.createElement('div');
+            truncated.className = 'truncated';
+            truncated.textContent = 'Only the start of this post could be read.';
+            postContent.appendChild(truncated);
+        }
+    }
+
+    /**
+     * Fill the tone selector with the user's tones
+     */
+    async function loadTones() {
+        tones = await getTones();
+        toneSelect.innerHTML = '';
+        tones.forEach(tone => {
+            const option = document.createElement('option');
+            option.value = tone.id;
+            option.textContent = tone.label;
+            toneSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Send a message to the content script of the active tab
+     * @param {Object} message - Message to send
+     * @returns {Promise<Object>} The content script's response
+     */
+    async function sendToPage(message) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        return chrome.tabs.sendMessage(tab.id, message);
+    }
+
+    /**
+     * Show how many comments were posted against the pacing caps, and how
+     * long until the next one is allowed
+     */
+    async function loadUsage() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getPostingUsage' });
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'No response from extension background');
+            }
+            const usage = response.usage;
+
+            const parts = [
+                usage.dailyCap > 0 ? `Last 24 hours: ${usage.day} / ${usage.dailyCap}` : `Last 24 hours: ${usage.day}`,
+                usage.hourlyCap > 0 ? `last hour: ${usage.hour} / ${usage.hourlyCap}` : `last hour: ${usage.hour}`
+            ];
+            usageText.textContent = `Comments posted. ${parts.join(', ')}`;
+
+            const ratio = usage.dailyCap > 0 ? Math.min(usage.day / usage.dailyCap, 1) : 0;
+            usageFill.style.width = `${Math.round(ratio * 100)}%`;
+            usageFill.classList.toggle('full', ratio >= 1);
+
+            clearInterval(usageTimer);
+            if (usage.retryAt > Date.now()) {
+                const tick = () => {
+                    const remaining = usage.retryAt - Date.now();
+                    if (remaining <= 0) {
+                        clearInterval(usageTimer);
+                        usageWait.style.display = 'none';
+                        return;
+                    }
+                    const totalSeconds = Math.ceil(remaining / 1000);
+                    const minutes = Math.floor(totalSeconds / 60);
+                    const seconds = totalSeconds % 60;
+                    const wait = minutes >= 60
+                        ? `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+                        : `${minutes}:${String(seconds).padStart(2, '0')}`;
+                    usageWait.textContent = `${usage.reason} Next comment in ${wait}.`;
+                    usageWait.style.display = 'block';
+                };
+                usageTimer = setInterval(tick, 1000);
+                tick();
+            } else {
+                usageWait.style.display = 'none';
+            }
+
+            usageMeter.style.display = 'block';
+        } catch (error) {
+            logger.error('Error loading posting usage', error);
         }
-        previewHtml += `<div class="content">${content.substring(0, 200)}${content.length > 200 ? '...' : ''}</div>`;
-        
-        postContent.innerHTML = previewHtml;
     }
 
     /**
@@ -101,9 +186,12 @@ document.addEventListener('DOMContentLoaded', function() {
     function showLoading() {
         loading.style.display = 'block';
         commentBox.style.display = 'none';
+        variants.style.display = 'none';
         regenerateBtn.disabled = true;
         confirmBtn.disabled = true;
         error.style.display = 'none';
+        offlineNote.style.display = 'none';
+        safetyWarning.style.display = 'none';
     }
 
     /**
@@ -111,7 +199,9 @@ document.addEventListener('DOMContentLoaded', function() {
      */
     function hideLoading() {
         loading.style.display = 'none';
-        commentBox.style.display = 'block';
+        if (variants.style.display === 'none') {
+            commentBox.style.display = 'block';
+        }
         regenerateBtn.disabled = false;
         confirmBtn.disabled = false;
     }
@@ -126,9 +216,12 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     /**
-     * Generate a comment via the content script
+     * Generate a comment via the background worker
+     * @param {Object} options - Settings:
+     * @param {boolean} options.bypassCache - Generate anew even if the same
+     *     request was answered recently
      */
-    async function generateComment() {
+    async function generateComment(options = {}) {
         if (!currentPost) {
             showError('No post selected');
             return;
@@ -137,24 +230,41 @@ document.addEventListener('DOMContentLoaded', function() {
         showLoading();
 
         try {
-            // Get the current active tab
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            
-            // Send message to content script to generate comment
+            // Send message to the background worker to generate comment
             const hint = hintInput.value.trim();
+            const { generation } = await getSettings();
             
-            const response = await chrome.tabs.sendMessage(tab.id, {
+            const response = await chrome.runtime.sendMessage({
                 action: 'generateComment',
-                content: currentPost,
-                caption: currentCaption,
-                hint: hint
+                input: {
+                    content: currentPost,
+                    hint: hint,
+                    tone: tones.find(tone => tone.id === toneSelect.value),
+                    context: currentContext,
+                    postUrn: currentPostUrn,
+                    author: currentContext ? currentContext.author.name : '',
+                    ...currentIdentity
+                },
+                count: generation.variantCount,
+                bypassCache: !!options.bypassCache
             });
 
-            if (response.success && response.comment) {
-                currentComment = response.comment;
-                commentBox.value = currentComment;
+            if (response && response.success && response.comments.length > 1) {
+                showVariants(response.comments, response.historyIds);
+            } else if (response && response.success && response.comment) {
+                variants.style.display = 'none';
+                currentHistoryId = response.historyIds[0];
+                commentBox.value = response.comment;
+                commentBox.style.display = 'block';
+                copyBtn.style.display = 'inline-block';
+                confirmBtn.style.display = 'inline-block';
             } else {
-                showError(response.error || 'Failed to generate comment');
+                showError((response && response.error) || 'Failed to generate comment');
+            }
+
+            if (response && response.success && response.offlineReason) {
+                offlineNote.textContent = `Written offline: ${response.offlineReason} Read it through before posting.`;
+                offlineNote.style.display = 'block';
             }
             
             hideLoading();
@@ -165,24 +275,97 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    /**
+     * Show one card per generated candidate instead of the comment box
+     * @param {string[]} comments - Generated candidates
+     * @param {number[]} historyIds - History entry ids of the candidates
+     */
+    function showVariants(comments, historyIds) {
+        variants.innerHTML = '';
+        commentBox.style.display = 'none';
+        copyBtn.style.display = 'none';
+        confirmBtn.style.display = 'none';
+
+        comments.forEach((comment, index) => {
+            const card = document.createElement('div');
+            card.className = 'variant-card';
+
+            const label = document.createElement('div');
+            label.className = 'variant-label';
+            label.textContent = `Variant ${index + 1}`;
+
+            const text = document.createElement('div');
+            text.className = 'variant-text';
+            text.textContent = comment;
+
+            const actions = document.createElement('div');
+            actions.className = 'button-group';
+
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'button secondary-button';
+            copyBtn.textContent = 'Copy';
+            copyBtn.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(comment);
+                    recordVariantChoice(historyIds[index], 'copy');
+                    copyBtn.textContent = 'Copied!';
+                    setTimeout(() => {
+                        copyBtn.textContent = 'Copy';
+                    }, 2000);
+                } catch (error) {
+                    logger.error('Error copying to clipboard', error);
+                    showError('Failed to copy comment. Please try again.');
+                }
+            });
+
+            const insertBtn = document.createElement('button');
+            insertBtn.className = 'button primary-button';
+            insertBtn.textContent = insertionMode.id === 'submit' ? 'Post' : 'Insert';
+            insertBtn.addEventListener('click', () => {
+                insertComment(comment, insertBtn, historyIds[index]);
+            });
+
+            actions.appendChild(copyBtn);
+            actions.appendChild(insertBtn);
+            card.appendChild(label);
+            card.appendChild(text);
+            card.appendChild(actions);
+            variants.appendChild(card);
+        });
+
+        variants.style.display = 'flex';
+    }
+
+    /**
+     * Remember which candidate the user went with
+     * @param {number} historyId - History entry of the chosen candidate
+     * @param {string} action - 'copy' or 'insert'
+     */
+    function recordVariantChoice(historyId, action) {
+        chrome.runtime.sendMessage({
+            action: 'recordVariantChoice',
+            choice: { historyId, action }
+        }).catch(error => logger.error('Error recording variant choice', error));
+    }
+
     /**
      * Copy the generated comment to clipboard
      */
     async function copyCommentToClipboard() {
-        if (!currentComment) {
+        const comment = commentBox.value.trim();
+        if (!comment) {
             showError('No comment generated yet');
             return;
         }
 
         try {
-            await navigator.clipboard.writeText(currentComment);
-            
+            await navigator.clipboard.writeText(comment);
+            recordVariantChoice(currentHistoryId, 'copy');
+
             // Show success indication
-            const originalText = confirmBtn.textContent;
-            confirmBtn.textContent = 'Copied!';
-            
+            copyBtn.textContent = 'Copied!';
             setTimeout(() => {
-                confirmBtn.textContent = originalText;
+                copyBtn.textContent = 'Copy';
             }, 2000);
         } catch (error) {
             logger.error('Error copying to clipboard', error);
@@ -190,11 +373,233 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    /**
+     * Send a comment to the selected post on the page: insert it into the
+     * comment box or post it, depending on the insertion mode
+     * @param {string} comment - Comment text
+     * @param {HTMLButtonElement} button - Button that shows the progress
+     * @param {number} historyId - History entry of the comment, if it has one
+     * @param {boolean} acceptWarnings - Send even if safety checks warn, after
+     *     the user confirmed them
+     */
+    async function insertComment(comment, button, historyId, acceptWarnings = false) {
+        const originalText = button.textContent;
+        const submitting = insertionMode.id === 'submit';
+        button.disabled = true;
+        button.textContent = submitting ? 'Posting...' : 'Inserting...';
+        error.style.display = 'none';
+        safetyWarning.style.display = 'none';
+
+        try {
+            const response = await sendToPage({
+                action: 'applyComment',
+                comment,
+                historyId,
+                postUrn: currentPostUrn,
+                tone: tones.find(tone => tone.id === toneSelect.value),
+                hint: hintInput.value.trim(),
+                acceptWarnings
+            });
+
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'Failed to insert comment');
+            }
+
+            if (!response.applied) {
+                showSafetyWarnings(response.warnings, () => insertComment(comment, button, historyId, true));
+                button.textContent = originalText;
+                button.disabled = false;
+                return;
+            }
+
+            // Only count the choice once safety checks and pacing let it through
+            recordVariantChoice(historyId, response.mode === 'submit' ? 'post' : 'insert');
+
+            // Unless posted, the comment is now waiting in LinkedIn's comment box for review
+            button.textContent = response.mode === 'submit' ? 'Posted!' : 'Inserted!';
+            setTimeout(() => window.close(), 800);
+        } catch (error) {
+            logger.error('Error inserting comment', error);
+            showError(error.message);
+            button.textContent = originalText;
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Show safety warnings with a button that sends the comment anyway
+     * @param {string[]} warnings - Warning messages
+     * @param {Function} onAccept - Called when the user sends it anyway
+     */
+    function showSafetyWarnings(warnings, onAccept) {
+        safetyWarningList.innerHTML = '';
+        warnings.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            safetyWarningList.appendChild(item);
+        });
+
+        acceptWarningsBtn.textContent = insertionMode.id === 'submit' ? 'Post anyway' : 'Insert anyway';
+        acceptWarningsBtn.onclick = () => {
+            safetyWarning.style.display = 'none';
+            onAccept();
+        };
+        safetyWarning.style.display = 'block';
+    }
+
+    /**
+     * Switch between the Generate and History tabs
+     * @param {string} tabId - Id of the panel to show
+     */
+    function showTab(tabId) {
+        tabs.forEach(tab => {
+            const isActive = tab.dataset.tab === tabId;
+            tab.classList.toggle('active', isActive);
+            document.getElementById(tab.dataset.tab).style.display = isActive ? 'flex' : 'none';
+        });
+
+        if (tabId === 'historyTab') {
+            loadHistory();
+        }
+    }
+
+    /**
+     * Read the history filters from the form
+     * @returns {Object} Filters for searchHistory()
+     */
+    function readHistoryFilters() {
+        return {
+            query: historySearch.value.trim(),
+            tone: historyTone.value,
+            // Date inputs are local days; include the whole "to" day
+            from: historyFrom.value ? new Date(`${historyFrom.value}T00:00:00`).getTime() : null,
+            to: historyTo.value ? new Date(`${historyTo.value}T23:59:59.999`).getTime() : null,
+            postedOnly: historyPostedOnly.checked
+        };
+    }
+
+    /**
+     * Add tones seen in the history to the tone filter
+     * @param {Object[]} entries - History entries
+     */
+    function updateToneFilter(entries) {
+        const knownTones = new Set(Array.from(historyTone.options).map(option => option.value));
+        entries.forEach(entry => {
+            if (entry.tone && !knownTones.has(entry.tone)) {
+                knownTones.add(entry.tone);
+                const option = document.createElement('option');
+                option.value = entry.tone;
+                option.textContent = entry.tone;
+                historyTone.appendChild(option);
+            }
+        });
+    }
+
+    /**
+     * Search the history and render the results
+     */
+    async function loadHistory() {
+        try {
+            const entries = await searchHistory(readHistoryFilters());
+            updateToneFilter(entries);
+
+            historyList.innerHTML = '';
+            historySummary.textContent = `${entries.length} comment${entries.length === 1 ? '' : 's'}`;
+
+            entries.forEach(entry => {
+                const item = document.createElement('div');
+                item.className = 'history-entry';
+
+                const meta = document.createElement('div');
+                meta.className = 'history-meta';
+                meta.textContent = [
+                    new Date(entry.createdAt).toLocaleString(),
+                    entry.author,
+                    entry.tone
+                ].filter(Boolean).join(' · ');
+
+                if (entry.posted) {
+                    const posted = document.createElement('span');
+                    posted.className = 'history-posted';
+                    posted.textContent = ' · Posted';
+                    meta.appendChild(posted);
+                }
+
+                const comment = document.createElement('div');
+                comment.className = 'history-comment';
+                comment.textContent = entry.comment;
+
+                item.appendChild(meta);
+                item.appendChild(comment);
+                historyList.appendChild(item);
+            });
+        } catch (error) {
+            logger.error('Error loading history', error);
+            historySummary.textContent = 'Failed to load history.';
+        }
+    }
+
+    /**
+     * Download the filtered history as a file
+     * @param {string} format - 'csv' or 'json'
+     */
+    async function exportHistory(format) {
+        try {
+            const entries = await searchHistory(readHistoryFilters());
+            const text = format === 'csv' ? historyToCsv(entries) : historyToJson(entries);
+            const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `linkedin-comments-${new Date().toISOString().slice(0, 10)}.${format}`;
+            link.click();
+
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            logger.error('Error exporting history', error);
+            historySummary.textContent = 'Failed to export history.';
+        }
+    }
+
     // Event listeners
-    generateButton.addEventListener('click', () => generateComment());
-    useCommentButton.addEventListener('click', copyCommentToClipboard);
-    regenerateBtn.addEventListener('click', generateComment);
-    confirmBtn.addEventListener('click', copyCommentToClipboard);
+    tabs.forEach(tab => tab.addEventListener('click', () => showTab(tab.dataset.tab)));
+    historySearch.addEventListener('input', loadHistory);
+    historyTone.addEventListener('change', loadHistory);
+    historyFrom.addEventListener('change', loadHistory);
+    historyTo.addEventListener('change', loadHistory);
+    historyPostedOnly.addEventListener('change', loadHistory);
+    exportCsvBtn.addEventListener('click', () => exportHistory('csv'));
+    exportJsonBtn.addEventListener('click', () => exportHistory('json'));
+    regenerateBtn.addEventListener('click', () => generateComment({ bypassCache: true }));
+    copyBtn.addEventListener('click', copyCommentToClipboard);
+    confirmBtn.addEventListener('click', () => {
+        const comment = commentBox.value.trim();
+        if (!comment) {
+            showError('No comment generated yet');
+            return;
+        }
+        insertComment(comment, confirmBtn, currentHistoryId);
+    });
+    commentBox.addEventListener('keydown', (e) => {
+        // Ctrl+Enter (Cmd+Enter on Mac) does what the main button does
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            if (!confirmBtn.disabled && confirmBtn.style.display !== 'none') {
+                confirmBtn.click();
+            }
+        }
+    });
+    toneSelect.addEventListener('change', () => generateComment());
+    batchBtn.addEventListener('click', async () => {
+        try {
+            await sendToPage({ action: 'openBatchQueue' });
+            window.close();
+        } catch (error) {
+            logger.error('Error opening review queue', error);
+            showError('Failed to open the review queue. Please refresh LinkedIn and try again.');
+        }
+    });
     hintInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
             generateComment();
@@ -207,24 +612,32 @@ document.addEventListener('DOMContentLoaded', function() {
      */
     async function initialize() {
         try {
+            await loadTones();
+            loadUsage();
+
+            insertionMode = getInsertionMode(await getSettings());
+            confirmBtn.textContent = insertionMode.id === 'submit' ? 'Post' : 'Insert into Post';
+
             // Get the current active tab
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
             
             // Check if we're on LinkedIn
-            if (!tab.url.includes('linkedin.com')) {
+            if (!tab.url || !tab.url.includes('linkedin.com')) {
                 showError('Please navigate to LinkedIn to use this extension');
                 return;
             }
             
-            // Get the post content
-            const response = await chrome.tabs.sendMessage(tab.id, { 
+            // Get the post last clicked or nearest the center of the page
+            const response = await sendToPage({ 
                 action: 'getSelectedPost' 
             });
             
             if (response && response.success && response.content) {
                 currentPost = response.content;
-                currentCaption = response.caption;
-                updatePostPreview(currentPost, currentCaption);
+                currentContext = response.context || null;
+                currentPostUrn = response.postUrn || null;
+                currentIdentity = response.identity || {};
+                updatePostPreview(currentPost, currentContext);
                 generateComment(); // Auto-generate first comment
             } else {
                 updatePostPreview(null, null);
@@ -0,0 +1,57 @@
+/**
+ * LinkedIn Comment Generator - Privacy
+ *
+ * Cuts the commenting user's identity down to what the privacy mode allows
+ * before it goes out as user_info and unique_id with a generation request.
+ * Loaded by the content script, which applies it before a request leaves
+ * the page, and by the options page, which previews the result.
+ */
+
+/**
+ * Mixed into every hashed id so it does not match a plain hash of the
+ * profile slug
+ */
+const USER_ID_HASH_SALT = 'linkedin-comment-generator:';
+
+/**
+ * Hashes an identifier with SHA-256
+ * @param {string} value - Identifier to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashIdentifier(value) {
+    const data = new TextEncoder().encode(USER_ID_HASH_SALT + value.toLowerCase());
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Reduces user info to what the privacy mode allows
+ * @param {Object} userInfo - {id, email, name, profileUrl} as found on the page
+ * @param {Object} privacy - settings.privacy
+ * @returns {Promise<Object>} {id, email, name, profileUrl}; fields that may
+ *     not be sent are null
+ */
+async function applyPrivacyMode(userInfo, privacy) {
+    const shared = { id: null, email: null, name: null, profileUrl: null };
+
+    if (privacy.userInfo === 'full') {
+        return { ...shared, ...userInfo };
+    }
+
+    const identifier = userInfo.id || userInfo.profileUrl;
+    if (privacy.userInfo === 'hashed' && identifier) {
+        shared.id = await hashIdentifier(identifier);
+    }
+
+    return shared;
+}
+
+/**
+ * Builds the id a backend uses to tell user/post pairs apart
+ * @param {Object} userInfo - User info after applyPrivacyMode
+ * @param {string} postId - Post URN
+ * @returns {string} Unique id
+ */
+function buildUniqueId(userInfo, postId) {
+    return `${userInfo.profileUrl || userInfo.id || 'unknown'}_${postId}`;
+}
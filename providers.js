@@ -0,0 +1,407 @@
+/**
+ * LinkedIn Comment Generator - Provider Adapters
+ *
+ * Each adapter knows how to turn a generation input into an HTTP request
+ * for one kind of backend and how to read the comment back out of its
+ * response. Backend profiles pick an adapter by its key in PROVIDERS.
+ *
+ * Adapters that can stream declare a streamFormat ('sse' or 'ndjson') and
+ * a parseStreamEvent() that returns the text delta carried by one event.
+ *
+ * Generation input shape:
+ * {
+ *   content: string,   // Post text
+ *   hint: string,      // Optional user guidance
+ *   tone: Object,      // Full tone definition (see DEFAULT_TONES in settings.js)
+ *   persona: Object,   // Persona to write as (see DEFAULT_PERSONA), or null
+ *   context: Object,   // Author, media, poll, reshare and visible comments of
+ *                      // the post (see extractPostContext in content.js), or null
+ *   replyTo: Object    // {author, text} of the comment being replied to, or null
+ *   uniqueId: string,  // Stable id for the user/post pair
+ *   userInfo: Object,  // Information about the commenting user
+ *   licenseKey: string // License key of the linked account, or '' (see identity.js)
+ * }
+ */
+
+/**
+ * Builds the system and user prompts shared by the chat-style adapters
+ * @param {Object} input - Generation input
+ * @returns {{system: string, user: string}} Prompt parts
+ */
+function buildChatPrompt(input) {
+    const system = [
+        'You write comments for LinkedIn posts on behalf of the user.',
+        'Write a single comment that responds to the specific content of the post.',
+        'Keep it concise, natural and human; avoid generic praise and corporate filler.',
+        'Reply with the comment text only, without quotes or any preamble.'
+    ].join(' ');
+
+    const tone = input.tone || {};
+    const lines = [
+        `Tone: ${tone.label || tone.id || 'Professional'}`
+    ];
+    if (tone.instruction) {
+        lines.push(`Tone guidance: ${tone.instruction}`);
+    }
+    if (tone.lengthTarget) {
+        lines.push(`Length: about ${tone.lengthTarget} words.`);
+    }
+    if (tone.examples && tone.examples.length > 0) {
+        lines.push('Example comments in this tone (match the style, not the content):');
+        tone.examples.forEach(example => lines.push(`- ${example}`));
+    }
+    lines.push(...describePersona(input.persona));
+    if (input.hint) {
+        lines.push(`Guidance from the user: ${input.hint}`);
+    }
+    lines.push('', 'Post:', input.content);
+    lines.push(...describePostContext(input.context));
+    if (input.replyTo) {
+        lines.push(
+            '',
+            `Write a reply to this comment by ${input.replyTo.author || 'another member'}, not a comment on the post:`,
+            input.replyTo.text
+        );
+    }
+
+    return { system, user: lines.join('\n') };
+}
+
+/**
+ * Describes the persona the comment is written as, for chat prompts
+ * @param {Object|null} persona - Persona definition
+ * @returns {string[]} Prompt lines (none without a persona)
+ */
+function describePersona(persona) {
+    if (!persona) {
+        return [];
+    }
+
+    const who = [persona.role, persona.industry && `in ${persona.industry}`]
+        .filter(Boolean)
+        .join(' ');
+    const lines = [`Write as: ${who || persona.name}`];
+    if (persona.expertise && persona.expertise.length > 0) {
+        lines.push(`Areas of expertise: ${persona.expertise.join(', ')}`);
+    }
+    if (persona.phrasesToUse && persona.phrasesToUse.length > 0) {
+        lines.push(`Phrases this persona likes to use: ${persona.phrasesToUse.join('; ')}`);
+    }
+    if (persona.phrasesToAvoid && persona.phrasesToAvoid.length > 0) {
+        lines.push(`Never use these phrases: ${persona.phrasesToAvoid.join('; ')}`);
+    }
+    if (persona.writingSample) {
+        lines.push('Writing sample (match the voice, not the content):', persona.writingSample);
+    }
+    return lines;
+}
+
+/**
+ * Describes who wrote the post and what surrounds it, for chat prompts
+ * @param {Object|null} context - Post context
+ * @returns {string[]} Prompt lines (none without a context)
+ */
+function describePostContext(context) {
+    if (!context) {
+        return [];
+    }
+
+    const lines = [];
+    if (context.textComplete === false) {
+        lines.push('(The post text above is truncated; only its beginning could be read.)');
+    }
+    const author = context.author || {};
+    if (author.name) {
+        lines.push('', `Posted by: ${author.name}${author.headline ? ` (${author.headline})` : ''}`);
+    }
+    if (context.article && context.article.title) {
+        const article = context.article;
+        lines.push(`Shared article: ${article.title}${article.subtitle ? ` - ${article.subtitle}` : ''}${article.url ? ` (${article.url})` : ''}`);
+    }
+    (context.media || [])
+        .filter(item => item.description)
+        .forEach(item => lines.push(`Attached ${item.type}: ${item.description}`));
+    if (context.poll && context.poll.question) {
+        lines.push(`Poll: ${context.poll.question} Options: ${context.poll.options.join(' / ')}`);
+    }
+    if (context.reshared) {
+        lines.push(`Reshared post${context.reshared.author ? ` by ${context.reshared.author}` : ''}:`, context.reshared.text);
+    }
+    if (context.comments && context.comments.length > 0) {
+        lines.push('', 'Comments already on the post (do not repeat them):');
+        context.comments.forEach(comment => lines.push(`- ${comment.author || 'Someone'}: ${comment.text}`));
+    }
+    return lines;
+}
+
+/**
+ * Removes wrapping quotes and whitespace that models sometimes add
+ * @param {string} text - Raw generated text
+ * @returns {string} Cleaned comment
+ */
+function cleanGeneratedText(text) {
+    return String(text || '')
+        .trim()
+        .replace(/^["“](.*)["”]$/s, '$1')
+        .trim();
+}
+
+/**
+ * Adds the profile's custom auth header, if any, to a headers object
+ * @param {Object} headers - Headers to extend
+ * @param {Object} profile - Backend profile
+ * @returns {Object} The same headers object
+ */
+function applyCustomAuthHeader(headers, profile) {
+    if (profile.authHeaderName && profile.authHeaderValue) {
+        headers[profile.authHeaderName] = profile.authHeaderValue;
+    }
+    return headers;
+}
+
+/**
+ * Available provider adapters keyed by profile.provider
+ */
+const PROVIDERS = {
+    /**
+     * The original n8n webhook contract: the workflow builds the prompt
+     * server-side and answers with {comment}
+     */
+    n8n: {
+        label: 'n8n webhook',
+        defaultUrl: 'https://n8nautoflow.app/webhook/linkedin-comment',
+        requiresModel: false,
+        requiresApiKey: false,
+
+        // n8n "Respond to Webhook" streaming sends {type: 'item', content} lines
+        streamFormat: 'ndjson',
+
+        buildRequest(input, profile, options = {}) {
+            const userInfo = input.userInfo || {};
+            const tone = input.tone || {};
+            const persona = input.persona;
+            const context = input.context;
+            const body = {
+                hint: input.hint || '',
+                caption: input.content,
+                // Existing workflows switch on the tone name; the definition is extra
+                tone: tone.id || 'professional',
+                tone_definition: {
+                    label: tone.label || '',
+                    instruction: tone.instruction || '',
+                    examples: tone.examples || [],
+                    length_target: tone.lengthTarget || null
+                },
+                persona: persona ? {
+                    name: persona.name,
+                    role: persona.role,
+                    industry: persona.industry,
+                    expertise: persona.expertise,
+                    phrases_to_use: persona.phrasesToUse,
+                    phrases_to_avoid: persona.phrasesToAvoid,
+                    writing_sample: persona.writingSample
+                } : null,
+                post_context: context ? {
+                    text_complete: context.textComplete !== false,
+                    author: context.author,
+                    article: context.article,
+                    media: context.media,
+                    poll: context.poll,
+                    reshared: context.reshared,
+                    comments: context.comments
+                } : null,
+                reply_to: input.replyTo || null,
+                unique_id: input.uniqueId,
+                user_info: {
+                    id: userInfo.id || 'unknown',
+                    email: userInfo.email || 'unknown',
+                    name: userInfo.name || 'unknown',
+                    profile_url: userInfo.profileUrl || 'unknown'
+                }
+            };
+            if (input.licenseKey) {
+                body.license_key = input.licenseKey;
+            }
+            if (options.stream) {
+                body.stream = true;
+            }
+            return {
+                url: profile.url,
+                headers: applyCustomAuthHeader({ 'Content-Type': 'application/json' }, profile),
+                body
+            };
+        },
+
+        parseResponse(data) {
+            if (!data || !data.comment) {
+                throw new Error('API response missing comment field');
+            }
+            return cleanGeneratedText(data.comment);
+        },
+
+        parseStreamEvent(event) {
+            if (event.type === 'item') {
+                return event.content || '';
+            }
+            // Workflows that don't stream answer with a single {comment} line
+            return event.comment || '';
+        }
+    },
+
+    /**
+     * Any endpoint implementing the OpenAI chat completions API
+     */
+    openai: {
+        label: 'OpenAI-compatible',
+        defaultUrl: 'https://api.openai.com/v1/chat/completions',
+        requiresModel: true,
+        requiresApiKey: false,
+        streamFormat: 'sse',
+
+        buildRequest(input, profile, options = {}) {
+            const prompt = buildChatPrompt(input);
+            const headers = { 'Content-Type': 'application/json' };
+            if (profile.apiKey) {
+                headers.Authorization = `Bearer ${profile.apiKey}`;
+            }
+            return {
+                url: profile.url,
+                headers: applyCustomAuthHeader(headers, profile),
+                body: {
+                    model: profile.model,
+                    messages: [
+                        { role: 'system', content: prompt.system },
+                        { role: 'user', content: prompt.user }
+                    ],
+                    temperature: 0.8,
+                    stream: !!options.stream
+                }
+            };
+        },
+
+        parseResponse(data) {
+            const text = data && data.choices && data.choices[0] && data.choices[0].message
+                ? data.choices[0].message.content
+                : null;
+            if (!text) {
+                throw new Error('API response missing choices[0].message.content');
+            }
+            return cleanGeneratedText(text);
+        },
+
+        parseStreamEvent(event) {
+            const choice = event.choices && event.choices[0];
+            return (choice && choice.delta && choice.delta.content) || '';
+        }
+    },
+
+    /**
+     * Anthropic Messages API
+     */
+    anthropic: {
+        label: 'Anthropic-style',
+        defaultUrl: 'https://api.anthropic.com/v1/messages',
+        requiresModel: true,
+        requiresApiKey: true,
+        streamFormat: 'sse',
+
+        buildRequest(input, profile, options = {}) {
+            const prompt = buildChatPrompt(input);
+            const headers = {
+                'Content-Type': 'application/json',
+                'anthropic-version': '2023-06-01',
+                // Required for requests that originate from a browser context
+                'anthropic-dangerous-direct-browser-access': 'true'
+            };
+            if (profile.apiKey) {
+                headers['x-api-key'] = profile.apiKey;
+            }
+            return {
+                url: profile.url,
+                headers: applyCustomAuthHeader(headers, profile),
+                body: {
+                    model: profile.model,
+                    max_tokens: 400,
+                    system: prompt.system,
+                    messages: [
+                        { role: 'user', content: prompt.user }
+                    ],
+                    stream: !!options.stream
+                }
+            };
+        },
+
+        parseResponse(data) {
+            const blocks = data && Array.isArray(data.content) ? data.content : [];
+            const text = blocks
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+            if (!text) {
+                throw new Error('API response missing text content');
+            }
+            return cleanGeneratedText(text);
+        },
+
+        parseStreamEvent(event) {
+            if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+                return event.delta.text || '';
+            }
+            return '';
+        }
+    },
+
+    /**
+     * Local Ollama server (/api/chat). The server must allow the extension
+     * origin, e.g. OLLAMA_ORIGINS=chrome-extension://*
+     */
+    ollama: {
+        label: 'Ollama',
+        defaultUrl: 'http://localhost:11434/api/chat',
+        requiresModel: true,
+        requiresApiKey: false,
+        streamFormat: 'ndjson',
+
+        buildRequest(input, profile, options = {}) {
+            const prompt = buildChatPrompt(input);
+            return {
+                url: profile.url,
+                headers: applyCustomAuthHeader({ 'Content-Type': 'application/json' }, profile),
+                body: {
+                    model: profile.model,
+                    stream: !!options.stream,
+                    messages: [
+                        { role: 'system', content: prompt.system },
+                        { role: 'user', content: prompt.user }
+                    ]
+                }
+            };
+        },
+
+        parseResponse(data) {
+            const text = data && data.message ? data.message.content : null;
+            if (!text) {
+                throw new Error('API response missing message.content');
+            }
+            return cleanGeneratedText(text);
+        },
+
+        parseStreamEvent(event) {
+            return (event.message && event.message.content) || '';
+        }
+    }
+};
+
+/**
+ * Looks up the adapter for a backend profile
+ * @param {Object} profile - Backend profile
+ * @returns {Object} Provider adapter
+ * @throws {Error} If the profile names an unknown provider
+ */
+function getProviderAdapter(profile) {
+    const adapter = PROVIDERS[profile.provider];
+    if (!adapter) {
+        throw new Error(`Unknown provider "${profile.provider}" in profile "${profile.name}"`);
+    }
+    return adapter;
+}
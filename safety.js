@@ -0,0 +1,137 @@
+/**
+ * LinkedIn Comment Generator - Pre-post Safety Checks
+ *
+ * Local checks run on a comment before it is posted. Loaded by the
+ * background worker, which has the comment history needed to spot
+ * duplicates, and by the options page, which lists the checks.
+ *
+ * Each check is set to 'off', 'warn' (the user can post anyway) or
+ * 'block' (the comment cannot be posted until it is edited).
+ */
+
+/**
+ * Available checks in display order
+ */
+const SAFETY_CHECKS = [
+    {
+        id: 'errorText',
+        label: 'Error messages instead of a comment',
+        run(text) {
+            // Anchored to the start, so comments that mention a failure still pass
+            const patterns = [
+                /^error:/i,
+                /^could not generate (a )?comment/i,
+                /^failed to generate/i,
+                /^api response missing/i,
+                /^analyzing post\.\.\.$/i
+            ];
+            return patterns.some(pattern => pattern.test(text.trim()))
+                ? 'This looks like an error message, not a comment.'
+                : null;
+        }
+    },
+    {
+        id: 'placeholders',
+        label: 'Leftover template placeholders',
+        run(text) {
+            const match = text.match(/\{\{?\s*[\w.]+\s*\}\}?|\[(?:insert|your|name|company|topic)[^\]]*\]|<[A-Z_]{3,}>/i);
+            return match ? `Contains the placeholder "${match[0]}".` : null;
+        }
+    },
+    {
+        id: 'bannedWords',
+        label: 'Banned words',
+        run(text, options) {
+            const lower = text.toLowerCase();
+            const found = options.bannedWords.filter(word => {
+                const escaped = word.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return word && new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(lower);
+            });
+            return found.length > 0 ? `Contains banned words: ${found.join(', ')}.` : null;
+        }
+    },
+    {
+        id: 'duplicates',
+        label: 'Repeats a recent comment',
+        run(text, options) {
+            const words = toWordSet(text);
+            const duplicate = options.recentComments.find(comment => wordSimilarity(words, toWordSet(comment)) >= 0.8);
+            return duplicate ? `Nearly identical to a comment you posted recently: "${duplicate.slice(0, 80)}".` : null;
+        }
+    },
+    {
+        id: 'length',
+        label: 'Too long',
+        run(text, options) {
+            return text.length > options.maxLength
+                ? `${text.length} characters; the limit is ${options.maxLength}.`
+                : null;
+        }
+    },
+    {
+        id: 'mentions',
+        label: '@mentions',
+        run(text) {
+            const mentions = text.match(/(^|\s)@[\p{L}\p{N}_.-]+/gu);
+            return mentions ? `Mentions ${mentions.map(mention => mention.trim()).join(', ')}.` : null;
+        }
+    },
+    {
+        id: 'links',
+        label: 'Links',
+        run(text) {
+            const link = text.match(/https?:\/\/\S+|www\.\S+|\b[\w-]+\.(?:com|io|net|org|co|ai|app|dev)\b\S*/i);
+            return link ? `Contains the link "${link[0]}".` : null;
+        }
+    }
+];
+
+/**
+ * Splits text into a set of lowercase words
+ * @param {string} text - Text to split
+ * @returns {Set<string>} Words
+ */
+function toWordSet(text) {
+    return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+}
+
+/**
+ * Jaccard similarity of two word sets
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} 0 (nothing shared) to 1 (same words)
+ */
+function wordSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let shared = 0;
+    a.forEach(word => {
+        if (b.has(word)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Runs the enabled checks on a comment
+ * @param {string} text - Comment about to be posted
+ * @param {Object} safety - settings.safety
+ * @param {string[]} recentComments - Comments posted recently, for the duplicate check
+ * @returns {{id: string, label: string, mode: string, message: string}[]} Problems found;
+ *     mode is 'warn' or 'block'
+ */
+function runSafetyChecks(text, safety, recentComments) {
+    const options = { ...safety, recentComments };
+    const issues = [];
+
+    SAFETY_CHECKS.forEach(check => {
+        const mode = safety.checks[check.id] || 'off';
+        if (mode === 'off') return;
+
+        const message = check.run(String(text || ''), options);
+        if (message) {
+            issues.push({ id: check.id, label: check.label, mode, message });
+        }
+    });
+
+    return issues;
+}
@@ -0,0 +1,584 @@
+/**
+ * LinkedIn Comment Generator - Selector Registry
+ *
+ * Every CSS selector used to find things on LinkedIn pages, in one place.
+ * LinkedIn changes its markup often; when it does, the lists here are the
+ * only thing to update. Users can also override single groups from the
+ * options page (typed in or loaded from a JSON file) without waiting for a
+ * release. Loaded by the content script, which reads the selectors and runs
+ * the self-test, and by the options page, which edits the overrides.
+ *
+ * Each group is tried in order, most specific selector first:
+ * {
+ *   description: string,   // What the selectors find
+ *   scope: 'page'|'post',  // Searched in the whole page or inside each feed post
+ *   required: boolean,     // Whether the self-test flags the group when nothing matches
+ *   pages: string[],       // Optional: page types the group exists on (see getLinkedInPageType)
+ *   selectors: string[]
+ * }
+ */
+
+/**
+ * Version of the built-in selectors. Raised whenever they are updated for a
+ * LinkedIn change, so overrides written for older markup can be spotted.
+ */
+const SELECTOR_REGISTRY_VERSION = 1;
+
+/**
+ * Storage key of the user's overrides: {version, selectors: {group: string[]}}
+ */
+const SELECTOR_OVERRIDES_STORAGE_KEY = 'selectorOverrides';
+
+/**
+ * Built-in selector groups
+ */
+const DEFAULT_SELECTORS = {
+    feedPost: {
+        description: 'Whole posts in the feed',
+        scope: 'page',
+        required: true,
+        pages: ['feed'],
+        selectors: ['.feed-shared-update-v2', '.occludable-update']
+    },
+    buttonHost: {
+        description: 'Posts, or parts of posts, that can carry the generate button',
+        scope: 'page',
+        required: true,
+        pages: ['feed'],
+        selectors: [
+            '.feed-shared-update-v2',
+            '.occludable-update',
+            '.feed-shared-article',
+            '.feed-shared-update',
+            '.update-components-actor',
+            '.update-components-article',
+            '.update-components-image',
+            '.feed-shared-external-video',
+            '.feed-shared-text'
+        ]
+    },
+    buttonOwner: {
+        description: 'Post a generate button belongs to, used to remove duplicate buttons',
+        scope: 'page',
+        required: false,
+        selectors: ['.feed-shared-update-v2', '.occludable-update', '[data-urn]', '.feed-shared-update', '.artdeco-card']
+    },
+    actionBar: {
+        description: 'Like / Comment / Repost toolbar of a post',
+        scope: 'post',
+        required: true,
+        selectors: [
+            '.feed-shared-social-actions',
+            '.social-details-social-actions',
+            '.update-v2-social-actions',
+            '.feed-shared-social-action-bar',
+            '.artdeco-card__actions',
+            '.feed-shared-social-counts'
+        ]
+    },
+    commentButton: {
+        description: 'Comment button of a post',
+        scope: 'post',
+        required: true,
+        selectors: [
+            'button[aria-label*="comment" i]',
+            'button.comment-button',
+            '[aria-label*="Comment" i][role="button"]',
+            '.comment-button',
+            '[data-control-name="comment"]'
+        ]
+    },
+    commentSection: {
+        description: 'Comment area of a post',
+        scope: 'post',
+        required: false,
+        selectors: ['.comments-comment-box', '.comments-comment-texteditor', '.feed-shared-comment-box']
+    },
+    commentEditor: {
+        description: 'Comment and reply editors (only while one is open)',
+        scope: 'page',
+        required: false,
+        selectors: [
+            '.ql-editor[contenteditable="true"]',
+            'div[data-placeholder="Add a comment…"]',
+            '.comments-comment-texteditor div[contenteditable="true"]',
+            '.comments-comment-box__form div[contenteditable="true"]',
+            'div[role="textbox"][contenteditable="true"]'
+        ]
+    },
+    mentionTypeahead: {
+        description: 'Suggestion list opened by typing @ in an editor',
+        scope: 'page',
+        required: false,
+        selectors: [
+            '.editor-typeahead-fetch',
+            '.ql-mention-list-container',
+            '[role="listbox"][id*="typeahead"]'
+        ]
+    },
+    mentionOption: {
+        description: 'People listed in the mention suggestion list',
+        scope: 'page',
+        required: false,
+        selectors: ['[role="option"]', '.ql-mention-list-item']
+    },
+    mentionEntity: {
+        description: 'Mentions resolved to a member or company inside an editor',
+        scope: 'page',
+        required: false,
+        selectors: ['a.ql-mention', 'span.ql-mention', '[data-entity-urn]']
+    },
+    commentForm: {
+        description: 'Form around an open comment editor',
+        scope: 'page',
+        required: false,
+        selectors: ['form', '.comments-comment-box', '.comments-comment-box__form']
+    },
+    submitButton: {
+        description: 'Post / Reply button of an open editor',
+        scope: 'page',
+        required: false,
+        selectors: [
+            'button.comments-comment-box__submit-button--cr',
+            'button.comments-comment-box__submit-button',
+            'form.comments-comment-box__form button[type="submit"]',
+            'button[aria-label*="Post" i]',
+            'button[aria-label*="Reply" i][type="submit"]',
+            'button.artdeco-button--primary[type="submit"]'
+        ]
+    },
+    replyButton: {
+        description: 'Reply action of a comment',
+        scope: 'post',
+        required: false,
+        selectors: [
+            'button.comments-comment-social-bar__reply-action-button',
+            'button.comments-comment-social-bar__reply-action-button--cr',
+            'button[aria-label^="Reply" i]'
+        ]
+    },
+    commentActionBar: {
+        description: 'Like / Reply toolbar of a comment',
+        scope: 'post',
+        required: false,
+        selectors: ['.comments-comment-social-bar', '.comments-comment-social-bar--cr']
+    },
+    author: {
+        description: 'Name of the post author',
+        scope: 'post',
+        required: true,
+        selectors: [
+            '.update-components-actor__title span[aria-hidden="true"]',
+            '.update-components-actor__name span[aria-hidden="true"]',
+            '.feed-shared-actor__name',
+            '.update-components-actor__name'
+        ]
+    },
+    authorHeadline: {
+        description: 'Headline under the author name',
+        scope: 'post',
+        required: false,
+        selectors: [
+            '.update-components-actor__description span[aria-hidden="true"]',
+            '.update-components-actor__description',
+            '.feed-shared-actor__description'
+        ]
+    },
+    authorLink: {
+        description: 'Link to the author profile',
+        scope: 'post',
+        required: true,
+        selectors: [
+            'a.update-components-actor__meta-link',
+            'a.update-components-actor__image',
+            'a.feed-shared-actor__container-link'
+        ]
+    },
+    postAge: {
+        description: 'Age of the post ("3h", "2d")',
+        scope: 'post',
+        required: false,
+        selectors: [
+            '.update-components-actor__sub-description span[aria-hidden="true"]',
+            '.update-components-actor__sub-description',
+            '.feed-shared-actor__sub-description'
+        ]
+    },
+    postText: {
+        description: 'Commentary of a post',
+        scope: 'post',
+        required: true,
+        selectors: [
+            '.feed-shared-update-v2__description-wrapper',
+            '.feed-shared-text__text-view',
+            '.update-components-text',
+            '.feed-shared-inline-show-more-text',
+            '.feed-shared-text-view',
+            '.feed-shared-update-v2__commentary',
+            '.update-components-article__title',
+            '.update-components-article__description',
+            '.feed-shared-external-video__description'
+        ]
+    },
+    contentCheck: {
+        description: 'Text that makes a post worth commenting on',
+        scope: 'post',
+        required: true,
+        selectors: [
+            '.feed-shared-update-v2__description-wrapper',
+            '.feed-shared-text__text-view',
+            '.update-components-text',
+            '.feed-shared-inline-show-more-text',
+            '.feed-shared-text-view',
+            '.feed-shared-actor__description',
+            '.update-components-actor__description',
+            '.update-components-article__title',
+            '.update-components-article__description',
+            '.feed-shared-external-video__description',
+            '.feed-shared-update-v2__commentary'
+        ]
+    },
+    mediaCheck: {
+        description: 'Media that makes a post worth commenting on without text',
+        scope: 'post',
+        required: false,
+        selectors: [
+            'img.feed-shared-image',
+            '.feed-shared-image__container',
+            '.feed-shared-linkedin-video',
+            '.feed-shared-external-video',
+            '.feed-shared-mini-article',
+            '.feed-shared-article__preview-image'
+        ]
+    },
+    showMore: {
+        description: 'Truncated commentary',
+        scope: 'post',
+        required: false,
+        selectors: ['.feed-shared-inline-show-more-text']
+    },
+    seeMoreButton: {
+        description: '"…see more" toggle inside truncated commentary',
+        scope: 'post',
+        required: false,
+        selectors: ['.feed-shared-inline-show-more-text__see-more-less-toggle', '.see-more', 'button[aria-label*="more" i]']
+    },
+    article: {
+        description: 'Shared link preview',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-article', '.feed-shared-article']
+    },
+    articleTitle: {
+        description: 'Title of a shared link',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-article__title', '.feed-shared-article__title']
+    },
+    articleSubtitle: {
+        description: 'Subtitle of a shared link',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-article__subtitle', '.feed-shared-article__subtitle']
+    },
+    images: {
+        description: 'Attached images',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-image img', '.feed-shared-image img']
+    },
+    video: {
+        description: 'Attached videos',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-linkedin-video', '.feed-shared-linkedin-video', '.update-components-external-video']
+    },
+    document: {
+        description: 'Attached documents',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-document__container', '.feed-shared-document']
+    },
+    poll: {
+        description: 'Polls',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-poll', '.feed-shared-poll']
+    },
+    pollQuestion: {
+        description: 'Poll question',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-poll__question', '.feed-shared-poll__question']
+    },
+    pollOption: {
+        description: 'Poll options',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-poll-option__text', '.feed-shared-poll-option__text', '.update-components-poll-option']
+    },
+    reshared: {
+        description: 'Post being reshared',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-mini-update-v2', '.feed-shared-update-v2__update-content-wrapper']
+    },
+    resharedText: {
+        description: 'Commentary of a reshared post',
+        scope: 'post',
+        required: false,
+        selectors: ['.update-components-text', '.feed-shared-text']
+    },
+    hashtagLink: {
+        description: 'Hashtag links',
+        scope: 'post',
+        required: false,
+        selectors: ['a[href*="/hashtag/"]']
+    },
+    reactionsCount: {
+        description: 'Reaction count of a post',
+        scope: 'post',
+        required: false,
+        selectors: [
+            '.social-details-social-counts__reactions-count',
+            '.social-details-social-counts__social-proof-fallback-number'
+        ]
+    },
+    comment: {
+        description: 'Comments and replies under a post',
+        scope: 'post',
+        required: false,
+        selectors: ['.comments-comment-item', '.comments-comment-entity']
+    },
+    commentAuthor: {
+        description: 'Name of a comment author',
+        scope: 'post',
+        required: false,
+        selectors: ['.comments-post-meta__name-text', '.comments-comment-meta__description-title']
+    },
+    commentText: {
+        description: 'Text of a comment',
+        scope: 'post',
+        required: false,
+        selectors: ['.comments-comment-item__main-content', '.comments-comment-item-content-body', '.update-components-text']
+    },
+    nested: {
+        description: 'Regions inside a post that are not its own commentary',
+        scope: 'post',
+        required: false,
+        selectors: [
+            '.comments-comments-list',
+            '.comments-comment-item',
+            '.comments-comment-entity',
+            '.update-components-mini-update-v2',
+            '.feed-shared-update-v2__update-content-wrapper',
+            '.linkedin-comment-generator-ui'
+        ]
+    }
+};
+
+/**
+ * Selector lists in use: the built-in ones with the user's overrides applied
+ */
+let activeSelectors = buildActiveSelectors(null);
+
+/**
+ * Version the current overrides were written for, or null without overrides
+ */
+let activeOverridesVersion = null;
+
+/**
+ * Tells whether a string is a selector the browser accepts
+ * @param {string} selector - Selector to check
+ * @returns {boolean} Whether it is valid
+ */
+function isValidSelector(selector) {
+    if (typeof selector !== 'string' || !selector.trim()) {
+        return false;
+    }
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks overrides before they are saved
+ * @param {Object} overrides - {version, selectors: {group: string[]}}
+ * @returns {string[]} Problems found (empty if the overrides can be used)
+ */
+function validateSelectorOverrides(overrides) {
+    const problems = [];
+    if (!overrides || !overrides.selectors || typeof overrides.selectors !== 'object' || Array.isArray(overrides.selectors)) {
+        return [`Expected an object like {"version": ${SELECTOR_REGISTRY_VERSION}, "selectors": {"commentEditor": ["..."]}}.`];
+    }
+
+    for (const [group, selectors] of Object.entries(overrides.selectors)) {
+        if (!DEFAULT_SELECTORS[group]) {
+            problems.push(`Unknown selector group "${group}".`);
+        } else if (!Array.isArray(selectors) || selectors.length === 0) {
+            problems.push(`"${group}" must be a non-empty list of selectors.`);
+        } else {
+            selectors.filter(selector => !isValidSelector(selector)).forEach(selector => {
+                problems.push(`"${group}" has an invalid selector: ${selector}`);
+            });
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Applies overrides to the built-in selectors. Unknown groups and invalid
+ * selectors are ignored so a bad override can't break the page.
+ * @param {Object|null} overrides - {version, selectors: {group: string[]}}
+ * @returns {Object} Selector lists by group
+ */
+function buildActiveSelectors(overrides) {
+    const selectors = {};
+    for (const [group, entry] of Object.entries(DEFAULT_SELECTORS)) {
+        const override = overrides && overrides.selectors && overrides.selectors[group];
+        const valid = Array.isArray(override) ? override.filter(isValidSelector) : [];
+        selectors[group] = valid.length > 0 ? valid : entry.selectors;
+    }
+    return selectors;
+}
+
+/**
+ * Returns the selectors of a group, to try one at a time in order
+ * @param {string} group - Group name (see DEFAULT_SELECTORS)
+ * @returns {string[]} Selectors
+ */
+function getSelectors(group) {
+    return activeSelectors[group];
+}
+
+/**
+ * Returns the selectors of a group as one selector list
+ * @param {string} group - Group name (see DEFAULT_SELECTORS)
+ * @returns {string} Comma-separated selector
+ */
+function getSelector(group) {
+    return activeSelectors[group].join(', ');
+}
+
+/**
+ * Reads the user's overrides
+ * @returns {Promise<Object|null>} Overrides, or null if none are saved
+ */
+async function getSelectorOverrides() {
+    const { [SELECTOR_OVERRIDES_STORAGE_KEY]: overrides } = await chrome.storage.local.get(SELECTOR_OVERRIDES_STORAGE_KEY);
+    return overrides || null;
+}
+
+/**
+ * Saves the user's overrides, or removes them when null
+ * @param {Object|null} overrides - {version, selectors: {group: string[]}}
+ * @returns {Promise<void>}
+ */
+async function saveSelectorOverrides(overrides) {
+    if (!overrides) {
+        await chrome.storage.local.remove(SELECTOR_OVERRIDES_STORAGE_KEY);
+        return;
+    }
+    await chrome.storage.local.set({ [SELECTOR_OVERRIDES_STORAGE_KEY]: overrides });
+}
+
+/**
+ * Loads the overrides and keeps them current when they change in the options
+ * @param {Object} logger - The caller's logger ({log, error})
+ */
+function watchSelectorOverrides(logger) {
+    const apply = (overrides) => {
+        activeSelectors = buildActiveSelectors(overrides);
+        activeOverridesVersion = overrides ? overrides.version || null : null;
+    };
+
+    getSelectorOverrides()
+        .then(apply)
+        .catch(error => logger.error('Error loading selector overrides', error));
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[SELECTOR_OVERRIDES_STORAGE_KEY]) {
+            apply(changes[SELECTOR_OVERRIDES_STORAGE_KEY].newValue || null);
+        }
+    });
+}
+
+/**
+ * Tells what kind of LinkedIn page a URL shows
+ * @param {string} url - Page URL
+ * @returns {string} 'feed', 'post' (a single post), 'profile' or 'other'
+ */
+function getLinkedInPageType(url) {
+    const { pathname } = new URL(url);
+    if (/^\/feed\/?$/.test(pathname)) return 'feed';
+    if (/^\/(feed\/update|posts)\//.test(pathname)) return 'post';
+    if (/^\/in\//.test(pathname)) return 'profile';
+    return 'other';
+}
+
+/**
+ * Tries every selector on the current page
+ * @returns {Object} Report:
+ * {
+ *   version: number,                 // Built-in registry version
+ *   overridesVersion: number|null,   // Version the overrides were written for
+ *   pageType: string,                // See getLinkedInPageType
+ *   postsFound: number,              // Feed posts the 'post' groups were tried in
+ *   groups: [{
+ *     group, description, required, overridden,
+ *     status: 'ok'|'broken'|'unseen'|'notApplicable',
+ *                                    // unseen: optional group with no match here;
+ *                                    // notApplicable: not expected on this page type
+ *     selectors: [{selector, matches}]
+ *   }],
+ *   broken: string[]                 // Required groups with no match
+ * }
+ */
+function runSelectorSelfTest() {
+    const pageType = getLinkedInPageType(window.location.href);
+    const posts = Array.from(document.querySelectorAll(getSelector('feedPost')));
+
+    const groups = Object.entries(DEFAULT_SELECTORS).map(([group, entry]) => {
+        const roots = entry.scope === 'post' ? posts : [document];
+        const selectors = getSelectors(group).map(selector => ({
+            selector,
+            matches: roots.reduce((total, root) => total + root.querySelectorAll(selector).length, 0)
+        }));
+
+        const matched = selectors.some(result => result.matches > 0);
+        // Post groups can't be judged on pages without posts
+        const testable = entry.scope === 'page' || posts.length > 0;
+        const applicable = !entry.pages || entry.pages.includes(pageType);
+
+        let status = 'unseen';
+        if (matched) {
+            status = 'ok';
+        } else if (!applicable) {
+            status = 'notApplicable';
+        } else if (entry.required && testable) {
+            status = 'broken';
+        }
+
+        return {
+            group,
+            description: entry.description,
+            required: entry.required,
+            overridden: activeSelectors[group] !== entry.selectors,
+            status,
+            selectors
+        };
+    });
+
+    return {
+        version: SELECTOR_REGISTRY_VERSION,
+        overridesVersion: activeOverridesVersion,
+        pageType,
+        postsFound: posts.length,
+        groups,
+        broken: groups.filter(result => result.status === 'broken').map(result => result.group)
+    };
+}
@@ -0,0 +1,541 @@
+/**
+ * LinkedIn Comment Generator - Shared Settings
+ *
+ * Loaded by the content script, the background worker, the options page
+ * and the popup. Settings are kept in chrome.storage.local and read at call
+ * time, so changes made on the options page apply without reloading LinkedIn.
+ * Tones and personas are kept in chrome.storage.sync so they follow the user
+ * across browsers.
+ */
+
+/**
+ * Storage key under which all user settings are saved
+ */
+const SETTINGS_STORAGE_KEY = 'settings';
+
+/**
+ * Field defaults for a backend profile
+ */
+const DEFAULT_PROFILE = {
+    id: 'default',
+    name: 'Default',
+
+    /**
+     * Key of the adapter in PROVIDERS (n8n, openai, anthropic, ollama)
+     */
+    provider: 'n8n',
+
+    /**
+     * Endpoint that receives generation requests
+     */
+    url: 'https://n8nautoflow.app/webhook/linkedin-comment',
+
+    /**
+     * Model name for chat-style providers
+     */
+    model: '',
+
+    /**
+     * API key for providers that authenticate with one
+     */
+    apiKey: '',
+
+    /**
+     * Optional extra header sent with every request (e.g. for a proxy)
+     */
+    authHeaderName: '',
+    authHeaderValue: '',
+
+    /**
+     * Timeout for a single request in milliseconds
+     */
+    timeoutMs: 10000,
+
+    /**
+     * Maximum number of retries after a failed request
+     */
+    maxRetries: 2,
+
+    /**
+     * Ask the provider to stream tokens into the inline comment box
+     */
+    stream: false
+};
+
+/**
+ * Default settings used when nothing has been saved yet
+ */
+const DEFAULT_SETTINGS = {
+    activeProfileId: DEFAULT_PROFILE.id,
+    profiles: [DEFAULT_PROFILE],
+
+    /**
+     * Persona used when generating, or '' to comment without one
+     */
+    activePersonaId: '',
+
+    generation: {
+        /**
+         * Number of candidate comments generated per request (1-5)
+         */
+        variantCount: 1
+    },
+
+    cache: {
+        /**
+         * How long generated comments are reused when the same post is
+         * opened again with the same tone, hint and persona (0 = never)
+         */
+        ttlMinutes: 30
+    },
+
+    offline: {
+        /**
+         * When comments are written on this device instead of by the backend
+         * (see OFFLINE_MODES)
+         */
+        mode: 'fallback'
+    },
+
+    insertion: {
+        /**
+         * What sending a comment to LinkedIn does, from the comment panel, the
+         * popup or Ctrl+Enter (see INSERTION_MODES)
+         */
+        mode: 'submit',
+
+        /**
+         * What happens to text already in the comment box: 'replace' clears
+         * it, 'append' adds the comment after it
+         */
+        existingText: 'replace'
+    },
+
+    batch: {
+        /**
+         * Number of feed posts drafted per batch
+         */
+        size: 5,
+
+        /**
+         * Random pause between two batch posts, in seconds
+         */
+        minDelaySeconds: 45,
+        maxDelaySeconds: 120
+    },
+
+    relevance: {
+        /**
+         * Words or phrases that make a post more relevant
+         */
+        keywords: [],
+
+        /**
+         * Hashtags (without #) that make a post more relevant
+         */
+        hashtags: [],
+
+        /**
+         * Author names whose posts are always worth a look, and ones to ignore
+         */
+        watchedAuthors: [],
+        blockedAuthors: [],
+
+        /**
+         * Posts with fewer reactions, or older than this many hours, score lower (0 = no limit)
+         */
+        minReactions: 0,
+        maxAgeHours: 0,
+
+        /**
+         * Hide the generate button on low-relevance and blocked posts
+         */
+        hideLowRelevance: false
+    },
+
+    safety: {
+        /**
+         * Mode of each pre-post check (see SAFETY_CHECKS): 'off', 'warn' or 'block'
+         */
+        checks: {
+            errorText: 'block',
+            placeholders: 'block',
+            bannedWords: 'block',
+            duplicates: 'warn',
+            length: 'warn',
+            mentions: 'warn',
+            links: 'warn'
+        },
+
+        bannedWords: [],
+
+        /**
+         * LinkedIn rejects comments longer than 1,250 characters
+         */
+        maxLength: 1250,
+
+        /**
+         * How far back posted comments count as recent for the duplicate check
+         */
+        duplicateLookbackDays: 30
+    },
+
+    engagement: {
+        /**
+         * Warn once this many comments were posted on the same post (0 = never)
+         */
+        maxCommentsPerPost: 1,
+
+        /**
+         * Warn once this many comments were posted on one author's posts
+         * within authorWindowDays (0 = never)
+         */
+        maxCommentsPerAuthor: 3,
+        authorWindowDays: 7
+    },
+
+    pacing: {
+        /**
+         * Most comments posted in any 24 hours, and in any hour (0 = no cap)
+         */
+        dailyCap: 25,
+        hourlyCap: 8,
+
+        /**
+         * Minimum gap between two posts, plus a random extra of up to jitterSeconds
+         */
+        minIntervalSeconds: 60,
+        jitterSeconds: 60
+    },
+
+    privacy: {
+        /**
+         * How much of the user's LinkedIn identity goes out with each
+         * request (see PRIVACY_MODES)
+         */
+        userInfo: 'hashed',
+
+        /**
+         * Open LinkedIn's "Me" menu when the profile link is not on the page
+         */
+        allowMeMenu: false,
+
+        /**
+         * Identify the browser from its user agent and screen size when no
+         * LinkedIn id can be found
+         */
+        allowFingerprint: false
+    }
+};
+
+/**
+ * Upper bound for generation.variantCount
+ */
+const MAX_VARIANT_COUNT = 5;
+
+/**
+ * When the offline generator (offline.js) writes comments:
+ * 'off' never, so a failed request shows an error,
+ * 'fallback' when the backend cannot be reached or fails,
+ * 'always' for every request, without calling the backend
+ */
+const OFFLINE_MODES = [
+    { id: 'off', label: 'Never (show an error)' },
+    { id: 'fallback', label: 'When the backend fails' },
+    { id: 'always', label: 'Always (do not call the backend)' }
+];
+
+/**
+ * Ways a comment can be sent to LinkedIn:
+ * 'insert' fills the comment box and leaves the page as it is,
+ * 'focus' also scrolls to the box and puts the cursor at the end of the text,
+ * 'submit' fills the box and posts the comment
+ */
+const INSERTION_MODES = [
+    { id: 'insert', label: 'Insert only', buttonLabel: 'Insert' },
+    { id: 'focus', label: 'Insert and focus', buttonLabel: 'Insert' },
+    { id: 'submit', label: 'Insert and submit', buttonLabel: 'Comment' }
+];
+
+/**
+ * Returns the insertion mode in use
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Object} Entry of INSERTION_MODES
+ */
+function getInsertionMode(settings) {
+    return INSERTION_MODES.find(mode => mode.id === settings.insertion.mode) ||
+        INSERTION_MODES.find(mode => mode.id === DEFAULT_SETTINGS.insertion.mode);
+}
+
+/**
+ * What privacy.userInfo can be set to
+ */
+const PRIVACY_MODES = [
+    { id: 'none', label: 'Send nothing' },
+    { id: 'hashed', label: 'Send a hashed ID' },
+    { id: 'full', label: 'Send full profile' }
+];
+
+/**
+ * Upper bound for batch.size
+ */
+const MAX_BATCH_SIZE = 20;
+
+/**
+ * Merges stored settings over the defaults
+ * @param {Object} stored - Settings read from storage
+ * @returns {Object} Complete settings object
+ */
+function mergeSettings(stored) {
+    const merged = {};
+    for (const [key, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+        const value = stored ? stored[key] : undefined;
+        if (value === undefined) {
+            merged[key] = JSON.parse(JSON.stringify(defaults));
+        } else if (Array.isArray(defaults)) {
+            merged[key] = value;
+        } else if (defaults && typeof defaults === 'object') {
+            merged[key] = { ...defaults, ...value };
+        } else {
+            merged[key] = value;
+        }
+    }
+
+    // Settings saved before profiles existed held a single n8n backend section
+    if (stored && stored.backend && !stored.profiles) {
+        merged.profiles = [{ ...DEFAULT_PROFILE, ...stored.backend }];
+        merged.activeProfileId = DEFAULT_PROFILE.id;
+    }
+
+    // Checks added in later versions start with their default mode
+    merged.safety.checks = { ...DEFAULT_SETTINGS.safety.checks, ...merged.safety.checks };
+
+    merged.profiles = merged.profiles.map(profile => ({ ...DEFAULT_PROFILE, ...profile }));
+    if (merged.profiles.length === 0) {
+        merged.profiles = [{ ...DEFAULT_PROFILE }];
+    }
+
+    return merged;
+}
+
+/**
+ * Reads the current settings from extension storage
+ * @returns {Promise<Object>} Settings merged over the defaults
+ */
+async function getSettings() {
+    const result = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+    return mergeSettings(result[SETTINGS_STORAGE_KEY]);
+}
+
+/**
+ * Saves settings to extension storage
+ * @param {Object} settings - Complete or partial settings object
+ * @returns {Promise<Object>} The settings as saved
+ */
+async function saveSettings(settings) {
+    const merged = mergeSettings(settings);
+    await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: merged });
+    return merged;
+}
+
+/**
+ * Returns the backend profile currently selected for generation
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Object} Active backend profile
+ */
+function getActiveProfile(settings) {
+    return settings.profiles.find(profile => profile.id === settings.activeProfileId) ||
+        settings.profiles[0];
+}
+
+/**
+ * Tones shipped with the extension, used until the user edits their own.
+ * Each tone is sent to the provider in full:
+ * {
+ *   id: string,            // Stable identifier (also sent as the tone name)
+ *   label: string,         // Name shown in the tone dropdown
+ *   instruction: string,   // How the comment should sound
+ *   examples: string[],    // Sample comments written in this tone
+ *   lengthTarget: number   // Approximate length in words
+ * }
+ */
+const DEFAULT_TONES = [
+    {
+        id: 'professional',
+        label: 'Professional',
+        instruction: 'Sound like an experienced peer: measured, specific and credible. Add a relevant insight rather than praise.',
+        examples: [],
+        lengthTarget: 50
+    },
+    {
+        id: 'supportive',
+        label: 'Supportive',
+        instruction: 'Encourage the author warmly and sincerely. Acknowledge the effort or milestone behind the post.',
+        examples: [],
+        lengthTarget: 40
+    },
+    {
+        id: 'friendly',
+        label: 'Friendly',
+        instruction: 'Relaxed and conversational, as if replying to a colleague you like. Plain words, no jargon.',
+        examples: [],
+        lengthTarget: 35
+    },
+    {
+        id: 'inquisitive',
+        label: 'Inquisitive',
+        instruction: 'Show genuine curiosity. Engage with one specific point and end with a thoughtful open question.',
+        examples: [],
+        lengthTarget: 40
+    },
+    {
+        id: 'cheerful',
+        label: 'Cheerful',
+        instruction: 'Upbeat and positive with a light touch of enthusiasm, without sounding exaggerated.',
+        examples: [],
+        lengthTarget: 30
+    },
+    {
+        id: 'funny',
+        label: 'Funny',
+        instruction: 'Add light, good-natured humour that fits a professional network. Never mock the author.',
+        examples: [],
+        lengthTarget: 30
+    }
+];
+
+/**
+ * Reads an ordered list stored in chrome.storage.sync. The order is kept
+ * under its own key and each item under `${prefix}${id}`, which keeps every
+ * item within the per-item sync quota.
+ * @param {string} orderKey - Key holding the ordered ids
+ * @param {string} prefix - Prefix of the per-item keys
+ * @returns {Promise<Object[]|null>} Items in order, or null if none are saved
+ */
+async function getSyncedList(orderKey, prefix) {
+    const { [orderKey]: order } = await chrome.storage.sync.get(orderKey);
+    if (!Array.isArray(order)) {
+        return null;
+    }
+
+    const stored = await chrome.storage.sync.get(order.map(id => `${prefix}${id}`));
+    return order
+        .map(id => stored[`${prefix}${id}`])
+        .filter(Boolean);
+}
+
+/**
+ * Saves an ordered list to chrome.storage.sync and removes deleted items
+ * @param {string} orderKey - Key holding the ordered ids
+ * @param {string} prefix - Prefix of the per-item keys
+ * @param {Object[]} items - Items with an id, in display order
+ * @returns {Promise<void>}
+ */
+async function saveSyncedList(orderKey, prefix, items) {
+    const { [orderKey]: previousOrder } = await chrome.storage.sync.get(orderKey);
+    const order = items.map(item => item.id);
+
+    const values = { [orderKey]: order };
+    items.forEach(item => {
+        values[`${prefix}${item.id}`] = item;
+    });
+    await chrome.storage.sync.set(values);
+
+    const removed = (previousOrder || []).filter(id => !order.includes(id));
+    if (removed.length > 0) {
+        await chrome.storage.sync.remove(removed.map(id => `${prefix}${id}`));
+    }
+}
+
+/**
+ * chrome.storage.sync key holding the ordered list of tone ids
+ */
+const TONE_ORDER_STORAGE_KEY = 'toneOrder';
+
+/**
+ * Prefix for the per-tone chrome.storage.sync keys
+ */
+const TONE_STORAGE_PREFIX = 'tone:';
+
+/**
+ * Reads the user's tones in display order
+ * @returns {Promise<Object[]>} Tone definitions
+ */
+async function getTones() {
+    const tones = await getSyncedList(TONE_ORDER_STORAGE_KEY, TONE_STORAGE_PREFIX);
+    return tones && tones.length > 0 ? tones : JSON.parse(JSON.stringify(DEFAULT_TONES));
+}
+
+/**
+ * Saves the user's tones, in order, and removes deleted ones
+ * @param {Object[]} tones - Tone definitions in display order
+ * @returns {Promise<void>}
+ */
+async function saveTones(tones) {
+    await saveSyncedList(TONE_ORDER_STORAGE_KEY, TONE_STORAGE_PREFIX, tones);
+}
+
+/**
+ * Field defaults for a persona, the voice a comment is written in:
+ * {
+ *   id: string,
+ *   name: string,             // Name shown in the persona dropdown
+ *   role: string,             // e.g. "Founder", "Company page"
+ *   industry: string,
+ *   expertise: string[],      // Areas the persona speaks about with authority
+ *   phrasesToUse: string[],
+ *   phrasesToAvoid: string[],
+ *   writingSample: string     // Text written by the persona, to match its voice
+ * }
+ */
+const DEFAULT_PERSONA = {
+    id: '',
+    name: '',
+    role: '',
+    industry: '',
+    expertise: [],
+    phrasesToUse: [],
+    phrasesToAvoid: [],
+    writingSample: ''
+};
+
+/**
+ * chrome.storage.sync key holding the ordered list of persona ids
+ */
+const PERSONA_ORDER_STORAGE_KEY = 'personaOrder';
+
+/**
+ * Prefix for the per-persona chrome.storage.sync keys
+ */
+const PERSONA_STORAGE_PREFIX = 'persona:';
+
+/**
+ * Reads the user's personas in display order
+ * @returns {Promise<Object[]>} Persona definitions (possibly none)
+ */
+async function getPersonas() {
+    const personas = await getSyncedList(PERSONA_ORDER_STORAGE_KEY, PERSONA_STORAGE_PREFIX);
+    return (personas || []).map(persona => ({ ...DEFAULT_PERSONA, ...persona }));
+}
+
+/**
+ * Saves the user's personas, in order, and removes deleted ones
+ * @param {Object[]} personas - Persona definitions in display order
+ * @returns {Promise<void>}
+ */
+async function savePersonas(personas) {
+    await saveSyncedList(PERSONA_ORDER_STORAGE_KEY, PERSONA_STORAGE_PREFIX, personas);
+}
+
+/**
+ * Returns the persona currently selected for generation
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Promise<Object|null>} Active persona, or null if none is selected
+ */
+async function getActivePersona(settings) {
+    if (!settings.activePersonaId) {
+        return null;
+    }
+    const personas = await getPersonas();
+    return personas.find(persona => persona.id === settings.activePersonaId) || null;
+}